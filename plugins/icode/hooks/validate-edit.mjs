@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * PostToolUse hook：编辑文件后立即做确定性检查
+ *
+ * 从 stdin 读取 hook 的 JSON 输入，取出被 Edit / Write / MultiEdit / NotebookEdit 修改的文件：
+ *   - 文档文件（.md 等 mermaid-checker 支持的类型）：验证其中所有 Mermaid 代码块
+ *   - .py 文件：运行 python -m py_compile
+ * 检查失败时输出 {"decision": "block", "reason": ...}，把报错反馈给 Claude 修复；
+ * 只有警告时通过 additionalContext 提示；通过或无需检查时不输出任何内容。
+ *
+ * 用法（由 hooks.json 调用）:
+ *   node validate-edit.mjs < payload.json
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * 读取 stdin 全部内容
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * 输出 hook 结果
+ * @param {Object} output - PostToolUse 的 JSON 输出
+ */
+function respond(output) {
+    process.stdout.write(JSON.stringify(output) + '\n');
+}
+
+/**
+ * 从 hook 输入中取出被修改文件的绝对路径
+ * @param {Object} payload - hook 的 JSON 输入
+ * @returns {string|null}
+ */
+function editedFile(payload) {
+    const input = payload.tool_input || {};
+    const filePath = input.file_path || input.notebook_path;
+    if (typeof filePath !== 'string' || filePath === '') {
+        return null;
+    }
+    return path.resolve(payload.cwd || process.cwd(), filePath);
+}
+
+/**
+ * 验证文档中的 Mermaid 图
+ *
+ * 遵循项目配置（.mermaidcheckrc）和 .mermaidcheckignore；不使用结果缓存，每次编辑只检查一个文件
+ *
+ * @param {string} filePath
+ * @param {string} cwd - 会话工作目录
+ */
+async function checkDocument(filePath, cwd) {
+    let lib;
+    try {
+        lib = await import('../skills/mermaid-checker/lib/index.mjs');
+    } catch (error) {
+        // 依赖未安装时不阻塞编辑
+        console.error(`mermaid-checker 不可用: ${error.message}`);
+        return;
+    }
+
+    const ignored = lib.createIgnoreFilter({ cwd });
+    if (ignored(filePath) || !lib.isIncluded(lib.loadConfig(filePath), filePath)) {
+        return;
+    }
+
+    const result = await lib.checkFile(filePath, { validator: await lib.prepareValidator(null) });
+    const hasFindings = result.diagrams.some(diag => lib.diagramFindings(diag).length > 0);
+    if (!hasFindings) {
+        return;
+    }
+
+    const report = lib.formatResults(result, true).trim();
+    const file = path.relative(cwd, filePath) || filePath;
+    if (result.invalidCount > 0) {
+        respond({
+            decision: 'block',
+            reason: `${file} 中有 ${result.invalidCount} 个 Mermaid 图未通过检查，请根据以下报错修复后重新检查:\n\n${report}`
+        });
+    } else {
+        respond({
+            hookSpecificOutput: {
+                hookEventName: 'PostToolUse',
+                additionalContext: `${file} 中的 Mermaid 图有警告:\n\n${report}`
+            }
+        });
+    }
+}
+
+/**
+ * 用 py_compile 检查 Python 语法
+ *
+ * 字节码写到临时目录（PYTHONPYCACHEPREFIX），不在项目中生成 __pycache__
+ *
+ * @param {string} filePath
+ * @param {string} cwd - 会话工作目录
+ */
+function checkPython(filePath, cwd) {
+    const env = { ...process.env, PYTHONPYCACHEPREFIX: path.join(os.tmpdir(), 'icode-pycache') };
+    for (const python of ['python3', 'python']) {
+        const result = spawnSync(python, ['-m', 'py_compile', filePath], { cwd, env, encoding: 'utf-8', timeout: 30000 });
+        if (result.error?.code === 'ENOENT') {
+            continue;
+        }
+        if (result.status !== 0) {
+            const file = path.relative(cwd, filePath) || filePath;
+            const output = (result.stderr || result.stdout || String(result.error || '')).trim();
+            respond({
+                decision: 'block',
+                reason: `${file} 未通过 python -m py_compile，请修复以下错误:\n\n${output}`
+            });
+        }
+        return;
+    }
+    console.error('未找到 python3 / python，跳过 .py 检查');
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+    let payload;
+    try {
+        payload = JSON.parse(await readStdin());
+    } catch (error) {
+        console.error(`无法解析 hook 输入: ${error.message}`);
+        return;
+    }
+
+    const filePath = editedFile(payload);
+    if (!filePath || !fs.existsSync(filePath)) {
+        return;
+    }
+    const cwd = payload.cwd || process.cwd();
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.py') {
+        checkPython(filePath, cwd);
+        return;
+    }
+
+    const { SUPPORTED_EXTENSIONS } = await import('../skills/mermaid-checker/lib/sources/index.mjs');
+    if (SUPPORTED_EXTENSIONS.includes(ext.slice(1))) {
+        await checkDocument(filePath, cwd);
+    }
+}
+
+main().catch(error => {
+    // hook 自身出错不应阻塞编辑，只在 stderr 留下记录
+    console.error('错误:', error.message);
+});
@@ -0,0 +1,160 @@
+/**
+ * On-disk cache of diagram validation results
+ *
+ * Entries are keyed by a hash of the diagram source, the Mermaid version,
+ * the Mermaid config and whether the diagram was rendered, so a cached
+ * answer is only reused when all four are unchanged. Each entry is its own file, which keeps concurrent writes
+ * from worker threads safe.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { effectiveConfig } from './validator.mjs';
+
+/**
+ * @typedef {import('./validator.mjs').Validator} Validator
+ */
+
+/**
+ * Default cache directory: under $XDG_CACHE_HOME (~/.cache when unset),
+ * or the system temp directory without a home, so checking a project never
+ * writes into it. Entries are keyed by content, so projects can share it.
+ */
+export const DEFAULT_CACHE_DIR = path.join(
+    process.env.XDG_CACHE_HOME || (os.homedir() ? path.join(os.homedir(), '.cache') : os.tmpdir()),
+    'mermaid-checker'
+);
+
+/**
+ * Bumped whenever the shape of cached entries changes
+ */
+const CACHE_FORMAT = 4;
+
+/**
+ * @typedef {Object} DiagramCache
+ * @property {string|null} dir - Cache directory, null for a memory cache
+ * @property {(key: string) => Object|null} get - Read an entry
+ * @property {(key: string, value: Object) => void} set - Write an entry
+ */
+
+/**
+ * Compute the cache key for a diagram
+ * @param {string} code - Diagram source
+ * @param {string} mermaidVersion - Mermaid version used for parsing
+ * @param {Object} config - Mermaid initialize options
+ * @param {boolean} [render=false] - Whether the diagram is also rendered
+ * @returns {string} - Hex digest
+ */
+export function cacheKey(code, mermaidVersion, config, render = false) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([CACHE_FORMAT, mermaidVersion, config, render, code]))
+        .digest('hex');
+}
+
+/**
+ * Open a cache directory (created lazily on first write)
+ * @param {string} [dir=DEFAULT_CACHE_DIR] - Cache directory
+ * @returns {DiagramCache}
+ */
+export function createCache(dir = DEFAULT_CACHE_DIR) {
+    const entryPath = (key) => path.join(dir, key.slice(0, 2), `${key}.json`);
+
+    return {
+        dir,
+        get(key) {
+            try {
+                return JSON.parse(fs.readFileSync(entryPath(key), 'utf-8'));
+            } catch (e) {
+                // Missing or corrupt entry: treat as a miss
+                return null;
+            }
+        },
+        set(key, value) {
+            const target = entryPath(key);
+            const tmp = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+            try {
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.writeFileSync(tmp, JSON.stringify(value), 'utf-8');
+                fs.renameSync(tmp, target);
+            } catch (e) {
+                // The cache is an optimization; never fail a check because of it
+                fs.rmSync(tmp, { force: true });
+            }
+        }
+    };
+}
+
+/**
+ * Keep cache entries in memory (e.g. for a long-running watch session)
+ *
+ * The least recently used entries are dropped beyond `limit`.
+ *
+ * @param {number} [limit=5000] - Maximum number of entries
+ * @returns {DiagramCache} - `dir` is null
+ */
+export function createMemoryCache(limit = 5000) {
+    const entries = new Map();
+    return {
+        dir: null,
+        get(key) {
+            if (!entries.has(key)) {
+                return null;
+            }
+            // Re-insert to mark the entry as recently used
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, value);
+            if (entries.size > limit) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+    };
+}
+
+/**
+ * Delete a cache directory
+ * @param {string} [dir=DEFAULT_CACHE_DIR] - Cache directory
+ */
+export function clearCache(dir = DEFAULT_CACHE_DIR) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Wrap a validator so results are served from and stored in a cache
+ *
+ * Cached results report `executionTime: 0` and `cached: true`.
+ *
+ * @param {Validator} validator - Underlying validator
+ * @param {DiagramCache} cache - Cache to use
+ * @returns {Validator}
+ */
+export function withCache(validator, cache) {
+    const cached = async (code, options = {}) => {
+        const key = cacheKey(code, validator.mermaidVersion, effectiveConfig(validator.config, options.config), Boolean(options.render));
+        const hit = cache.get(key);
+        if (hit) {
+            return { ...hit, executionTime: 0, cached: true };
+        }
+
+        const result = await validator(code, options);
+        cache.set(key, {
+            valid: result.valid,
+            error: result.error,
+            errorLocation: result.errorLocation,
+            renderError: result.renderError
+        });
+        return { ...result, cached: false };
+    };
+    cached.mermaidVersion = validator.mermaidVersion;
+    cached.config = validator.config;
+    cached.detectType = validator.detectType;
+    cached.render = validator.render;
+    return cached;
+}
@@ -0,0 +1,255 @@
+/**
+ * Error categories and rules
+ *
+ * Every failed diagram is classified into a category with a stable ID.
+ * Machine-readable reports use the ID as their rule ID, so dashboards can
+ * group and filter failures by kind.
+ *
+ * Problems found beyond parsing (e.g. invalid in-diagram config) are
+ * issues of a rule; each rule has a default severity that projects can
+ * change or turn off under `rules` in their config.
+ */
+
+import { errorSummary } from './report.mjs';
+
+/**
+ * @typedef {Object} ErrorCategory
+ * @property {string} id - Stable rule ID
+ * @property {string} name - PascalCase name
+ * @property {string} description - One-line description
+ */
+
+/**
+ * @type {ErrorCategory[]}
+ */
+export const ERROR_CATEGORIES = [
+    {
+        id: 'mermaid/parse-error',
+        name: 'ParseError',
+        description: 'The diagram does not match the grammar of its diagram type.'
+    },
+    {
+        id: 'mermaid/lexical-error',
+        name: 'LexicalError',
+        description: 'The diagram contains a character sequence the lexer does not recognize.'
+    },
+    {
+        id: 'mermaid/unknown-diagram-type',
+        name: 'UnknownDiagramType',
+        description: 'The first statement of the diagram does not name a known diagram type.'
+    },
+    {
+        id: 'mermaid/unclosed-block',
+        name: 'UnclosedBlock',
+        description: 'A Mermaid fence or element is opened but never closed.'
+    },
+    {
+        id: 'mermaid/error',
+        name: 'MermaidError',
+        description: 'Mermaid rejected the diagram for another reason.'
+    },
+    {
+        id: 'mermaid/render-error',
+        name: 'RenderError',
+        description: 'The diagram parses, but Mermaid fails to lay it out or render it (--render).'
+    }
+];
+
+/**
+ * Classify a diagram's parse error
+ * @param {import('./check.mjs').BlockResult} diag - Failed diagram
+ * @returns {ErrorCategory}
+ */
+export function classifyError(diag) {
+    const byId = id => ERROR_CATEGORIES.find(category => category.id === id);
+    const message = String(diag.error || '');
+
+    if (diag.fenceError) {
+        return byId('mermaid/unclosed-block');
+    }
+    if (/No diagram type detected|^Unknown diagram type/i.test(message)) {
+        return byId('mermaid/unknown-diagram-type');
+    }
+    if (/^Lexical error|^Lexer error|Parsing failed: Lexer error/.test(message)) {
+        return byId('mermaid/lexical-error');
+    }
+    if (/Parse error|Parsing failed/.test(message)) {
+        return byId('mermaid/parse-error');
+    }
+    return byId('mermaid/error');
+}
+
+/**
+ * @typedef {Object} IssueRule
+ * @property {string} id - Stable rule ID, as used under `rules` in configs
+ * @property {string} name - PascalCase name
+ * @property {string} description - One-line description
+ * @property {'error'|'warn'} severity - Default severity
+ */
+
+/**
+ * @type {IssueRule[]}
+ */
+export const ISSUE_RULES = [
+    {
+        id: 'config/syntax',
+        name: 'ConfigSyntax',
+        description: 'Frontmatter YAML or %%{init}%% JSON does not parse, so Mermaid drops it.',
+        severity: 'error'
+    },
+    {
+        id: 'config/unknown-key',
+        name: 'ConfigUnknownKey',
+        description: 'A frontmatter or %%{init}%% key is not a Mermaid config option.',
+        severity: 'error'
+    },
+    {
+        id: 'config/invalid-value',
+        name: 'ConfigInvalidValue',
+        description: 'A config value does not match the type Mermaid\'s config schema expects.',
+        severity: 'error'
+    },
+    {
+        id: 'config/secure-key',
+        name: 'ConfigSecureKey',
+        description: 'A config option that diagrams may not override is set in a diagram.',
+        severity: 'warn'
+    },
+    {
+        id: 'config/unknown-directive',
+        name: 'ConfigUnknownDirective',
+        description: 'A %%{...}%% directive that Mermaid does not recognize.',
+        severity: 'warn'
+    },
+    {
+        id: 'lint/no-undeclared-target',
+        name: 'NoUndeclaredTarget',
+        description: 'A style, class, click, cssClass or note statement names a node or class the diagram never declares.',
+        severity: 'warn'
+    },
+    {
+        id: 'lint/no-unused-classdef',
+        name: 'NoUnusedClassdef',
+        description: 'A classDef is never applied to any node.',
+        severity: 'warn'
+    },
+    {
+        id: 'lint/no-conflicting-labels',
+        name: 'NoConflictingLabels',
+        description: 'A node ID is declared again with a different label; Mermaid keeps only the last one.',
+        severity: 'warn'
+    },
+    {
+        id: 'lint/no-orphan-nodes',
+        name: 'NoOrphanNodes',
+        description: 'A node is not connected to anything in a diagram that has edges.',
+        severity: 'warn'
+    },
+    {
+        id: 'gantt/undefined-task',
+        name: 'GanttUndefinedTask',
+        description: 'An after / until dependency or click names a task ID no task defines.',
+        severity: 'warn'
+    },
+    {
+        id: 'gantt/dependency-cycle',
+        name: 'GanttDependencyCycle',
+        description: 'Tasks depend on each other in a cycle, so their dates cannot be worked out.',
+        severity: 'warn'
+    },
+    {
+        id: 'gantt/date-format',
+        name: 'GanttDateFormat',
+        description: 'A task date does not match the declared dateFormat (or an end is not a duration either).',
+        severity: 'warn'
+    },
+    {
+        id: 'sequence/undeclared-participant',
+        name: 'SequenceUndeclaredParticipant',
+        description: 'A message or note names an undeclared participant in a diagram that declares its participants up front.',
+        severity: 'warn'
+    },
+    {
+        id: 'sequence/unbalanced-activation',
+        name: 'SequenceUnbalancedActivation',
+        description: 'A participant is deactivated without being active, or activated and never deactivated.',
+        severity: 'warn'
+    },
+    {
+        id: 'sequence/unclosed-block',
+        name: 'SequenceUnclosedBlock',
+        description: 'A loop / alt / opt / par / critical / break / rect / box block has no matching end.',
+        severity: 'warn'
+    }
+];
+
+/**
+ * Every rule a report can mention: error categories, then issue rules
+ * @type {Array<ErrorCategory|IssueRule>}
+ */
+export const RULES = [
+    ...ERROR_CATEGORIES.map(category => ({ ...category, severity: 'error' })),
+    ...ISSUE_RULES
+];
+
+/**
+ * Severity of an issue rule under a project's `rules`
+ * @param {string} ruleId
+ * @param {Object<string, string>} [rules] - ProjectConfig.rules
+ * @returns {'error'|'warning'|null} - Null when the rule is off
+ */
+export function ruleSeverity(ruleId, rules = {}) {
+    const rule = ISSUE_RULES.find(candidate => candidate.id === ruleId);
+    const setting = rules[ruleId] ?? rule?.severity ?? 'error';
+    if (setting === 'off') {
+        return null;
+    }
+    return setting === 'warn' ? 'warning' : 'error';
+}
+
+/**
+ * A problem with a diagram, positioned in the file
+ * @typedef {Object} DiagramIssue
+ * @property {string} ruleId
+ * @property {'error'|'warning'} severity
+ * @property {string} message - One-line message
+ * @property {import('./location.mjs').Position|null} location - Position in
+ *   the file (in the notebook cell for notebooks)
+ * @property {string|null} codeFrame
+ */
+
+/**
+ * Everything wrong with a diagram: its parse or render error, if any, then
+ * its issues
+ * @param {import('./check.mjs').BlockResult} diag
+ * @returns {Array<DiagramIssue & { details: string }>} - `details` is the full
+ *   Mermaid message for a parse or render error, the message otherwise
+ */
+export function diagramFindings(diag) {
+    const findings = [];
+    if (diag.error) {
+        findings.push({
+            ruleId: classifyError(diag).id,
+            severity: 'error',
+            message: errorSummary(diag.error),
+            details: diag.error,
+            location: diag.location ?? null,
+            codeFrame: diag.codeFrame ?? null
+        });
+    }
+    if (diag.renderError) {
+        // Render errors carry no position
+        findings.push({
+            ruleId: 'mermaid/render-error',
+            severity: 'error',
+            message: errorSummary(diag.renderError),
+            details: diag.renderError,
+            location: null,
+            codeFrame: null
+        });
+    }
+    for (const issue of diag.issues || []) {
+        findings.push({ ...issue, details: issue.message });
+    }
+    return findings;
+}
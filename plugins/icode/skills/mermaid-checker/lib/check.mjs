@@ -0,0 +1,360 @@
+/**
+ * High-level checks: single diagrams and whole documentation files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { extractMermaidBlocks, splitLines } from './extract.mjs';
+import { getSourceAdapter, detectSourceAdapter } from './sources/index.mjs';
+import { getSharedValidator } from './validator.mjs';
+import { toSourcePosition, formatCodeFrame } from './location.mjs';
+import { loadConfig, EMPTY_CONFIG } from './config.mjs';
+import { checkDiagramConfig } from './diagram-config.mjs';
+import { lintDiagram } from './lint/index.mjs';
+import { ruleSeverity } from './categories.mjs';
+import { DIAGRAM_KEYWORDS } from './diagram-type.mjs';
+
+/**
+ * @typedef {import('./validator.mjs').Validator} Validator
+ * @typedef {import('./validator.mjs').ValidationResult} ValidationResult
+ * @typedef {import('./extract.mjs').MermaidBlock} MermaidBlock
+ */
+
+/**
+ * @typedef {import('./location.mjs').Position} Position
+ */
+
+/**
+ * @typedef {Object} CheckOptions
+ * @property {Validator} [validator] - Validator to use (default: shared validator)
+ * @property {string[]} [sourceLines] - Lines of the enclosing file, used
+ *   for code frames
+ * @property {Object} [mermaidConfig] - mermaid.initialize() options for
+ *   these diagrams, applied over the validator's defaults
+ * @property {Object<string, string>} [rules] - Rule severities (off, warn,
+ *   error) overriding the defaults
+ * @property {boolean} [render] - Also render diagrams that parse, reporting
+ *   failures as `renderError`
+ * @property {Array<[number, number]>} [lineRanges] - Only check blocks that
+ *   overlap these 1-based inclusive file line ranges (e.g. changed hunks);
+ *   notebook blocks are always checked
+ * @property {import('./config.mjs').ProjectConfig|false} [config] - Project
+ *   config for file checks; found from the file's location when omitted,
+ *   `false` to ignore config files
+ */
+
+/**
+ * An issue positioned in the diagram source
+ * @typedef {Object} PositionedIssue
+ * @property {string} ruleId
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ * @property {Position} position - Position in the diagram source
+ */
+
+/**
+ * `valid` is false when the diagram does not parse, fails to render or has
+ * an issue of severity error; `error` is the parse error only
+ * @typedef {ValidationResult & { diagramType: string, cached?: boolean, issues: PositionedIssue[] }} DiagramResult
+ */
+
+/**
+ * @typedef {Object} BlockLocation
+ * @property {Position|null} location - Error position in the file (in the
+ *   notebook cell for notebooks), null without a parse error
+ * @property {string|null} codeFrame - Offending source line with a caret
+ *   under the error column
+ */
+
+/**
+ * Like DiagramResult, with issues positioned in the file
+ * @typedef {MermaidBlock & Omit<DiagramResult, 'issues'> & BlockLocation & { issues: import('./categories.mjs').DiagramIssue[] }} BlockResult
+ */
+
+/**
+ * @typedef {Object} MarkdownResult
+ * @property {number} totalDiagrams - Number of Mermaid blocks found
+ * @property {number} validCount - Blocks that parsed without error issues
+ * @property {number} invalidCount - Blocks that failed
+ * @property {BlockResult[]} diagrams - Per-block results, in file order
+ * @property {number} totalTime - Sum of parse times in milliseconds
+ * @property {number} cacheHits - Blocks answered from the cache
+ */
+
+/**
+ * Result for one file; `source` names the adapter that extracted the blocks
+ * @typedef {MarkdownResult & { filePath: string, fileName: string, source: string }} FileResult
+ */
+
+/**
+ * Detect a diagram's type with Mermaid's registered detectors
+ *
+ * Frontmatter, directives and comments are skipped and keyword variants
+ * are normalized (`stateDiagram-v2` is `state`, `C4Context` is `c4`,
+ * `xychart-beta` is `xychart`).
+ *
+ * @param {string} code - Mermaid diagram source
+ * @param {CheckOptions} [options]
+ * @returns {Promise<string>} - Diagram type, or 'unknown'
+ */
+export async function detectDiagramType(code, options = {}) {
+    const validator = options.validator || await getSharedValidator();
+    return validator.detectType(code, { config: options.mermaidConfig }) || 'unknown';
+}
+
+/**
+ * Diagram types the installed Mermaid recognizes, with their keywords
+ * @param {CheckOptions} [options]
+ * @returns {Promise<Array<{ type: string, keywords: string[] }>>} - In
+ *   DIAGRAM_KEYWORDS order
+ */
+export async function listDiagramTypes(options = {}) {
+    const validator = options.validator || await getSharedValidator();
+    const types = new Map();
+    for (const keyword of DIAGRAM_KEYWORDS) {
+        const type = validator.detectType(`${keyword}\n`, { config: options.mermaidConfig });
+        if (type) {
+            types.set(type, [...(types.get(type) || []), keyword]);
+        }
+    }
+    return [...types].map(([type, keywords]) => ({ type, keywords }));
+}
+
+/**
+ * Validate a single Mermaid diagram
+ * @param {string} code - Mermaid diagram source
+ * @param {CheckOptions} [options]
+ * @returns {Promise<DiagramResult>}
+ */
+export async function validateDiagram(code, options = {}) {
+    const validator = options.validator || await getSharedValidator();
+    const result = await validator(code, { config: options.mermaidConfig, render: options.render });
+    const diagramType = await detectDiagramType(code, { ...options, validator });
+
+    const found = [...checkDiagramConfig(code), ...lintDiagram(code, diagramType, { parsed: result.valid })]
+        .sort((a, b) => a.position.line - b.position.line || a.position.column - b.position.column);
+    const issues = [];
+    for (const issue of found) {
+        const severity = ruleSeverity(issue.ruleId, options.rules);
+        if (severity) {
+            issues.push({ ...issue, severity });
+        }
+    }
+    return {
+        diagramType,
+        ...result,
+        valid: result.valid && !issues.some(issue => issue.severity === 'error'),
+        issues
+    };
+}
+
+/**
+ * Lines to draw a block's code frames from
+ * @param {MermaidBlock} block
+ * @param {string[]} [sourceLines] - Lines of the enclosing file
+ * @returns {string[]}
+ */
+function blockLines(block, sourceLines) {
+    if (sourceLines && block.cell === undefined) {
+        return sourceLines;
+    }
+    // No file text (or a notebook cell): rebuild the lines from the block
+    const lines = [];
+    block.code.split('\n').forEach((text, i) => {
+        lines[block.codeStart - 1 + i] = ' '.repeat(block.columnOffsets?.[i] || 0) + text;
+    });
+    return lines;
+}
+
+/**
+ * Convert a block's error to a file position and code frame
+ * @param {MermaidBlock} block - Block that was validated
+ * @param {DiagramResult} result - Its validation result
+ * @param {string[]} [sourceLines] - Lines of the enclosing file
+ * @returns {BlockLocation}
+ */
+function locateBlockError(block, result, sourceLines) {
+    if (!result.error) {
+        return { location: null, codeFrame: null };
+    }
+
+    // Fence errors point at the opening fence; parse errors at the token
+    const location = block.fenceError
+        ? { line: block.lineStart, column: 1 }
+        : result.errorLocation && toSourcePosition(block, result.errorLocation);
+    if (!location) {
+        return { location: null, codeFrame: null };
+    }
+    return { location, codeFrame: formatCodeFrame(blockLines(block, sourceLines), location) };
+}
+
+/**
+ * Position a block's issues in the file
+ * @param {MermaidBlock} block
+ * @param {PositionedIssue[]} issues - Issues from validateDiagram()
+ * @param {string[]} [sourceLines] - Lines of the enclosing file
+ * @returns {import('./categories.mjs').DiagramIssue[]}
+ */
+function locateBlockIssues(block, issues, sourceLines) {
+    return issues.map(({ position, ...issue }) => {
+        const location = toSourcePosition(block, position);
+        return { ...issue, location, codeFrame: formatCodeFrame(blockLines(block, sourceLines), location) };
+    });
+}
+
+/**
+ * Validate already extracted blocks
+ * @param {MermaidBlock[]} blocks - Blocks from an extractor
+ * @param {CheckOptions} [options]
+ * @returns {Promise<MarkdownResult>}
+ */
+export async function checkBlocks(blocks, options = {}) {
+    const validator = options.validator || await getSharedValidator();
+
+    const results = {
+        totalDiagrams: blocks.length,
+        validCount: 0,
+        invalidCount: 0,
+        diagrams: [],
+        totalTime: 0,
+        cacheHits: 0
+    };
+
+    for (const block of blocks) {
+        // An unclosed fence is reported as is; its content is not a complete diagram
+        const result = block.fenceError
+            ? {
+                diagramType: await detectDiagramType(block.code, { validator, mermaidConfig: options.mermaidConfig }),
+                valid: false,
+                executionTime: 0,
+                error: block.fenceError,
+                errorLocation: null,
+                renderError: null,
+                issues: []
+            }
+            : await validateDiagram(block.code, {
+                validator,
+                mermaidConfig: options.mermaidConfig,
+                rules: options.rules,
+                render: options.render
+            });
+
+        results.diagrams.push({
+            ...block,
+            ...result,
+            ...locateBlockError(block, result, options.sourceLines),
+            issues: locateBlockIssues(block, result.issues, options.sourceLines)
+        });
+
+        results.totalTime += result.executionTime;
+        if (result.cached) {
+            results.cacheHits++;
+        }
+        if (result.valid) {
+            results.validCount++;
+        } else {
+            results.invalidCount++;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Validate every Mermaid block in a Markdown string
+ * @param {string} content - Markdown content
+ * @param {CheckOptions} [options]
+ * @returns {Promise<MarkdownResult>}
+ */
+export function checkMarkdownContent(content, options = {}) {
+    return checkBlocks(extractMermaidBlocks(content), { ...options, sourceLines: splitLines(content) });
+}
+
+/**
+ * `filePath` names the content in results and picks the source adapter;
+ * without it the content is sniffed (Markdown vs. raw diagram)
+ * @typedef {CheckOptions & { filePath?: string }} ContentOptions
+ */
+
+/**
+ * Pick the project config for a check
+ * @param {import('./config.mjs').ProjectConfig|false|undefined} option - CheckOptions.config
+ * @param {string} filePath - Absolute path the content belongs to
+ * @returns {import('./config.mjs').ProjectConfig}
+ */
+function resolveConfig(option, filePath) {
+    if (option === false) {
+        return EMPTY_CONFIG;
+    }
+    return option || loadConfig(filePath);
+}
+
+/**
+ * Whether a block overlaps any of the line ranges
+ * @param {MermaidBlock} block
+ * @param {Array<[number, number]>} ranges
+ * @returns {boolean}
+ */
+function blockInRanges(block, ranges) {
+    // Notebook lines are relative to the cell, not the file
+    if (block.cell !== undefined) {
+        return true;
+    }
+    // The closing fence follows the last diagram line
+    const end = block.lineEnd + 1;
+    return ranges.some(([start, stop]) => start <= end && stop >= block.lineStart);
+}
+
+/**
+ * Validate every Mermaid block in in-memory content (e.g. stdin)
+ * @param {string} content - Document or diagram text
+ * @param {ContentOptions} [options]
+ * @returns {Promise<FileResult>}
+ */
+export async function checkContent(content, options = {}) {
+    const filePath = options.filePath || '<stdin>';
+    const adapter = options.filePath ? getSourceAdapter(options.filePath) : detectSourceAdapter(content);
+    // Content without a path is configured like a file in the working directory
+    const config = resolveConfig(options.config, path.resolve(filePath));
+    const blocks = adapter.extract(content)
+        .filter(block => !options.lineRanges || blockInRanges(block, options.lineRanges));
+    return {
+        filePath,
+        fileName: path.basename(filePath),
+        source: adapter.name,
+        ...await checkBlocks(blocks, {
+            mermaidConfig: config.mermaid,
+            rules: config.rules,
+            ...options,
+            sourceLines: splitLines(content)
+        })
+    };
+}
+
+/**
+ * Validate every Mermaid block in a documentation file
+ *
+ * The source adapter is chosen by extension: Markdown, MDX, AsciiDoc,
+ * reStructuredText, HTML, Jupyter notebook or standalone .mmd/.mermaid.
+ *
+ * @param {string} filePath - Path to the file
+ * @param {CheckOptions} [options]
+ * @returns {Promise<FileResult>}
+ */
+export function checkFile(filePath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    return checkContent(content, { ...options, filePath });
+}
+
+/**
+ * Validate every Mermaid block in a Markdown file
+ *
+ * Kept for API compatibility; dispatches on extension like checkFile().
+ *
+ * @param {string} filePath - Path to Markdown file
+ * @param {CheckOptions} [options]
+ * @returns {Promise<FileResult>}
+ */
+export function checkMarkdown(filePath, options = {}) {
+    return checkFile(filePath, options);
+}
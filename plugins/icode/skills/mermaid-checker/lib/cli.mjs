@@ -0,0 +1,158 @@
+/**
+ * Command-line parsing for mermaid-check.mjs
+ *
+ * Built on util.parseArgs in strict mode, so unknown flags and missing
+ * option values are reported instead of being mistaken for inputs.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { defaultJobs } from './pool.mjs';
+
+/**
+ * Option definitions, in util.parseArgs form
+ */
+export const CLI_OPTIONS = {
+    'quiet': { type: 'boolean', short: 'q' },
+    'jobs': { type: 'string', short: 'j' },
+    'no-cache': { type: 'boolean' },
+    'clear-cache': { type: 'boolean' },
+    'stdin': { type: 'boolean' },
+    'stdin-filename': { type: 'string' },
+    'format': { type: 'string', short: 'f' },
+    'output': { type: 'string', short: 'o' },
+    'dir': { type: 'string', multiple: true },
+    'recursive': { type: 'boolean', short: 'r' },
+    'ignore': { type: 'string', multiple: true },
+    'no-ignore-files': { type: 'boolean' },
+    'no-config': { type: 'boolean' },
+    'fix': { type: 'boolean' },
+    'fix-dry-run': { type: 'boolean' },
+    'render': { type: 'boolean' },
+    'watch': { type: 'boolean', short: 'w' },
+    'changed': { type: 'string' },
+    'staged': { type: 'boolean' },
+    'changed-blocks': { type: 'boolean' },
+    'help': { type: 'boolean', short: 'h' }
+};
+
+/**
+ * @typedef {Object} CliArgs
+ * @property {string[]} inputs - Files, directories and globs to check
+ * @property {boolean} stdin - Read a document from stdin
+ * @property {string|undefined} stdinFilename - Name reported for stdin
+ * @property {boolean} quiet
+ * @property {number} jobs - Worker threads
+ * @property {boolean} cache - Use the result cache
+ * @property {boolean} clearCache
+ * @property {string|undefined} format - Report format (default: from config, else text)
+ * @property {string|undefined} output - Report file
+ * @property {boolean} recursive - Search directories recursively
+ * @property {string[]} ignore - Extra ignore patterns
+ * @property {boolean} ignoreFiles - Honor .gitignore and .mermaidcheckignore
+ * @property {boolean} config - Read .mermaidcheckrc / package.json config
+ * @property {boolean} fix - Apply automatic fixes to the files
+ * @property {boolean} fixDryRun - Show the fixes as a diff without writing them
+ * @property {boolean} render - Also render diagrams that parse
+ * @property {boolean} watch - Re-check files whenever they change
+ * @property {string|undefined} changed - Only check files changed against
+ *   this git ref
+ * @property {boolean} staged - Only check files staged for commit, as staged
+ * @property {boolean} changedBlocks - With changed/staged, only check blocks
+ *   that overlap changed lines
+ * @property {boolean} help
+ */
+
+/**
+ * `--jobs` takes an optional count and `--changed` an optional ref; give
+ * them an explicit value when bare so parseArgs does not swallow the next
+ * argument. A ref is only taken from the next argument when it is not an
+ * option or an existing path; `--changed=<ref>` is unambiguous.
+ * @param {string[]} argv
+ * @returns {string[]}
+ */
+function normalizeOptionalValues(argv) {
+    const args = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        if ((arg === '--jobs' || arg === '-j') && !/^\d+$/.test(next || '')) {
+            args.push('--jobs=auto');
+        } else if (arg === '--changed' && (next === undefined || next.startsWith('-') || fs.existsSync(next))) {
+            args.push('--changed=HEAD');
+        } else {
+            args.push(arg);
+        }
+    }
+    return args;
+}
+
+/**
+ * Parse a --jobs value
+ * @param {string|undefined} value
+ * @returns {number}
+ */
+function parseJobs(value) {
+    if (value === undefined) {
+        return 1;
+    }
+    if (value === 'auto') {
+        return defaultJobs();
+    }
+    const jobs = Number(value);
+    if (!Number.isInteger(jobs) || jobs < 1) {
+        throw new Error(`Invalid value for --jobs: ${value}`);
+    }
+    return jobs;
+}
+
+/**
+ * Parse mermaid-check.mjs arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {CliArgs}
+ * @throws {Error} On unknown flags or invalid values
+ */
+export function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: normalizeOptionalValues(argv),
+            options: CLI_OPTIONS,
+            allowPositionals: true,
+            strict: true
+        });
+    } catch (error) {
+        // Drop Node's hint about '--', it is noise for a typo
+        throw new Error(error.message.replace(/\. To specify a positional argument.*$/s, ''));
+    }
+
+    const { values, positionals } = parsed;
+    const inputs = [...(values.dir || []), ...positionals.filter(arg => arg !== '-')];
+    if (values['changed-blocks'] && values.changed === undefined && !values.staged) {
+        throw new Error('--changed-blocks requires --changed or --staged');
+    }
+
+    return {
+        inputs,
+        stdin: Boolean(values.stdin) || positionals.includes('-'),
+        stdinFilename: values['stdin-filename'],
+        quiet: Boolean(values.quiet),
+        jobs: parseJobs(values.jobs),
+        cache: !values['no-cache'],
+        clearCache: Boolean(values['clear-cache']),
+        format: values.format,
+        output: values.output,
+        recursive: Boolean(values.recursive),
+        ignore: values.ignore || [],
+        ignoreFiles: !values['no-ignore-files'],
+        config: !values['no-config'],
+        fix: Boolean(values.fix),
+        fixDryRun: Boolean(values['fix-dry-run']),
+        render: Boolean(values.render),
+        watch: Boolean(values.watch),
+        changed: values.changed,
+        staged: Boolean(values.staged),
+        changedBlocks: Boolean(values['changed-blocks']),
+        help: Boolean(values.help)
+    };
+}
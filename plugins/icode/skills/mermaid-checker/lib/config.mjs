@@ -0,0 +1,287 @@
+/**
+ * Project configuration
+ *
+ * Settings come from `.mermaidcheckrc` (JSON or YAML),
+ * `.mermaidcheckrc.json`, `.mermaidcheckrc.yaml`, `.mermaidcheckrc.yml` or
+ * the `mermaidCheck` key of `package.json`. For each file, every config
+ * between the file and the filesystem root applies; the nearest wins, so a
+ * subdirectory can override its parents for its own files. A config with
+ * `"root": true` stops the search.
+ *
+ *   {
+ *     "mermaid": { "flowchart": { "htmlLabels": false } },
+ *     "include": ["docs/**", "README.md"],
+ *     "exclude": ["drafts/**"],
+ *     "rules": { "lint/no-unused-classdef": "error" },
+ *     "format": "json"
+ *   }
+ *
+ * Globs are relative to the directory of the config that declares them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import YAML from 'yaml';
+import { REPORT_FORMATS } from './reporters/index.mjs';
+import { ISSUE_RULES } from './categories.mjs';
+
+/**
+ * Config file names, in lookup order within a directory
+ */
+export const CONFIG_FILES = [
+    '.mermaidcheckrc',
+    '.mermaidcheckrc.json',
+    '.mermaidcheckrc.yaml',
+    '.mermaidcheckrc.yml',
+    'package.json'
+];
+
+/**
+ * Key holding the config inside package.json
+ */
+export const PACKAGE_JSON_KEY = 'mermaidCheck';
+
+/**
+ * Values accepted for a rule in `rules`
+ */
+export const RULE_SEVERITIES = ['off', 'warn', 'error'];
+
+/**
+ * @typedef {Object} ConfigGlob
+ * @property {string} pattern - Glob pattern
+ * @property {string} base - Directory the pattern is relative to
+ */
+
+/**
+ * Effective configuration for one directory
+ * @typedef {Object} ProjectConfig
+ * @property {Object} mermaid - mermaid.initialize() options, applied over
+ *   DEFAULT_MERMAID_CONFIG
+ * @property {ConfigGlob[]|null} include - Only matching files are checked; null for all
+ * @property {ConfigGlob[]} exclude - Matching files are skipped
+ * @property {Object<string, string>} rules - Lint rule severities
+ * @property {string|null} format - Report format
+ * @property {string[]} files - Config files that contributed, outermost first
+ */
+
+/**
+ * Configuration used when no config file applies
+ * @type {ProjectConfig}
+ */
+export const EMPTY_CONFIG = Object.freeze({
+    mermaid: {},
+    include: null,
+    exclude: [],
+    rules: {},
+    format: null,
+    files: []
+});
+
+/**
+ * Whether a value is a plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge plain objects; arrays and other values in `override` replace
+ * @param {Object} base
+ * @param {Object} override
+ * @returns {Object} - New object
+ */
+export function mergeConfig(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        merged[key] = isPlainObject(value) && isPlainObject(base?.[key])
+            ? mergeConfig(base[key], value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Allowed keys with a check and the message shown when it fails
+ */
+const CONFIG_SCHEMA = {
+    root: [value => typeof value === 'boolean', 'must be a boolean'],
+    mermaid: [isPlainObject, 'must be an object of mermaid.initialize() options'],
+    include: [isStringList, 'must be an array of glob patterns'],
+    exclude: [isStringList, 'must be an array of glob patterns'],
+    rules: [
+        value => isPlainObject(value) && Object.values(value).every(severity => RULE_SEVERITIES.includes(severity)),
+        `must map rule IDs to one of ${RULE_SEVERITIES.join(', ')}`
+    ],
+    format: [value => REPORT_FORMATS.includes(value), `must be one of ${REPORT_FORMATS.join(', ')}`]
+};
+
+/**
+ * Whether a value is an array of strings
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Check a raw config object and throw on the first problem
+ * @param {*} raw - Parsed config
+ * @param {string} source - Config file, for messages
+ */
+function validateConfig(raw, source) {
+    if (!isPlainObject(raw)) {
+        throw new Error(`Invalid config ${source}: expected an object`);
+    }
+    for (const [key, value] of Object.entries(raw)) {
+        if (!CONFIG_SCHEMA[key]) {
+            throw new Error(`Invalid config ${source}: unknown key "${key}"`);
+        }
+        const [check, message] = CONFIG_SCHEMA[key];
+        if (!check(value)) {
+            throw new Error(`Invalid config ${source}: "${key}" ${message}`);
+        }
+    }
+    for (const ruleId of Object.keys(raw.rules || {})) {
+        if (!ISSUE_RULES.some(rule => rule.id === ruleId)) {
+            // Rule IDs carry their group, e.g. lint/no-orphan-nodes
+            const match = ISSUE_RULES.find(rule => rule.id.endsWith(`/${ruleId}`));
+            const hint = match ? `; did you mean "${match.id}"?` : '';
+            throw new Error(`Invalid config ${source}: unknown rule "${ruleId}" in "rules"${hint}`);
+        }
+    }
+}
+
+/**
+ * Read a config file
+ * @param {string} filePath - One of CONFIG_FILES
+ * @returns {Object|null} - Raw config, or null for a package.json without one
+ * @throws {Error} If the file cannot be parsed or is invalid
+ */
+export function readConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf-8');
+    const name = path.basename(filePath);
+    let raw;
+    try {
+        if (name === 'package.json') {
+            raw = JSON.parse(text)[PACKAGE_JSON_KEY];
+            if (raw === undefined) {
+                return null;
+            }
+        } else if (name.endsWith('.json')) {
+            raw = JSON.parse(text);
+        } else {
+            // YAML is a superset of JSON, so this also reads a JSON .mermaidcheckrc
+            raw = YAML.parse(text) ?? {};
+        }
+    } catch (error) {
+        throw new Error(`Cannot parse config ${filePath}: ${error.message}`);
+    }
+    validateConfig(raw, filePath);
+    return raw;
+}
+
+/**
+ * Apply a directory's own config on top of the inherited one
+ * @param {ProjectConfig} parent
+ * @param {Object} own - Raw config
+ * @param {string} dir - Directory of the config file
+ * @param {string} file - Config file path
+ * @returns {ProjectConfig}
+ */
+function applyConfig(parent, own, dir, file) {
+    const globs = patterns => patterns.map(pattern => ({ pattern, base: dir }));
+    return {
+        mermaid: mergeConfig(parent.mermaid, own.mermaid),
+        include: own.include ? globs(own.include) : parent.include,
+        exclude: [...parent.exclude, ...globs(own.exclude || [])],
+        rules: { ...parent.rules, ...own.rules },
+        format: own.format ?? parent.format,
+        files: [...parent.files, file]
+    };
+}
+
+/**
+ * @typedef {Object} ConfigLoader
+ * @property {(dir: string) => ProjectConfig} forDirectory - Config for files in a directory
+ * @property {(filePath: string) => ProjectConfig} forFile - Config for a file
+ */
+
+/**
+ * Create a config loader; results are cached per directory
+ * @returns {ConfigLoader}
+ */
+export function createConfigLoader() {
+    const cache = new Map();
+
+    const forDirectory = (dir) => {
+        const resolved = path.resolve(dir);
+        if (cache.has(resolved)) {
+            return cache.get(resolved);
+        }
+
+        let own = null;
+        let file = null;
+        for (const name of CONFIG_FILES) {
+            const candidate = path.join(resolved, name);
+            if (fs.existsSync(candidate)) {
+                own = readConfigFile(candidate);
+                if (own) {
+                    file = candidate;
+                    break;
+                }
+            }
+        }
+
+        const parentDir = path.dirname(resolved);
+        const parent = own?.root || parentDir === resolved ? EMPTY_CONFIG : forDirectory(parentDir);
+        const config = own ? applyConfig(parent, own, resolved, file) : parent;
+        cache.set(resolved, config);
+        return config;
+    };
+
+    return {
+        forDirectory,
+        forFile: filePath => forDirectory(path.dirname(path.resolve(filePath)))
+    };
+}
+
+let defaultLoader = createConfigLoader();
+
+/**
+ * Effective config for a file, using a process-wide cache
+ * @param {string} filePath
+ * @returns {ProjectConfig}
+ */
+export function loadConfig(filePath) {
+    return defaultLoader.forFile(filePath);
+}
+
+/**
+ * Forget cached configs (e.g. after a config file changed)
+ */
+export function clearConfigCache() {
+    defaultLoader = createConfigLoader();
+}
+
+/**
+ * Whether a file passes a config's include/exclude globs
+ * @param {ProjectConfig} config
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isIncluded(config, filePath) {
+    const absolute = path.resolve(filePath);
+    const matches = ({ pattern, base }) => {
+        const relative = path.relative(base, absolute);
+        return !relative.startsWith('..')
+            && minimatch(relative.split(path.sep).join('/'), pattern, { dot: true, matchBase: !pattern.includes('/') });
+    };
+    if (config.include && !config.include.some(matches)) {
+        return false;
+    }
+    return !config.exclude.some(matches);
+}
@@ -0,0 +1,272 @@
+/**
+ * In-diagram configuration checks
+ *
+ * A diagram can configure Mermaid itself, either with YAML frontmatter
+ *
+ *   ---
+ *   config:
+ *     theme: forest
+ *   ---
+ *
+ * or with `%%{init: { "theme": "forest" }}%%` directives. Mermaid silently
+ * ignores a directive whose JSON does not parse and config keys it does not
+ * know, so a typo just loses the setting. This module checks both forms
+ * against the installed mermaid's config schema and reports each problem
+ * at the offending key or value.
+ */
+
+import YAML from 'yaml';
+import { loadMermaidConfigSchema, checkConfigValue } from './mermaid-schema.mjs';
+
+/**
+ * Keys Mermaid reads from frontmatter
+ */
+export const FRONTMATTER_KEYS = ['title', 'displayMode', 'config'];
+
+/**
+ * Directive types Mermaid acts on
+ */
+export const DIRECTIVE_TYPES = ['init', 'initialize', 'wrap'];
+
+/**
+ * Keys a diagram may not override (mermaid's default `secure` list)
+ */
+export const SECURE_KEYS = ['secure', 'securityLevel', 'startOnLoad', 'maxTextSize', 'suppressErrorRendering', 'maxEdges'];
+
+/**
+ * Same as mermaid's frontMatterRegex, but also accepts a diagram that ends
+ * right after the closing `---`
+ */
+const FRONTMATTER_REGEX = /^([^\S\n\r]*)-{3}\s*[\n\r](.*?)[\n\r]\1-{3}\s*(?:[\n\r]+|$)/s;
+
+/**
+ * Mermaid's directiveRegex: type in group 1 or 2, a bare argument in
+ * group 3 or JSON arguments in group 4
+ */
+const DIRECTIVE_REGEX = /%{2}{\s*(?:(\w+)\s*:|(\w+))\s*(?:(\w+)|((?:(?!}%{2}).|\r?\n)*))?\s*(?:}%{2})?/gi;
+
+/**
+ * @typedef {import('./location.mjs').Position} Position
+ */
+
+/**
+ * A config problem, positioned in the diagram source
+ * @typedef {Object} ConfigIssue
+ * @property {string} ruleId - e.g. config/unknown-key
+ * @property {string} message
+ * @property {Position} position - Position in the diagram source
+ */
+
+/**
+ * Convert a character offset to a 1-based line and column
+ * @param {string} code
+ * @param {number} offset
+ * @returns {Position}
+ */
+function offsetToPosition(code, offset) {
+    const before = code.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return { line: before.split('\n').length, column: offset - lineStart + 1 };
+}
+
+/**
+ * Offset of the key (or value) a schema problem points at
+ * @param {YAML.Document} doc - Parsed config text
+ * @param {Array<string|number>} keys - Path of the problem
+ * @param {boolean} atKey - Point at the last key rather than its value
+ * @returns {number} - Offset within the parsed text
+ */
+function keyOffset(doc, keys, atKey) {
+    let node = doc.contents;
+    let offset = node?.range?.[0] ?? 0;
+    for (const [i, key] of keys.entries()) {
+        if (YAML.isMap(node)) {
+            const pair = node.items.find(item => String(YAML.isScalar(item.key) ? item.key.value : item.key) === String(key));
+            if (!pair) {
+                break;
+            }
+            if (atKey && i === keys.length - 1) {
+                return pair.key.range[0];
+            }
+            node = pair.value;
+            offset = node?.range?.[0] ?? pair.key.range[0];
+        } else if (YAML.isSeq(node) && node.items[key]) {
+            node = node.items[key];
+            offset = node.range[0];
+        } else {
+            break;
+        }
+    }
+    return offset;
+}
+
+/**
+ * Check a config object and position each problem
+ * @param {Object} config - Config to check
+ * @param {YAML.Document} doc - Parsed text the config came from
+ * @param {Array<string|number>} prefix - Path of `config` within `doc`
+ * @param {(offset: number) => Position} toPosition - Maps `doc` offsets to the diagram
+ * @returns {ConfigIssue[]}
+ */
+function checkConfig(config, doc, prefix, toPosition) {
+    const issues = [];
+    const locate = (keys, atKey) => toPosition(keyOffset(doc, [...prefix, ...keys], atKey));
+
+    if (config !== null && typeof config === 'object' && !Array.isArray(config)) {
+        for (const key of Object.keys(config)) {
+            if (SECURE_KEYS.includes(key) || key.startsWith('__')) {
+                issues.push({
+                    ruleId: 'config/secure-key',
+                    message: `"${key}" cannot be set from a diagram; Mermaid ignores it`,
+                    position: locate([key], true)
+                });
+            }
+        }
+    }
+
+    const schema = loadMermaidConfigSchema();
+    if (schema) {
+        for (const problem of checkConfigValue(config, schema)) {
+            issues.push({
+                ruleId: problem.kind === 'unknown-key' ? 'config/unknown-key' : 'config/invalid-value',
+                message: problem.message,
+                position: locate(problem.path, problem.kind === 'unknown-key')
+            });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Check the YAML frontmatter of a diagram
+ * @param {string} code - Diagram source
+ * @returns {ConfigIssue[]}
+ */
+function checkFrontmatter(code) {
+    const match = code.match(FRONTMATTER_REGEX);
+    if (!match) {
+        return [];
+    }
+    const start = code.indexOf('\n', match[1].length) + 1;
+    const toPosition = offset => offsetToPosition(code, start + offset);
+
+    const doc = YAML.parseDocument(match[2]);
+    if (doc.errors.length > 0) {
+        const error = doc.errors[0];
+        return [{
+            ruleId: 'config/syntax',
+            message: `Invalid frontmatter YAML: ${error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')}`,
+            position: toPosition(error.pos[0])
+        }];
+    }
+
+    const data = doc.toJS();
+    if (data === null || data === undefined) {
+        return [];
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        return [{
+            ruleId: 'config/invalid-value',
+            message: 'Frontmatter must be a mapping of title, displayMode and config',
+            position: toPosition(doc.contents?.range?.[0] ?? 0)
+        }];
+    }
+
+    const issues = [];
+    for (const [key, value] of Object.entries(data)) {
+        if (!FRONTMATTER_KEYS.includes(key)) {
+            issues.push({
+                ruleId: 'config/unknown-key',
+                message: `Unknown frontmatter key "${key}"; expected ${FRONTMATTER_KEYS.join(', ')}`,
+                position: toPosition(keyOffset(doc, [key], true))
+            });
+        } else if (key !== 'config' && typeof value !== 'string') {
+            issues.push({
+                ruleId: 'config/invalid-value',
+                message: `Invalid value ${JSON.stringify(value)} for frontmatter "${key}": expected string`,
+                position: toPosition(keyOffset(doc, [key], false))
+            });
+        }
+    }
+    if (data.config !== undefined) {
+        issues.push(...checkConfig(data.config, doc, ['config'], toPosition));
+    }
+    return issues;
+}
+
+/**
+ * Check the `%%{...}%%` directives of a diagram
+ * @param {string} code - Diagram source
+ * @returns {ConfigIssue[]}
+ */
+function checkDirectives(code) {
+    // Mermaid reads directive arguments as JSON after turning ' into "
+    const text = code.replace(/'/g, '"');
+    const issues = [];
+
+    for (const match of text.matchAll(DIRECTIVE_REGEX)) {
+        const type = match[1] || match[2];
+        const typePosition = offsetToPosition(code, match.index + match[0].indexOf(type));
+        if (!DIRECTIVE_TYPES.includes(type.toLowerCase())) {
+            issues.push({
+                ruleId: 'config/unknown-directive',
+                message: `Unknown directive "${type}"; Mermaid ignores it (expected ${DIRECTIVE_TYPES.join(', ')})`,
+                position: typePosition
+            });
+            continue;
+        }
+        if (!/^init(?:ialize)?$/i.test(type)) {
+            continue;
+        }
+
+        const raw = match[4] || '';
+        const args = raw.trim();
+        const argsStart = match.index + match[0].indexOf(raw) + (raw.length - raw.trimStart().length);
+        const toPosition = offset => offsetToPosition(code, argsStart + offset);
+        if (!match[0].endsWith('}%%')) {
+            issues.push({
+                ruleId: 'config/syntax',
+                message: `Unclosed %%{${type}}%% directive: missing "}%%"`,
+                position: typePosition
+            });
+            continue;
+        }
+
+        let config;
+        try {
+            config = JSON.parse(args);
+        } catch (error) {
+            const offset = Number(error.message.match(/position (\d+)/)?.[1] ?? 0);
+            issues.push({
+                ruleId: 'config/syntax',
+                message: `Invalid %%{${type}}%% JSON: ${error.message.replace(/ in JSON at position \d+.*$/s, '')}`,
+                position: toPosition(offset)
+            });
+            continue;
+        }
+        if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+            issues.push({
+                ruleId: 'config/invalid-value',
+                message: `%%{${type}}%% expects a JSON object of config options`,
+                position: toPosition(0)
+            });
+            continue;
+        }
+
+        // `config` holds options for the current diagram type; Mermaid moves
+        // it under that type's key, which this check does not resolve
+        const { config: _diagramConfig, ...rest } = config;
+        issues.push(...checkConfig(rest, YAML.parseDocument(args), [], toPosition));
+    }
+    return issues;
+}
+
+/**
+ * Check the frontmatter and directive config of a diagram
+ * @param {string} code - Diagram source
+ * @returns {ConfigIssue[]} - Problems, in source order
+ */
+export function checkDiagramConfig(code) {
+    return [...checkFrontmatter(code), ...checkDirectives(code)]
+        .sort((a, b) => a.position.line - b.position.line || a.position.column - b.position.column);
+}
@@ -0,0 +1,96 @@
+/**
+ * Diagram type names
+ *
+ * Types are detected by Mermaid's own registered detectors (see the
+ * validator's detectType()), which skip frontmatter, directives and
+ * comments and know every keyword variant. The detector IDs are
+ * normalized here to the names used in reports and file names.
+ */
+
+import { buildLineMap } from './location.mjs';
+
+/**
+ * Map Mermaid detector IDs to the names used in reports and file names;
+ * IDs not listed are used as is (e.g. gantt, c4, xychart, sankey)
+ */
+export const DIAGRAM_TYPE_ALIASES = {
+    'flowchart-v2': 'flowchart',
+    'flowchart-elk': 'flowchart',
+    'graph': 'flowchart',
+    'sequenceDiagram': 'sequence',
+    'classDiagram': 'class',
+    'stateDiagram': 'state',
+    'erDiagram': 'er',
+    'journey': 'journey-map'
+};
+
+/**
+ * Keywords that start a diagram, including variants and the `-beta`
+ * spellings of newer types; keywords the installed Mermaid does not know
+ * are dropped by listDiagramTypes()
+ */
+export const DIAGRAM_KEYWORDS = [
+    'flowchart', 'graph', 'flowchart-elk',
+    'sequenceDiagram',
+    'classDiagram', 'classDiagram-v2',
+    'stateDiagram', 'stateDiagram-v2',
+    'erDiagram',
+    'gantt',
+    'pie',
+    'journey',
+    'mindmap',
+    'gitGraph',
+    'C4Context', 'C4Container', 'C4Component', 'C4Dynamic', 'C4Deployment',
+    'timeline',
+    'quadrantChart',
+    'requirementDiagram',
+    'xychart', 'xychart-beta',
+    'block', 'block-beta',
+    'sankey', 'sankey-beta',
+    'packet', 'packet-beta',
+    'architecture', 'architecture-beta',
+    'radar-beta',
+    'treemap', 'treemap-beta',
+    'kanban',
+    'zenuml'
+];
+
+/**
+ * Report name for a Mermaid detector ID
+ * @param {string} id - e.g. flowchart-v2, stateDiagram, c4
+ * @returns {string}
+ */
+export function normalizeDiagramType(id) {
+    return DIAGRAM_TYPE_ALIASES[id] || id;
+}
+
+/**
+ * Find the first statement of a diagram, after frontmatter, directives
+ * and comments
+ * @param {string} code - Diagram source
+ * @returns {{ keyword: string, position: import('./location.mjs').Position }|null}
+ *   - First word and its position in `code`, null for an empty diagram
+ */
+export function findDiagramKeyword(code) {
+    const { lines, texts, firstColumnShift } = buildLineMap(code);
+    if (lines.length === 0) {
+        return null;
+    }
+    return {
+        keyword: texts[0].trim().split(/\s+/)[0],
+        position: { line: lines[0] + 1, column: firstColumnShift + 1 }
+    };
+}
+
+/**
+ * Message for a diagram no detector recognizes
+ * @param {string} code - Diagram source
+ * @returns {string}
+ */
+export function unknownDiagramTypeMessage(code) {
+    const found = findDiagramKeyword(code);
+    if (!found) {
+        return 'Unknown diagram type: the diagram is empty';
+    }
+    return `Unknown diagram type "${found.keyword}": no Mermaid diagram starts with this keyword`;
+}
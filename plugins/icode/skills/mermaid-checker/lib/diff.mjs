@@ -0,0 +1,144 @@
+/**
+ * Unified diffs
+ *
+ * Used to show what --fix changes. Documentation files are small, so a
+ * plain LCS table over lines is fast enough and keeps the output identical
+ * to `diff -u` for the simple edits fixes make.
+ */
+
+/**
+ * @typedef {Object} DiffOptions
+ * @property {string} [fromFile] - Name on the `---` line
+ * @property {string} [toFile] - Name on the `+++` line
+ * @property {number} [context] - Unchanged lines around each change (default 3)
+ */
+
+/**
+ * Line edit script: ' ' keep, '-' delete, '+' insert
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<{ op: ' '|'-'|'+', text: string }>}
+ */
+function diffLines(a, b) {
+    // Fixes touch a few lines; only the part between the common prefix and
+    // suffix needs the LCS table
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix
+        && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffix++;
+    }
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+
+    // lcs[i][j]: length of the LCS of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+            lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = a.slice(0, prefix).map(text => ({ op: ' ', text }));
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+        if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+            ops.push({ op: ' ', text: midA[i++] });
+            j++;
+        } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            // Deletions first within a change, as diff -u prints them
+            ops.push({ op: '-', text: midA[i++] });
+        } else {
+            ops.push({ op: '+', text: midB[j++] });
+        }
+    }
+    ops.push(...a.slice(a.length - suffix).map(text => ({ op: ' ', text })));
+    return ops;
+}
+
+/**
+ * Split text into lines; a last line without a newline carries diff's
+ * "No newline" marker, so it differs from the same line with one
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    } else {
+        lines[lines.length - 1] += '\n\\ No newline at end of file';
+    }
+    return lines;
+}
+
+/**
+ * Format a hunk range
+ * @param {number} start - 1-based first line
+ * @param {number} count
+ * @returns {string}
+ */
+function hunkRange(start, count) {
+    // An empty range names the line before it
+    const line = count === 0 ? start - 1 : start;
+    return count === 1 ? String(line) : `${line},${count}`;
+}
+
+/**
+ * Unified diff of two texts
+ * @param {string} before
+ * @param {string} after
+ * @param {DiffOptions} [options]
+ * @returns {string} - Empty when the texts are equal
+ */
+export function unifiedDiff(before, after, options = {}) {
+    if (before === after) {
+        return '';
+    }
+    const context = options.context ?? 3;
+    const ops = diffLines(toLines(before), toLines(after));
+
+    // Changes separated by at most 2 * context unchanged lines share a hunk
+    const changed = ops.map((op, k) => (op.op !== ' ' ? k : -1)).filter(k => k !== -1);
+    const groups = [];
+    for (const k of changed) {
+        const last = groups[groups.length - 1];
+        if (last && k - last.end - 1 <= 2 * context) {
+            last.end = k;
+        } else {
+            groups.push({ start: k, end: k });
+        }
+    }
+
+    const lines = [`--- ${options.fromFile ?? 'a'}`, `+++ ${options.toFile ?? 'b'}`];
+    // Line numbers in each text before every op
+    const oldLine = [];
+    const newLine = [];
+    let o = 1;
+    let n = 1;
+    for (const op of ops) {
+        oldLine.push(o);
+        newLine.push(n);
+        if (op.op !== '+') {
+            o++;
+        }
+        if (op.op !== '-') {
+            n++;
+        }
+    }
+
+    for (const group of groups) {
+        const from = Math.max(0, group.start - context);
+        const to = Math.min(ops.length - 1, group.end + context);
+        const hunk = ops.slice(from, to + 1);
+        const oldCount = hunk.filter(op => op.op !== '+').length;
+        const newCount = hunk.filter(op => op.op !== '-').length;
+        lines.push(`@@ -${hunkRange(oldLine[from], oldCount)} +${hunkRange(newLine[from], newCount)} @@`);
+        lines.push(...hunk.map(op => op.op + op.text));
+    }
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,186 @@
+/**
+ * SVG export
+ *
+ * Renders the valid diagrams of documentation files to standalone SVG
+ * files with the validator's JSDOM + Mermaid instance, for sites that
+ * cannot run Mermaid in the browser. A manifest maps each block's location
+ * to its SVG so a site build can replace the fences with images.
+ *
+ * SVG files mirror the source tree under the output directory and are
+ * named like extracted blocks but keep the source extension
+ * (`docs/README.md_block0_flowchart.svg`), so `doc.md` and `doc.mdx` do not
+ * collide; files
+ * outside the root go under `_external/`, one directory per source
+ * directory, so same-named files never overwrite each other. Each
+ * SVG's element ID derives from the block ID, so re-exporting an unchanged
+ * diagram gives the same file.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { blockFileName } from './extract.mjs';
+import { checkFile } from './check.mjs';
+import { getSharedValidator } from './validator.mjs';
+import { loadConfig, EMPTY_CONFIG } from './config.mjs';
+
+/**
+ * Bumped whenever the manifest format changes
+ */
+export const MANIFEST_VERSION = 1;
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} outDir - Directory the SVG files are written under
+ * @property {string} [root] - Source paths are relative to this directory
+ *   (default: working directory)
+ * @property {import('./validator.mjs').Validator} [validator] - Validator
+ *   to use (default: shared validator)
+ * @property {import('./config.mjs').ProjectConfig|false} [config] - As in
+ *   CheckOptions.config
+ */
+
+/**
+ * One block in the manifest
+ * @typedef {Object} ExportedDiagram
+ * @property {string} source - Documentation file, relative to the root
+ *   (`../` for files outside it)
+ * @property {string} id - Block ID
+ * @property {number} index - 0-based position of the block in the file
+ * @property {number|null} cell - Notebook cell index; null outside notebooks
+ * @property {number} lineStart - Line of the opening fence or directive
+ * @property {number} lineEnd - Last line of the diagram source
+ * @property {string} diagramType
+ * @property {'exported'|'invalid'|'render-error'} status
+ * @property {string|null} svg - SVG file, relative to the output directory
+ *   (relative to the manifest in a written manifest); null unless exported
+ * @property {string|null} error - Why the block was not exported
+ */
+
+/**
+ * Path with forward slashes, as written to the manifest
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Directory for SVGs of files outside the root, under the output directory
+ */
+const EXTERNAL_DIR = '_external';
+
+/**
+ * Where a file's SVGs go, relative to the output directory
+ *
+ * Files under the root keep their directory. Files outside it go to
+ * `_external/<dir name>-<hash of the dir path>`, so `../a/doc.md` and
+ * `../b/doc.md` do not write the same SVG names.
+ *
+ * @param {string} filePath
+ * @param {string} root
+ * @returns {string}
+ */
+function outputSubdir(filePath, root) {
+    const relative = path.relative(root, path.resolve(filePath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        const dir = path.dirname(path.resolve(filePath));
+        const hash = crypto.createHash('sha256').update(dir).digest('hex').slice(0, 8);
+        const name = path.basename(dir).replace(/[^\w.-]+/g, '_') || 'root';
+        return path.join(EXTERNAL_DIR, `${name}-${hash}`);
+    }
+    return path.dirname(relative);
+}
+
+/**
+ * Render every valid diagram of a file to SVG
+ *
+ * Diagrams that fail to parse, have an error-level issue or fail to render
+ * are listed in the result with their error; no SVG is written for them.
+ *
+ * @param {string} filePath - Documentation file
+ * @param {ExportOptions} options
+ * @returns {Promise<ExportedDiagram[]>}
+ */
+export async function exportFile(filePath, options) {
+    const validator = options.validator || await getSharedValidator();
+    const root = path.resolve(options.root || process.cwd());
+    const subdir = outputSubdir(filePath, root);
+    // Render with the same Mermaid options the diagrams were checked with
+    const config = options.config === false ? EMPTY_CONFIG : options.config || loadConfig(path.resolve(filePath));
+    const result = await checkFile(filePath, { validator, config });
+
+    const exported = [];
+    for (const diag of result.diagrams) {
+        const entry = {
+            source: toPosix(path.relative(root, path.resolve(filePath))),
+            id: diag.id,
+            index: diag.index,
+            cell: diag.cell ?? null,
+            lineStart: diag.lineStart,
+            lineEnd: diag.lineEnd,
+            diagramType: diag.diagramType,
+            status: 'exported',
+            svg: null,
+            error: null
+        };
+        exported.push(entry);
+
+        if (!diag.valid) {
+            const issue = diag.issues.find(candidate => candidate.severity === 'error');
+            entry.status = 'invalid';
+            entry.error = diag.error || (issue ? `[${issue.ruleId}] ${issue.message}` : null);
+            continue;
+        }
+
+        let svg;
+        try {
+            svg = await validator.render(diag.code, { config: config.mermaid, id: `mermaid-${diag.id}` });
+        } catch (error) {
+            entry.status = 'render-error';
+            entry.error = error.message || String(error);
+            continue;
+        }
+        // doc.md and doc.mdx in one directory must not share SVG names
+        const svgFile = path.join(subdir, blockFileName(filePath, diag, diag.diagramType, '.svg', { keepExtension: true }));
+        fs.mkdirSync(path.join(options.outDir, path.dirname(svgFile)), { recursive: true });
+        fs.writeFileSync(path.join(options.outDir, svgFile), svg + '\n', 'utf-8');
+        entry.svg = toPosix(svgFile);
+    }
+    return exported;
+}
+
+/**
+ * A file that could not be exported at all
+ * @typedef {Object} ExportError
+ * @property {string} source - Documentation file, as for ExportedDiagram
+ * @property {string} error
+ */
+
+/**
+ * Write the manifest of an export
+ *
+ * SVG paths are rewritten relative to the manifest's directory.
+ *
+ * @param {string} manifestPath
+ * @param {ExportedDiagram[]} diagrams - From exportFile()
+ * @param {{ outDir: string, mermaidVersion: string, errors?: ExportError[] }} options -
+ *   `errors` lists files that could not be read
+ * @returns {Object} - The manifest document
+ */
+export function writeManifest(manifestPath, diagrams, { outDir, mermaidVersion, errors = [] }) {
+    const base = path.dirname(path.resolve(manifestPath));
+    const manifest = {
+        version: MANIFEST_VERSION,
+        mermaidVersion,
+        diagrams: diagrams.map(diagram => ({
+            ...diagram,
+            svg: diagram.svg && toPosix(path.relative(base, path.resolve(outDir, diagram.svg)))
+        })),
+        errors
+    };
+    fs.mkdirSync(base, { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+    return manifest;
+}
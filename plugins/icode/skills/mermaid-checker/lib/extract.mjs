@@ -0,0 +1,305 @@
+/**
+ * Mermaid block extraction
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * @typedef {Object} MermaidBlock
+ * @property {string} id - Content-derived ID, stable when the block moves
+ * @property {string} code - Diagram source between the fences
+ * @property {number} lineStart - 1-based line of the opening fence
+ * @property {number} lineEnd - 1-based line of the last diagram line
+ * @property {number} codeStart - 1-based line of the first diagram line
+ * @property {number} index - 0-based position of the block in the file
+ * @property {number[]} columnOffsets - For each diagram line, the number of
+ *   characters (container markers and indentation) stripped from the start
+ *   of the source line
+ * @property {string|null} fenceError - Set when the fence is unclosed
+ * @property {number} [cell] - Notebook cell index; lines are then relative
+ *   to the cell source
+ */
+
+/**
+ * @typedef {Object} OpenFence
+ * @property {string} char - '`' or '~'
+ * @property {number} length - Number of fence characters
+ * @property {number} indent - Column of the opening fence within its container
+ * @property {number} quoteDepth - Blockquote nesting of the fence
+ * @property {number} base - Content column of the enclosing list item (0 if none)
+ * @property {boolean} mermaid - Whether the info string names Mermaid
+ * @property {number} line - 1-based line of the opening fence
+ * @property {string[]} content - Collected diagram lines
+ * @property {number[]} offsets - Stripped prefix length per collected line
+ * @property {number|null} strayFenceLine - First line that looked like a
+ *   closing fence but did not match the opening one
+ */
+
+const LIST_MARKER = /^( {0,3})([-+*]|\d{1,9}[.)])( {1,4}|$)/;
+const FENCE_OPEN = /^(`{3,}|~{3,})(.*)$/;
+
+/**
+ * Split content into lines, dropping a BOM and accepting LF, CRLF and CR
+ * @param {string} content - Raw file content
+ * @returns {string[]}
+ */
+export function splitLines(content) {
+    return content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+}
+
+/**
+ * Count leading indentation, expanding tabs to 4-column stops
+ * @param {string} text
+ * @returns {{ columns: number, chars: number }}
+ */
+function leadingIndent(text) {
+    let columns = 0;
+    let chars = 0;
+    while (chars < text.length && (text[chars] === ' ' || text[chars] === '\t')) {
+        columns = text[chars] === '\t' ? columns + 4 - (columns % 4) : columns + 1;
+        chars++;
+    }
+    return { columns, chars };
+}
+
+/**
+ * Remove up to `columns` columns of indentation
+ * @param {string} text
+ * @param {number} columns
+ * @returns {{ text: string, removed: number }} - Remaining text and characters removed
+ */
+function stripIndent(text, columns) {
+    let col = 0;
+    let i = 0;
+    while (i < text.length && col < columns && (text[i] === ' ' || text[i] === '\t')) {
+        col = text[i] === '\t' ? col + 4 - (col % 4) : col + 1;
+        i++;
+    }
+    return { text: text.slice(i), removed: i };
+}
+
+/**
+ * Strip blockquote markers (`>`, up to 3 spaces before, 1 optional after)
+ * @param {string} line
+ * @returns {{ depth: number, rest: string, prefix: number }}
+ */
+function stripBlockquotes(line) {
+    let rest = line;
+    let depth = 0;
+    let prefix = 0;
+    for (;;) {
+        const match = rest.match(/^ {0,3}> ?/);
+        if (!match) {
+            break;
+        }
+        depth++;
+        prefix += match[0].length;
+        rest = rest.slice(match[0].length);
+    }
+    return { depth, rest, prefix };
+}
+
+/**
+ * Parse an opening code fence
+ * @param {string} text - Line content with container markers removed
+ * @returns {{ char: string, length: number, info: string }|null}
+ */
+function parseOpeningFence(text) {
+    const match = text.match(FENCE_OPEN);
+    if (!match) {
+        return null;
+    }
+    const fence = match[1];
+    const info = match[2].trim();
+    // Backtick fences may not have backticks in the info string
+    if (fence[0] === '`' && info.includes('`')) {
+        return null;
+    }
+    return { char: fence[0], length: fence.length, info };
+}
+
+/**
+ * Whether a line (relative to its container) closes the given fence
+ * @param {string} text - Line content with blockquote markers removed
+ * @param {OpenFence} fence
+ * @returns {'close'|'stray'|null} - 'stray' for a fence-like line that
+ *   does not match (different character or too short)
+ */
+function matchClosingFence(text, fence) {
+    const { columns, chars } = leadingIndent(text);
+    if (columns - fence.base > 3 || columns < fence.base) {
+        return null;
+    }
+    const match = text.slice(chars).match(/^(`{3,}|~{3,})[ \t]*$/);
+    if (!match) {
+        return null;
+    }
+    const run = match[1];
+    return run[0] === fence.char && run.length >= fence.length ? 'close' : 'stray';
+}
+
+/**
+ * Extract Mermaid code blocks from Markdown content
+ *
+ * Follows the CommonMark fenced code block rules: backtick and tilde
+ * fences of three or more characters, info strings with attributes
+ * (`mermaid title="x"`), and fences inside blockquotes and list items.
+ * Fences of other languages are tracked too, so a ```mermaid line inside
+ * another code block is not mistaken for a diagram.
+ *
+ * A Mermaid fence that is never closed is still returned, with
+ * `fenceError` describing the problem.
+ *
+ * @param {string} content - Markdown file content
+ * @returns {MermaidBlock[]}
+ */
+export function extractMermaidBlocks(content) {
+    const blocks = [];
+    const lines = splitLines(content);
+    let listIndents = [];
+    let listDepth = 0;
+    /** @type {OpenFence|null} */
+    let fence = null;
+
+    const finishBlock = (lineEnd, fenceError) => {
+        if (fence.mermaid) {
+            blocks.push({
+                id: null,
+                code: fence.content.join('\n'),
+                lineStart: fence.line,
+                lineEnd,
+                codeStart: fence.line + 1,
+                index: blocks.length,
+                columnOffsets: fence.offsets,
+                fenceError
+            });
+        }
+        fence = null;
+    };
+
+    const unclosedError = () => {
+        const marker = fence.char.repeat(fence.length);
+        let message = `Unclosed mermaid fence: ${marker} opened on line ${fence.line} is never closed`;
+        if (fence.strayFenceLine) {
+            message += ` (line ${fence.strayFenceLine} has a fence that does not match ${marker})`;
+        }
+        return message;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineNumber = i + 1; // Line numbers are 1-based
+        const { depth, rest, prefix } = stripBlockquotes(lines[i]);
+        const blank = rest.trim() === '';
+
+        if (fence) {
+            // Leaving the fence's blockquote or list item ends the fence
+            const leftQuote = depth < fence.quoteDepth;
+            const leftList = !blank && fence.base > 0 && leadingIndent(rest).columns < fence.base;
+            if (leftQuote || leftList) {
+                finishBlock(lineNumber - 1, unclosedError());
+            } else {
+                const closing = matchClosingFence(rest, fence);
+                if (closing === 'close') {
+                    finishBlock(lineNumber - 1, null);
+                    continue;
+                }
+                if (closing === 'stray' && !fence.strayFenceLine) {
+                    fence.strayFenceLine = lineNumber;
+                }
+                const stripped = stripIndent(rest, fence.indent);
+                fence.content.push(stripped.text);
+                fence.offsets.push(prefix + stripped.removed);
+                continue;
+            }
+        }
+
+        // Track list items so indented fences inside them are recognized
+        if (depth !== listDepth) {
+            listIndents = [];
+            listDepth = depth;
+        }
+        let text = rest;
+        let column = 0;
+        const marker = rest.match(LIST_MARKER);
+        if (marker) {
+            const markerIndent = marker[1].length;
+            listIndents = listIndents.filter(indent => indent <= markerIndent);
+            // A marker followed by 5+ spaces starts indented code; content begins after one space
+            const contentIndent = marker[3].length > 4
+                ? markerIndent + marker[2].length + 1
+                : marker[0].length;
+            listIndents.push(contentIndent);
+            column = marker[0].length;
+            text = rest.slice(marker[0].length);
+        } else if (!blank) {
+            const indent = leadingIndent(rest).columns;
+            listIndents = listIndents.filter(contentIndent => contentIndent <= indent);
+        }
+
+        const base = listIndents.length > 0 ? listIndents[listIndents.length - 1] : 0;
+        const { columns, chars } = leadingIndent(text);
+        const indent = column + columns;
+        if (indent - base > 3) {
+            continue;
+        }
+
+        const opening = parseOpeningFence(text.slice(chars));
+        if (opening) {
+            fence = {
+                char: opening.char,
+                length: opening.length,
+                indent,
+                quoteDepth: depth,
+                base,
+                mermaid: opening.info.split(/\s+/)[0] === 'mermaid',
+                line: lineNumber,
+                content: [],
+                offsets: [],
+                strayFenceLine: null
+            };
+        }
+    }
+
+    if (fence) {
+        finishBlock(lines.length, unclosedError());
+    }
+
+    assignBlockIds(blocks);
+    return blocks;
+}
+
+/**
+ * Give each block an ID derived from its content
+ *
+ * Identical diagrams in one file get `-2`, `-3`, ... suffixes in order of
+ * appearance so IDs stay unique within the file.
+ *
+ * @param {MermaidBlock[]} blocks - Blocks to update in place
+ */
+export function assignBlockIds(blocks) {
+    const seen = new Map();
+    for (const block of blocks) {
+        const hash = crypto.createHash('sha256').update(block.code).digest('hex').slice(0, 12);
+        const count = (seen.get(hash) || 0) + 1;
+        seen.set(hash, count);
+        block.id = count === 1 ? hash : `${hash}-${count}`;
+    }
+}
+
+/**
+ * Build the file name used when a block is written out on its own,
+ * e.g. `README_block0_flowchart.mmd`
+ * @param {string} sourceFile - Path of the file the block came from
+ * @param {MermaidBlock} block - Extracted block
+ * @param {string} diagramType - Detected diagram type
+ * @param {string} [ext='.mmd'] - Output extension
+ * @param {{ keepExtension?: boolean }} [options] - `keepExtension` keeps
+ *   the source extension (`README.md_block0_flowchart.mmd`), so files that
+ *   differ only in extension get different names
+ * @returns {string}
+ */
+export function blockFileName(sourceFile, block, diagramType, ext = '.mmd', options = {}) {
+    const baseName = options.keepExtension ? path.basename(sourceFile) : path.basename(sourceFile, path.extname(sourceFile));
+    return `${baseName}_block${block.index}_${diagramType}${ext}`;
+}
@@ -0,0 +1,186 @@
+/**
+ * Input file discovery
+ *
+ * Expands the files, directories and glob patterns given on the command
+ * line into a sorted list of documents to check. `node_modules` and `.git`
+ * are always skipped; `--ignore` patterns, `.gitignore` and
+ * `.mermaidcheckignore` (gitignore syntax, read from every directory
+ * between the project root and the file) are applied to every input.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { glob, hasMagic } from 'glob';
+import ignore from 'ignore';
+import { SUPPORTED_EXTENSIONS } from './sources/index.mjs';
+
+/**
+ * Directory names that are never searched
+ */
+export const ALWAYS_SKIPPED = ['node_modules', '.git'];
+
+/**
+ * Ignore files honored in every directory, in gitignore syntax
+ */
+export const IGNORE_FILES = ['.gitignore', '.mermaidcheckignore'];
+
+const GLOB_IGNORE = ALWAYS_SKIPPED.map(name => `**/${name}/**`);
+const SUPPORTED = new Set(SUPPORTED_EXTENSIONS.map(ext => `.${ext}`));
+
+/**
+ * @typedef {Object} IgnoreOptions
+ * @property {string} [cwd=process.cwd()] - Base for `patterns`
+ * @property {string[]} [patterns=[]] - Extra gitignore-style patterns
+ * @property {boolean} [useIgnoreFiles=true] - Honor .gitignore and .mermaidcheckignore
+ */
+
+/**
+ * @typedef {Object} ResolveOptions
+ * @property {string} [cwd=process.cwd()] - Base for relative inputs
+ * @property {boolean} [recursive=false] - Search directories recursively
+ * @property {(filePath: string) => boolean} [isIgnored] - Ignore filter
+ */
+
+/**
+ * @typedef {Object} ResolvedInputs
+ * @property {string[]} files - Absolute paths, sorted and de-duplicated
+ * @property {string[]} missing - Inputs that name no existing file or directory
+ * @property {string[]} unmatched - Glob patterns that matched nothing
+ */
+
+/**
+ * Convert a relative path to the forward-slash form gitignore rules use
+ * @param {string} relative
+ * @returns {string}
+ */
+function toPosix(relative) {
+    return relative.split(path.sep).join('/');
+}
+
+/**
+ * Whether a path relative to some base stays inside it
+ * @param {string} relative
+ * @returns {boolean}
+ */
+function isInside(relative) {
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Nearest ancestor of `dir` containing `.git`, or `dir` itself
+ * @param {string} dir
+ * @returns {string}
+ */
+export function findProjectRoot(dir) {
+    let current = path.resolve(dir);
+    while (true) {
+        if (fs.existsSync(path.join(current, '.git'))) {
+            return current;
+        }
+        const parent = path.dirname(current);
+        if (parent === current) {
+            return path.resolve(dir);
+        }
+        current = parent;
+    }
+}
+
+/**
+ * Build a predicate telling whether a file should be skipped
+ * @param {IgnoreOptions} [options]
+ * @returns {(filePath: string) => boolean}
+ */
+export function createIgnoreFilter(options = {}) {
+    const { cwd = process.cwd(), patterns = [], useIgnoreFiles = true } = options;
+    const root = findProjectRoot(cwd);
+    const cliRules = ignore().add(patterns);
+    const dirRules = new Map();
+
+    const rulesFor = (dir) => {
+        if (!dirRules.has(dir)) {
+            const contents = IGNORE_FILES
+                .map(name => path.join(dir, name))
+                .filter(file => fs.existsSync(file))
+                .map(file => fs.readFileSync(file, 'utf-8'));
+            dirRules.set(dir, contents.length > 0 ? ignore().add(contents.join('\n')) : null);
+        }
+        return dirRules.get(dir);
+    };
+
+    return (filePath) => {
+        const absolute = path.resolve(cwd, filePath);
+        if (absolute.split(path.sep).some(part => ALWAYS_SKIPPED.includes(part))) {
+            return true;
+        }
+
+        const fromCwd = path.relative(cwd, absolute);
+        if (patterns.length > 0 && isInside(fromCwd) && cliRules.ignores(toPosix(fromCwd))) {
+            return true;
+        }
+
+        const fromRoot = path.relative(root, absolute);
+        if (!useIgnoreFiles || !isInside(fromRoot)) {
+            return false;
+        }
+        // Each directory's rules apply to paths relative to that directory
+        const parts = toPosix(fromRoot).split('/');
+        let dir = root;
+        for (let i = 0; i < parts.length; i++) {
+            const rules = rulesFor(dir);
+            if (rules && rules.ignores(parts.slice(i).join('/'))) {
+                return true;
+            }
+            dir = path.join(dir, parts[i]);
+        }
+        return false;
+    };
+}
+
+/**
+ * Expand files, directories and glob patterns into documents to check
+ *
+ * Directories and globs only yield supported file types; files named
+ * explicitly are checked whatever their extension.
+ *
+ * @param {string[]} inputs - Paths and patterns from the command line
+ * @param {ResolveOptions} [options]
+ * @returns {Promise<ResolvedInputs>}
+ */
+export async function resolveInputs(inputs, options = {}) {
+    const { cwd = process.cwd(), recursive = false, isIgnored = () => false } = options;
+    const found = new Set();
+    const missing = [];
+    const unmatched = [];
+    const extensions = `*.{${SUPPORTED_EXTENSIONS.join(',')}}`;
+
+    for (const input of inputs) {
+        const absolute = path.resolve(cwd, input);
+        const stat = fs.statSync(absolute, { throwIfNoEntry: false });
+        let matches;
+
+        if (stat?.isDirectory()) {
+            matches = await glob(recursive ? `**/${extensions}` : extensions, {
+                cwd: absolute, absolute: true, nodir: true, ignore: GLOB_IGNORE
+            });
+        } else if (stat) {
+            matches = [absolute];
+        } else if (hasMagic(input)) {
+            matches = (await glob(input, { cwd, absolute: true, nodir: true, ignore: GLOB_IGNORE }))
+                .filter(file => SUPPORTED.has(path.extname(file).toLowerCase()));
+            if (matches.length === 0) {
+                unmatched.push(input);
+            }
+        } else {
+            missing.push(input);
+            continue;
+        }
+
+        for (const file of matches) {
+            if (!isIgnored(file)) {
+                found.add(file);
+            }
+        }
+    }
+
+    return { files: [...found].sort(), missing, unmatched };
+}
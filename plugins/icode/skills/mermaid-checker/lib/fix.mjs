@@ -0,0 +1,397 @@
+/**
+ * Automatic fixes for common Mermaid mistakes
+ *
+ * Each fix is a deterministic, line-preserving rewrite of one kind of
+ * mistake (an unquoted label with brackets in it, a node called `end`,
+ * ...). A block's fixed source is only written back into its document
+ * when it parses; otherwise the block is left exactly as it was.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { splitLines } from './extract.mjs';
+import { getSourceAdapter } from './sources/index.mjs';
+import { buildLineMap } from './location.mjs';
+import { detectDiagramType } from './check.mjs';
+import { getSharedValidator } from './validator.mjs';
+import { loadConfig, EMPTY_CONFIG } from './config.mjs';
+import { unifiedDiff } from './diff.mjs';
+
+/**
+ * @typedef {Object} FixContext
+ * @property {string} diagramType - Normalized diagram type
+ * @property {string} endReplacement - New ID for nodes called `end`
+ */
+
+/**
+ * @typedef {Object} Fix
+ * @property {string} id - Stable fix ID
+ * @property {string} description - One-line description
+ * @property {string[]|null} diagramTypes - Types the fix applies to, null for all
+ * @property {(line: string, context: FixContext) => string} apply - Rewrite one body line
+ */
+
+/**
+ * Characters that break (or may break) an unquoted flowchart label
+ */
+const RISKY_LABEL = /[()[\]{}:（）【】「」『』：；，。！？、《》“”‘’]/;
+
+/**
+ * Node shape delimiters, longest openers first
+ */
+const SHAPES = [
+    ['(((', ')))'], ['((', '))'], ['([', '])'], ['[[', ']]'], ['[(', ')]'],
+    ['{{', '}}'], ['(', ')'], ['[', ']'], ['{', '}'], ['>', ']']
+];
+
+/**
+ * What may follow a node shape: end of statement, a link, `&`, `:::class`
+ */
+const AFTER_SHAPE = /^\s*(?:$|[-=.~<&;]|:::)/;
+
+/**
+ * Diagram types where a trailing `;` is not a statement separator and
+ * makes the parser fail
+ */
+const NO_SEMICOLON_TYPES = ['class', 'er', 'pie', 'gantt'];
+
+/**
+ * @typedef {Object} LabelSpan
+ * @property {number} start - Offset of the label text
+ * @property {number} end - Offset just past the label text
+ * @property {'shape'|'pipe'|'text'|'string'} kind
+ */
+
+/**
+ * Find the labels of a flowchart line: node shapes, `|edge labels|`,
+ * `-- edge text -->` and quoted strings
+ * @param {string} text - One line of a flowchart
+ * @returns {LabelSpan[]}
+ */
+function flowchartLabels(text) {
+    const spans = [];
+    const subgraph = /^\s*subgraph\s/.test(text);
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const previous = text[i - 1] || '';
+
+        if (char === '"') {
+            const close = text.indexOf('"', i + 1);
+            if (close === -1) {
+                break;
+            }
+            spans.push({ start: i + 1, end: close, kind: 'string' });
+            i = close + 1;
+            continue;
+        }
+
+        // A shape opens right after a node ID (or after the ID of a subgraph)
+        const afterId = /[\p{L}\p{N}_]/u.test(previous) || (subgraph && /\s/.test(previous) && i > text.indexOf('subgraph') + 9);
+        const shape = afterId && SHAPES.find(([open]) => text.startsWith(open, i));
+        if (shape) {
+            const [open, close] = shape;
+            const start = i + open.length;
+            // A quoted label may contain the closing delimiter
+            const quoted = text[start] === '"' ? text.indexOf('"', start + 1) : start;
+            let end = text.indexOf(close, quoted === -1 ? start : quoted);
+            while (end !== -1 && !AFTER_SHAPE.test(text.slice(end + close.length))) {
+                end = text.indexOf(close, end + 1);
+            }
+            if (end !== -1) {
+                spans.push({ start, end, kind: 'shape' });
+                i = end + close.length;
+                continue;
+            }
+        }
+
+        // |edge label| after a link
+        if (char === '|' && /[-=.>ox]\s*$/.test(text.slice(0, i))) {
+            const close = text.indexOf('|', i + 1);
+            if (close !== -1) {
+                spans.push({ start: i + 1, end: close, kind: 'pipe' });
+                i = close + 1;
+                continue;
+            }
+        }
+
+        // -- edge text -->
+        const link = !/[-=.<]/.test(previous) && text.slice(i).match(/^(--|==|-\.)\s/);
+        if (link) {
+            const close = text.slice(i + 2).match(/\s(?:-{2,}[>ox]?|={2,}[>ox]?|\.+-[>ox]?)/);
+            if (close) {
+                spans.push({ start: i + 2, end: i + 2 + close.index + 1, kind: 'text' });
+                i += 2 + close.index + close[0].length;
+                continue;
+            }
+        }
+        i++;
+    }
+    return spans;
+}
+
+/**
+ * Blank out labels so syntax rewrites cannot touch them
+ * @param {string} text
+ * @param {LabelSpan[]} spans
+ * @returns {string}
+ */
+function maskLabels(text, spans) {
+    let masked = text;
+    for (const { start, end } of spans) {
+        masked = masked.slice(0, start) + ' '.repeat(end - start) + masked.slice(end);
+    }
+    return masked;
+}
+
+/**
+ * Quote node and edge labels that contain brackets, colons or Chinese
+ * punctuation: `A[Start (init)]` becomes `A["Start (init)"]`
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteLabels(text) {
+    let fixed = text;
+    // Right to left, so earlier offsets stay valid
+    for (const { start, end, kind } of flowchartLabels(text).reverse()) {
+        const label = text.slice(start, end);
+        if ((kind !== 'shape' && kind !== 'pipe') || /^\s*["`]/.test(label) || label.includes('"') || !RISKY_LABEL.test(label)) {
+            continue;
+        }
+        fixed = `${fixed.slice(0, start)}"${label.trim()}"${fixed.slice(end)}`;
+    }
+    return fixed;
+}
+
+/**
+ * Rename nodes called `end`, which flowcharts read as the end of a subgraph
+ * @param {string} text
+ * @param {FixContext} context
+ * @returns {string}
+ */
+function renameEndNodes(text, context) {
+    // Labels and a trailing `%%` comment are not node IDs
+    const labelsMasked = maskLabels(text, flowchartLabels(text));
+    const comment = labelsMasked.search(/%%(?!\{)/);
+    const masked = comment === -1 ? labelsMasked : labelsMasked.slice(0, comment) + ' '.repeat(labelsMasked.length - comment);
+    let fixed = text;
+    let offset = 0;
+    for (const statement of masked.split(';')) {
+        // A statement of its own `end` closes a subgraph
+        if (statement.trim() !== 'end') {
+            for (const match of statement.matchAll(/(?<![\p{L}\p{N}_.$])end(?![\p{L}\p{N}_.$])/gu)) {
+                const at = offset + match.index + (fixed.length - text.length);
+                fixed = fixed.slice(0, at) + context.endReplacement + fixed.slice(at + 3);
+            }
+        }
+        offset += statement.length + 1;
+    }
+    return fixed;
+}
+
+/**
+ * Drop semicolons the parser does not expect: trailing ones in diagram
+ * types without statement separators, and CSS-style ones between
+ * style properties (`fill:#f9f;stroke:#333` becomes `fill:#f9f,stroke:#333`)
+ * @param {string} text
+ * @param {FixContext} context
+ * @returns {string}
+ */
+function removeStraySemicolons(text, context) {
+    if (/^\s*(style|classDef|linkStyle)\s/.test(text)) {
+        return text.replace(/;\s*(?=[\w-]+\s*:)/g, ',');
+    }
+    if (NO_SEMICOLON_TYPES.includes(context.diagramType)) {
+        // Only outside quoted strings
+        const masked = text.replace(/"[^"]*"/g, match => ' '.repeat(match.length));
+        const trailing = masked.match(/;[;\s]*$/);
+        if (trailing) {
+            return text.slice(0, trailing.index) + text.slice(trailing.index).replace(/;/g, '');
+        }
+    }
+    return text;
+}
+
+/**
+ * Write line breaks as `<br/>`
+ * @param {string} text
+ * @returns {string}
+ */
+function selfCloseLineBreaks(text) {
+    return text.replace(/<br\s*>/gi, '<br/>');
+}
+
+/**
+ * @type {Fix[]}
+ */
+export const FIXES = [
+    {
+        id: 'quote-labels',
+        description: 'Quote labels that contain (), [], {}, ":" or Chinese punctuation',
+        diagramTypes: ['flowchart'],
+        apply: quoteLabels
+    },
+    {
+        id: 'rename-end-node',
+        description: 'Rename nodes called "end" (a reserved word in flowcharts)',
+        diagramTypes: ['flowchart'],
+        apply: renameEndNodes
+    },
+    {
+        id: 'stray-semicolons',
+        description: 'Remove semicolons the diagram type does not allow',
+        diagramTypes: null,
+        apply: removeStraySemicolons
+    },
+    {
+        id: 'self-closing-br',
+        description: 'Write <br> as <br/>',
+        diagramTypes: null,
+        apply: selfCloseLineBreaks
+    }
+];
+
+/**
+ * Apply every fix that matches a diagram's type
+ * @param {string} code - Diagram source
+ * @param {string} diagramType - Normalized diagram type
+ * @returns {{ code: string, fixes: string[] }} - Fixed source (same number
+ *   of lines) and the IDs of the fixes that changed it
+ */
+export function fixDiagram(code, diagramType) {
+    const lines = code.split('\n');
+    const ids = ['End', 'END', 'end_'];
+    const context = {
+        diagramType,
+        endReplacement: ids.find(id => !new RegExp(`(?<![\\w$])${id}(?![\\w$])`).test(code)) || 'end_node'
+    };
+    const applied = new Set();
+
+    // Body lines only: not the header, frontmatter, directives or comments
+    const { lines: body } = buildLineMap(code);
+    for (const index of body.slice(1)) {
+        if (lines[index].includes('%%{')) {
+            continue;
+        }
+        for (const fix of FIXES) {
+            if (fix.diagramTypes && !fix.diagramTypes.includes(diagramType)) {
+                continue;
+            }
+            const fixed = fix.apply(lines[index], context);
+            if (fixed !== lines[index]) {
+                applied.add(fix.id);
+                lines[index] = fixed;
+            }
+        }
+    }
+    return { code: lines.join('\n'), fixes: FIXES.map(fix => fix.id).filter(id => applied.has(id)) };
+}
+
+/**
+ * What happened to one block
+ * @typedef {Object} BlockFix
+ * @property {number} index - Block index in the file
+ * @property {number} line - Line of the block's opening fence
+ * @property {string[]} fixes - Fix IDs that changed the block
+ * @property {'fixed'|'unparsed'|'unsupported'} status - `unparsed` when the
+ *   fixed diagram still fails to parse, `unsupported` when it cannot be
+ *   written back (notebook cells, HTML with entities)
+ * @property {string|null} error - Parse error of the fixed diagram
+ */
+
+/**
+ * @typedef {Object} ContentFix
+ * @property {string} content - Document with every fixed block written back
+ * @property {boolean} changed
+ * @property {BlockFix[]} blocks - Blocks that any fix changed
+ */
+
+/**
+ * Fix the Mermaid blocks of a document
+ * @param {string} content - Document text
+ * @param {Object} options
+ * @param {string} options.filePath - Picks the source adapter
+ * @param {import('./validator.mjs').Validator} [options.validator]
+ * @param {Object} [options.mermaidConfig] - mermaid.initialize() options
+ * @returns {Promise<ContentFix>}
+ */
+export async function fixContent(content, options) {
+    const validator = options.validator || await getSharedValidator();
+    const blocks = getSourceAdapter(options.filePath).extract(content);
+    const lines = splitLines(content);
+    const outcomes = [];
+
+    for (const block of blocks) {
+        if (block.fenceError) {
+            continue;
+        }
+        const diagramType = await detectDiagramType(block.code, { validator, mermaidConfig: options.mermaidConfig });
+        const { code, fixes } = fixDiagram(block.code, diagramType);
+        if (fixes.length === 0) {
+            continue;
+        }
+
+        const outcome = { index: block.index, line: block.lineStart, fixes, status: 'fixed', error: null };
+        outcomes.push(outcome);
+
+        // Only blocks whose lines appear verbatim in the file can be written back
+        const original = block.code.split('\n');
+        const writable = block.cell === undefined && original.every((text, i) =>
+            lines[block.codeStart - 1 + i]?.slice(block.columnOffsets[i]) === text);
+        if (!writable) {
+            outcome.status = 'unsupported';
+            continue;
+        }
+
+        const result = await validator(code, { config: options.mermaidConfig });
+        if (!result.valid) {
+            outcome.status = 'unparsed';
+            outcome.error = result.error;
+            continue;
+        }
+        code.split('\n').forEach((text, i) => {
+            const line = block.codeStart - 1 + i;
+            lines[line] = lines[line].slice(0, block.columnOffsets[i]) + text;
+        });
+    }
+
+    const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const fixed = outcomes.some(outcome => outcome.status === 'fixed') ? bom + lines.join(eol) : content;
+    return { content: fixed, changed: fixed !== content, blocks: outcomes };
+}
+
+/**
+ * @typedef {ContentFix & { filePath: string, diff: string }} FileFix
+ */
+
+/**
+ * Fix the Mermaid blocks of a file
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {import('./validator.mjs').Validator} [options.validator]
+ * @param {import('./config.mjs').ProjectConfig|false} [options.config] - Project
+ *   config; found from the file's location when omitted, `false` to ignore
+ * @param {boolean} [options.write] - Write the fixed file (default: true)
+ * @returns {Promise<FileFix>} - `diff` is a unified diff of the changes
+ */
+export async function fixFile(filePath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const config = options.config === false ? EMPTY_CONFIG : options.config || loadConfig(filePath);
+    const result = await fixContent(content, { filePath, validator: options.validator, mermaidConfig: config.mermaid });
+    if (result.changed && options.write !== false) {
+        fs.writeFileSync(filePath, result.content, 'utf-8');
+    }
+    // git-style a/ b/ names for files under the working directory
+    const relative = path.relative(process.cwd(), filePath);
+    const inside = !relative.startsWith('..') && !path.isAbsolute(relative);
+    return {
+        filePath,
+        ...result,
+        diff: unifiedDiff(content, result.content, {
+            fromFile: inside ? `a/${relative}` : filePath,
+            toFile: inside ? `b/${relative}` : filePath
+        })
+    };
+}
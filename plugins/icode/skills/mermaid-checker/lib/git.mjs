@@ -0,0 +1,167 @@
+/**
+ * Git integration
+ *
+ * Lists the files a change touches, with the line ranges of its hunks, and
+ * installs the pre-commit hook. Everything goes through the git CLI of the
+ * local repository.
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Marker line identifying hooks written by installPreCommitHook()
+ */
+export const HOOK_MARKER = '# Installed by mermaid-check.mjs install-hook';
+
+/**
+ * A file changed against a ref
+ * @typedef {Object} ChangedFile
+ * @property {string} filePath - Absolute path
+ * @property {Array<[number, number]>|null} ranges - 1-based inclusive line
+ *   ranges of the new version that the change touches; null when the
+ *   whole file is new (untracked)
+ */
+
+/**
+ * @typedef {Object} ChangeOptions
+ * @property {string} [ref='HEAD'] - Commit to compare against
+ * @property {boolean} [staged=false] - Compare the index instead of the
+ *   working tree, and skip untracked files
+ * @property {string} [cwd=process.cwd()] - Directory inside the repository
+ */
+
+/**
+ * Run git and return its output
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {string}
+ * @throws {Error} With git's first error line
+ */
+function git(args, cwd) {
+    try {
+        return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+            cwd,
+            encoding: 'utf-8',
+            maxBuffer: 256 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+    } catch (error) {
+        const message = String(error.stderr || '').trim().split('\n')[0] || error.message;
+        throw new Error(`git ${args[0]} failed: ${message}`);
+    }
+}
+
+/**
+ * Top-level directory of the repository containing `cwd`
+ * @param {string} [cwd=process.cwd()]
+ * @returns {string}
+ * @throws {Error} Outside a git repository
+ */
+export function gitRoot(cwd = process.cwd()) {
+    return git(['rev-parse', '--show-toplevel'], cwd).trim();
+}
+
+/**
+ * Read `git diff --unified=0` output into changed line ranges per file
+ * @param {string} diff
+ * @param {string} root - Repository top-level directory
+ * @returns {Map<string, Array<[number, number]>>} - By absolute path
+ */
+function parseDiff(diff, root) {
+    const files = new Map();
+    let ranges = null;
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('+++ ')) {
+            // `+++ b/path`; /dev/null for deletions, which the filter excludes
+            const name = line.slice(4).replace(/^b\//, '');
+            ranges = [];
+            files.set(path.join(root, name), ranges);
+            continue;
+        }
+        const hunk = ranges && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+        if (hunk) {
+            const start = Number(hunk[1]);
+            const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+            // A pure deletion sits between line `start` and the next one
+            ranges.push(count === 0 ? [Math.max(start, 1), start + 1] : [start, start + count - 1]);
+        }
+    }
+    return files;
+}
+
+/**
+ * Files changed against a ref, with the line ranges each change touches
+ *
+ * Without `staged`, the working tree is compared (staged and unstaged
+ * changes) and untracked files that are not ignored count as new. Deleted
+ * files are not listed.
+ *
+ * @param {ChangeOptions} [options]
+ * @returns {ChangedFile[]} - Sorted by path
+ * @throws {Error} Outside a git repository or for an unknown ref
+ */
+export function changedFiles(options = {}) {
+    const { ref = 'HEAD', staged = false, cwd = process.cwd() } = options;
+    const root = gitRoot(cwd);
+    const args = ['diff', '--unified=0', '--no-color', '--no-ext-diff', '--diff-filter=ACMR'];
+    if (staged) {
+        args.push('--cached');
+    }
+    args.push(ref, '--');
+
+    const changes = [...parseDiff(git(args, root), root)]
+        .map(([filePath, ranges]) => ({ filePath, ranges }));
+    if (!staged) {
+        const untracked = git(['ls-files', '--others', '--exclude-standard', '-z'], root);
+        for (const name of untracked.split('\0').filter(Boolean)) {
+            changes.push({ filePath: path.join(root, name), ranges: null });
+        }
+    }
+    return changes.sort((a, b) => (a.filePath < b.filePath ? -1 : a.filePath > b.filePath ? 1 : 0));
+}
+
+/**
+ * Content of a file as staged in the index
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function readStaged(filePath) {
+    const directory = path.dirname(path.resolve(filePath));
+    const root = gitRoot(directory);
+    const name = path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+    return git(['show', `:${name}`], root);
+}
+
+/**
+ * Install a pre-commit hook that runs `command`
+ *
+ * The hook goes where git looks for it (honoring core.hooksPath). A hook
+ * written by an earlier install is replaced; any other existing hook is
+ * left alone unless `force` is set.
+ *
+ * @param {string} command - Shell command the hook runs
+ * @param {{ force?: boolean, cwd?: string }} [options]
+ * @returns {string} - Path of the hook
+ * @throws {Error} When another pre-commit hook exists or the hooks path is
+ *   not a directory
+ */
+export function installPreCommitHook(command, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const hooksDir = path.resolve(cwd, git(['rev-parse', '--git-path', 'hooks'], cwd).trim());
+    const hookPath = path.join(hooksDir, 'pre-commit');
+    if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+        throw new Error(`hooks path ${hooksDir} is not a directory (see core.hooksPath)`);
+    }
+
+    const existing = fs.existsSync(hookPath) ? fs.readFileSync(hookPath, 'utf-8') : null;
+    if (existing !== null && !existing.includes(HOOK_MARKER) && !options.force) {
+        throw new Error(`${hookPath} already exists; use --force to replace it`);
+    }
+
+    fs.mkdirSync(hooksDir, { recursive: true });
+    fs.writeFileSync(hookPath, `#!/bin/sh\n${HOOK_MARKER}\nexec ${command}\n`, 'utf-8');
+    fs.chmodSync(hookPath, 0o755);
+    return hookPath;
+}
@@ -0,0 +1,38 @@
+/**
+ * Mermaid checker programmatic API
+ *
+ * Usage:
+ *   import { checkMarkdown, validateDiagram } from './lib/index.mjs';
+ *
+ *   const file = await checkMarkdown('README.md');
+ *   const diagram = await validateDiagram('graph TD\n  A --> B');
+ *
+ * The CLIs (mermaid-check.mjs, scripts/*.mjs) are thin wrappers over
+ * these functions.
+ */
+
+export { setupMermaidValidator, getSharedValidator, effectiveConfig, DEFAULT_MERMAID_CONFIG } from './validator.mjs';
+export { loadConfig, createConfigLoader, readConfigFile, isIncluded, mergeConfig, clearConfigCache, CONFIG_FILES, EMPTY_CONFIG } from './config.mjs';
+export { extractMermaidBlocks, blockFileName } from './extract.mjs';
+export { normalizeDiagramType, DIAGRAM_TYPE_ALIASES, DIAGRAM_KEYWORDS } from './diagram-type.mjs';
+export { validateDiagram, detectDiagramType, listDiagramTypes, checkFile, checkContent, checkMarkdown, checkMarkdownContent, checkBlocks } from './check.mjs';
+export { getSourceAdapter, detectSourceAdapter, extractBlocks, SUPPORTED_EXTENSIONS } from './sources/index.mjs';
+export { checkFiles, defaultJobs, prepareValidator } from './pool.mjs';
+export { resolveInputs, createIgnoreFilter, findProjectRoot, IGNORE_FILES } from './files.mjs';
+export { createCache, createMemoryCache, clearCache, withCache, cacheKey, DEFAULT_CACHE_DIR } from './cache.mjs';
+export { printResults, printSummary, formatResults, formatSummary, formatPosition, formatErrorDetails, errorSummary } from './report.mjs';
+export { createReporter, REPORT_FORMATS } from './reporters/index.mjs';
+export { toJsonFile, REPORT_SCHEMA_VERSION } from './reporters/json.mjs';
+export { ERROR_CATEGORIES, ISSUE_RULES, RULES, classifyError, ruleSeverity, diagramFindings } from './categories.mjs';
+export { checkDiagramConfig } from './diagram-config.mjs';
+export { lintDiagram, LINTED_DIAGRAM_TYPES } from './lint/index.mjs';
+export { fixDiagram, fixContent, fixFile, FIXES } from './fix.mjs';
+export { unifiedDiff } from './diff.mjs';
+export { exportFile, writeManifest, MANIFEST_VERSION } from './export.mjs';
+export { watchFiles, fileFindings, diffFindings, formatWatchUpdate } from './watch.mjs';
+export { changedFiles, readStaged, gitRoot, installPreCommitHook, HOOK_MARKER } from './git.mjs';
+export { createLanguageServer, toDiagnostics } from './lsp.mjs';
+export { createMcpServer, MCP_TOOLS, MCP_PROTOCOL_VERSIONS } from './mcp.mjs';
+export { loadMermaidConfigSchema, checkConfigValue } from './mermaid-schema.mjs';
+export { locateDiagramError, toSourcePosition, formatCodeFrame, tokenSpan } from './location.mjs';
+export { importModule, getModuleVersion, getPluginVersion } from './modules.mjs';
@@ -0,0 +1,134 @@
+/**
+ * Class diagram scanner
+ *
+ * Reads class declarations, members, annotations, relations, namespaces
+ * and the style / cssClass / click / note / classDef statements into a
+ * DiagramModel.
+ *
+ * Mermaid creates a class for every relation endpoint, so relations
+ * declare their classes like `class X` does; only style, cssClass, click
+ * and note statements name classes without declaring them.
+ */
+
+import { createModel, declareNode, bodyLines, splitStatements, normalizeLabel } from './model.mjs';
+
+const NAME = '([\\p{L}\\p{N}_]+|`[^`]+`)(?:~[^~]*~)?';
+const CARDINALITY = '(?:"[^"]*"\\s*)?';
+const OPERATOR = '(?:<\\||\\*|o|<|\\(\\))?(?:--|\\.\\.)(?:\\|>|\\*|o|>|\\(\\))?';
+
+const CLASS_REGEX = new RegExp(`^class\\s+${NAME}\\s*(?:\\[\\s*("[^"]*"|[^\\]]*)\\s*\\])?\\s*(?::::([\\w-]+))?\\s*(\\{)?`, 'u');
+const MEMBER_REGEX = new RegExp(`^${NAME}\\s*:`, 'u');
+const ANNOTATION_REGEX = new RegExp(`^<<[^>]*>>\\s*${NAME}\\s*$`, 'u');
+const RELATION_REGEX = new RegExp(`^${NAME}\\s*${CARDINALITY}${OPERATOR}\\s*${CARDINALITY}${NAME}\\s*(?::.*)?$`, 'u');
+const REFERENCE_REGEX = new RegExp(`^(style|click|link|callback)\\s+${NAME}`, 'u');
+
+/**
+ * Class name without backticks
+ * @param {string} name
+ * @returns {string}
+ */
+function className(name) {
+    return name.replace(/^`([\s\S]*)`$/, '$1');
+}
+
+/**
+ * Scan a class diagram into a DiagramModel
+ * @param {string} code - Diagram source
+ * @returns {import('./model.mjs').DiagramModel}
+ */
+export function scan(code) {
+    const model = createModel('class');
+    let inClassBody = false;
+
+    for (const { text, line } of bodyLines(code)) {
+        if (inClassBody) {
+            // Members until the closing brace
+            if (text.trim().startsWith('}')) {
+                inClassBody = false;
+            }
+            continue;
+        }
+
+        for (const statement of splitStatements(text)) {
+            const at = offset => ({ line, column: statement.offset + offset + 1 });
+            const source = statement.text;
+            let match;
+
+            if (/^(classDiagram(-v2)?|direction|accTitle|accDescr)\b/.test(source) || source === '}' || /^note\s+"/.test(source)) {
+                continue;
+            }
+            if ((match = source.match(/^namespace\s+(\S+)\s*\{?/u))) {
+                model.containers.add(className(match[1]));
+                continue;
+            }
+            if ((match = source.match(CLASS_REGEX))) {
+                const id = className(match[1]);
+                declareNode(model, id, at(source.indexOf(match[1], 5)), match[2] !== undefined ? normalizeLabel(match[2]) : null);
+                if (match[3]) {
+                    model.classUses.add(match[3]);
+                }
+                // A body opened here runs to the closing brace
+                if (match[4] && !source.slice(match[0].length).includes('}')) {
+                    inClassBody = true;
+                }
+                continue;
+            }
+            if ((match = source.match(/^classDef\s+(\S+)/))) {
+                let offset = source.indexOf(match[1]);
+                for (const name of match[1].split(',')) {
+                    if (name) {
+                        model.classDefs.push({ name, position: at(offset) });
+                    }
+                    offset += name.length + 1;
+                }
+                continue;
+            }
+            if ((match = source.match(/^cssClass\s+"([^"]*)"\s+(\S+)/))) {
+                let offset = source.indexOf('"') + 1;
+                for (const part of match[1].split(',')) {
+                    const lead = part.length - part.trimStart().length;
+                    if (part.trim()) {
+                        model.references.push({ id: part.trim(), statement: 'cssClass', position: at(offset + lead) });
+                    }
+                    offset += part.length + 1;
+                }
+                model.classUses.add(match[2]);
+                continue;
+            }
+            if ((match = source.match(/^note\s+for\s+(\S+)/))) {
+                model.references.push({ id: className(match[1]), statement: 'note', position: at(source.indexOf(match[1], 4)) });
+                continue;
+            }
+            if ((match = source.match(REFERENCE_REGEX))) {
+                model.references.push({ id: className(match[2]), statement: match[1], position: at(source.indexOf(match[2], match[1].length)) });
+                continue;
+            }
+            if ((match = source.match(ANNOTATION_REGEX))) {
+                declareNode(model, className(match[1]), at(source.lastIndexOf(match[1])));
+                continue;
+            }
+            if ((match = source.match(RELATION_REGEX))) {
+                const from = className(match[1]);
+                const to = className(match[2]);
+                if (!model.nodes.has(from)) {
+                    declareNode(model, from, at(0));
+                }
+                if (!model.nodes.has(to)) {
+                    declareNode(model, to, at(source.lastIndexOf(match[2], source.indexOf(':') === -1 ? undefined : source.indexOf(':'))));
+                }
+                model.edges.push({ from, to });
+                continue;
+            }
+            if ((match = source.match(MEMBER_REGEX))) {
+                declareNode(model, className(match[1]), at(0));
+                continue;
+            }
+            model.complete = false;
+        }
+    }
+
+    for (const match of code.matchAll(/:::([\w-]+)/g)) {
+        model.classUses.add(match[1]);
+    }
+    return model;
+}
@@ -0,0 +1,98 @@
+/**
+ * ER diagram scanner
+ *
+ * Reads entities, relationships and the style / class / classDef
+ * statements into a DiagramModel. Like class diagrams, Mermaid creates an
+ * entity for every relationship endpoint, so relationships declare their
+ * entities; only style and class statements name entities without
+ * declaring them.
+ */
+
+import { createModel, declareNode, bodyLines, splitStatements, normalizeLabel } from './model.mjs';
+
+const NAME = '([\\p{L}\\p{N}_][\\p{L}\\p{N}_-]*|"[^"]*")';
+
+const ENTITY_REGEX = new RegExp(`^${NAME}\\s*(?:\\[\\s*("[^"]*"|[^\\]]*)\\s*\\])?\\s*(?::::([\\w-]+))?\\s*(\\{)?\\s*(\\})?$`, 'u');
+const RELATIONSHIP_REGEX = new RegExp(`^${NAME}\\s*(.+?)\\s*${NAME}\\s*(?::.*)?$`, 'u');
+
+/**
+ * Scan an ER diagram into a DiagramModel
+ * @param {string} code - Diagram source
+ * @returns {import('./model.mjs').DiagramModel}
+ */
+export function scan(code) {
+    const model = createModel('entity');
+    let inEntityBody = false;
+
+    for (const { text, line } of bodyLines(code)) {
+        if (inEntityBody) {
+            // Attributes until the closing brace
+            if (text.trim().startsWith('}')) {
+                inEntityBody = false;
+            }
+            continue;
+        }
+
+        for (const statement of splitStatements(text)) {
+            const at = offset => ({ line, column: statement.offset + offset + 1 });
+            const source = statement.text;
+            let match;
+
+            if (/^(erDiagram|direction|title|accTitle|accDescr)\b/.test(source)) {
+                continue;
+            }
+            if ((match = source.match(/^classDef\s+(\S+)/))) {
+                let offset = source.indexOf(match[1]);
+                for (const name of match[1].split(',')) {
+                    if (name) {
+                        model.classDefs.push({ name, position: at(offset) });
+                    }
+                    offset += name.length + 1;
+                }
+                continue;
+            }
+            if ((match = source.match(/^(class|style)\s+(\S+)(?:\s+(\S+))?/))) {
+                let offset = source.indexOf(match[2], match[1].length);
+                for (const id of match[1] === 'class' ? match[2].split(',') : [match[2]]) {
+                    if (id) {
+                        model.references.push({ id, statement: match[1], position: at(offset) });
+                    }
+                    offset += id.length + 1;
+                }
+                if (match[1] === 'class' && match[3]) {
+                    model.classUses.add(match[3]);
+                }
+                continue;
+            }
+            if ((match = source.match(ENTITY_REGEX))) {
+                declareNode(model, normalizeLabel(match[1]), at(0), match[2] !== undefined ? normalizeLabel(match[2]) : null);
+                if (match[3]) {
+                    model.classUses.add(match[3]);
+                }
+                // A block opened here runs to the closing brace
+                if (match[4] && !match[5]) {
+                    inEntityBody = true;
+                }
+                continue;
+            }
+            if ((match = source.match(RELATIONSHIP_REGEX)) && /--|\.\.|\bto\b/.test(match[2])) {
+                const from = normalizeLabel(match[1]);
+                const to = normalizeLabel(match[3]);
+                if (!model.nodes.has(from)) {
+                    declareNode(model, from, at(0));
+                }
+                if (!model.nodes.has(to)) {
+                    declareNode(model, to, at(source.indexOf(match[3], match[1].length + match[2].length)));
+                }
+                model.edges.push({ from, to });
+                continue;
+            }
+            model.complete = false;
+        }
+    }
+
+    for (const match of code.matchAll(/:::([\w-]+)/g)) {
+        model.classUses.add(match[1]);
+    }
+    return model;
+}
@@ -0,0 +1,314 @@
+/**
+ * Flowchart scanner
+ *
+ * Reads node and edge statements (`A[Start] --> B & C`), subgraphs and
+ * the style / class / click / classDef statements into a DiagramModel.
+ * The diagram has already parsed, so the scanner only has to be right
+ * about valid syntax; anything it does not recognize marks the model
+ * incomplete.
+ *
+ * Edge IDs (`A e1@--> B`) are not nodes, and `e1@{ animate: true }` for a
+ * known edge ID sets edge metadata rather than declaring a node.
+ */
+
+import { createModel, declareNode, bodyLines, splitStatements, maskStrings, normalizeLabel } from './model.mjs';
+
+/**
+ * Node shapes: opening delimiter and the closing delimiters it accepts,
+ * longest openers first
+ */
+const SHAPES = [
+    ['(((', [')))']],
+    ['((', ['))']],
+    ['([', ['])']],
+    ['[[', [']]']],
+    ['[(', [')]']],
+    ['[/', ['/]', '\\]']],
+    ['[\\', ['\\]', '/]']],
+    ['{{', ['}}']],
+    ['(', [')']],
+    ['[', [']']],
+    ['{', ['}']],
+    ['>', [']']]
+];
+
+const ID_REGEX = /^[\p{L}\p{N}_][\p{L}\p{N}_.$]*/u;
+const EDGE_ID_REGEX = /^([\p{L}\p{N}_]+)@(?=[-=.~<ox])/u;
+/** A statement that is nothing but `id@{ ... }` data */
+const DATA_STATEMENT_REGEX = /^([\p{L}\p{N}_]+)\s*@\{[^}]*\}$/u;
+/** Arrow head: `o` / `x` only when not the start of the next node ID */
+const HEAD = '(?:>|[ox](?![\\p{L}\\p{N}_]))';
+const LINK_REGEX = new RegExp(`^(?:[<ox](?=[-=.~]))?(?:-{2,}|={2,}|-?\\.+-|-\\.|~{3,})${HEAD}?`, 'u');
+/** Closing half of a link whose opening half starts a text label (`-- text -->`) */
+const LABEL_CLOSERS = {
+    '--': new RegExp(`-{2,}${HEAD}|-{3,}`, 'u'),
+    '==': new RegExp(`={2,}${HEAD}|={3,}`, 'u'),
+    '-.': new RegExp(`\\.+-${HEAD}?`, 'u')
+};
+
+/**
+ * Read a node shape starting at `pos`
+ * @param {string} text - Statement
+ * @param {number} pos
+ * @returns {{ label: string, end: number }|null} - Null if no shape starts here
+ */
+function readShape(text, pos) {
+    if (text.startsWith('@{', pos)) {
+        // Shape data: A@{ shape: rect, label: "Start" }
+        const masked = maskStrings(text);
+        const end = masked.indexOf('}', pos);
+        if (end === -1) {
+            return null;
+        }
+        const body = text.slice(pos + 2, end);
+        const label = body.match(/label:\s*("[^"]*"|[^,}]*)/);
+        return { label: label ? normalizeLabel(label[1]) : null, end: end + 1 };
+    }
+
+    for (const [open, closers] of SHAPES) {
+        if (!text.startsWith(open, pos)) {
+            continue;
+        }
+        let inner = pos + open.length;
+        // A quoted label may contain any delimiter
+        if (text[inner] === '"') {
+            const quote = text.indexOf('"', inner + 1);
+            if (quote === -1) {
+                return null;
+            }
+            inner = quote + 1;
+        }
+        const ends = closers.map(close => ({ close, at: text.indexOf(close, inner) })).filter(end => end.at !== -1);
+        if (ends.length === 0) {
+            return null;
+        }
+        const { close, at } = ends.reduce((a, b) => (b.at < a.at ? b : a));
+        return { label: normalizeLabel(text.slice(pos + open.length, at)), end: at + close.length };
+    }
+    return null;
+}
+
+/**
+ * Read a link starting at `pos`, including a `-- text -->` or `|text|` label
+ * @param {string} text - Statement
+ * @param {number} pos
+ * @returns {{ end: number, edgeId: string|null }|null} - Offset after the
+ *   link and the edge ID before it, null if no link starts here
+ */
+function readLink(text, pos) {
+    const rest = text.slice(pos);
+    // An edge ID (e1@-->) precedes the link
+    const edgeId = rest.match(EDGE_ID_REGEX);
+    const offset = edgeId ? edgeId[0].length : 0;
+    const link = rest.slice(offset).match(LINK_REGEX);
+    if (!link) {
+        return null;
+    }
+    let end = pos + offset + link[0].length;
+
+    const opener = link[0].replace(/^[<ox]/, '');
+    if (LABEL_CLOSERS[opener]) {
+        // Label between the two halves of the link
+        const close = text.slice(end).match(LABEL_CLOSERS[opener]);
+        if (!close) {
+            return null;
+        }
+        end += close.index + close[0].length;
+    }
+
+    const pipe = text.slice(end).match(/^\s*\|[^|]*\|/);
+    return { end: pipe ? end + pipe[0].length : end, edgeId: edgeId ? edgeId[1] : null };
+}
+
+/**
+ * Read a node / edge statement
+ * @param {import('./model.mjs').DiagramModel} model
+ * @param {string} text - Statement
+ * @param {(offset: number) => import('./model.mjs').Position} at - Statement offset to position
+ * @param {Set<string>} edgeIds - Collects the IDs given to edges
+ * @returns {boolean} - Whether the whole statement was understood
+ */
+function readChain(model, text, at, edgeIds) {
+    let pos = 0;
+    let previous = [];
+    let group = [];
+
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) {
+            pos++;
+        }
+    };
+
+    while (true) {
+        skipSpace();
+        const id = text.slice(pos).match(ID_REGEX);
+        if (!id) {
+            return false;
+        }
+        const idPosition = at(pos);
+        pos += id[0].length;
+
+        const shape = readShape(text, pos);
+        if (shape) {
+            pos = shape.end;
+        }
+        const cls = text.slice(pos).match(/^:::([\w-]+)/);
+        if (cls) {
+            model.classUses.add(cls[1]);
+            pos += cls[0].length;
+        }
+        declareNode(model, id[0], idPosition, shape ? shape.label : null);
+        group.push(id[0]);
+
+        skipSpace();
+        if (pos >= text.length) {
+            break;
+        }
+        if (text[pos] === '&') {
+            pos++;
+            continue;
+        }
+        const link = readLink(text, pos);
+        if (link === null) {
+            return false;
+        }
+        if (link.edgeId) {
+            edgeIds.add(link.edgeId);
+        }
+        for (const from of previous) {
+            for (const to of group) {
+                model.edges.push({ from, to });
+            }
+        }
+        previous = group;
+        group = [];
+        pos = link.end;
+    }
+
+    for (const from of previous) {
+        for (const to of group) {
+            model.edges.push({ from, to });
+        }
+    }
+    return true;
+}
+
+/**
+ * Split a comma-separated ID list, with the position of each ID
+ * @param {string} list
+ * @param {number} offset - Offset of `list` in the statement
+ * @param {(offset: number) => import('./model.mjs').Position} at
+ * @returns {Array<{ id: string, position: import('./model.mjs').Position }>}
+ */
+function idList(list, offset, at) {
+    const ids = [];
+    let index = 0;
+    for (const part of list.split(',')) {
+        const lead = part.length - part.trimStart().length;
+        if (part.trim()) {
+            ids.push({ id: part.trim(), position: at(offset + index + lead) });
+        }
+        index += part.length + 1;
+    }
+    return ids;
+}
+
+/**
+ * Read one statement into the model
+ * @param {import('./model.mjs').DiagramModel} model
+ * @param {string} text - Statement
+ * @param {(offset: number) => import('./model.mjs').Position} at
+ * @param {Set<string>} edgeIds - Collects the IDs given to edges
+ * @returns {boolean} - Whether the statement was understood
+ */
+function readStatement(model, text, at, edgeIds) {
+    const keyword = text.match(/^(\w+)(\s+|$)/);
+    const name = keyword?.[1];
+    const argsOffset = keyword ? keyword[0].length : 0;
+    const args = text.slice(argsOffset);
+
+    switch (name) {
+        case 'graph':
+        case 'flowchart':
+        case 'direction':
+        case 'end':
+        case 'linkStyle':
+        case 'accTitle':
+        case 'accDescr':
+            return true;
+        case 'subgraph': {
+            const id = args.match(/^("[^"]*"|[^\s[]+)/);
+            if (id) {
+                model.containers.add(normalizeLabel(id[1]));
+            }
+            return true;
+        }
+        case 'classDef':
+            for (const { id, position } of idList(args.split(/\s/)[0], argsOffset, at)) {
+                model.classDefs.push({ name: id, position });
+            }
+            return true;
+        case 'class': {
+            const [ids, className] = args.split(/\s+/);
+            for (const { id, position } of idList(ids, argsOffset, at)) {
+                model.references.push({ id, statement: 'class', position });
+            }
+            if (className) {
+                model.classUses.add(className);
+            }
+            return true;
+        }
+        case 'style':
+        case 'click': {
+            const id = args.match(/^\S+/);
+            if (id) {
+                model.references.push({ id: id[0], statement: name, position: at(argsOffset) });
+            }
+            return true;
+        }
+        default:
+            return readChain(model, text, at, edgeIds);
+    }
+}
+
+/**
+ * Scan a flowchart into a DiagramModel
+ * @param {string} code - Diagram source
+ * @returns {import('./model.mjs').DiagramModel}
+ */
+export function scan(code) {
+    const model = createModel('node');
+    const edgeIds = new Set();
+    /** @type {Array<{ id: string, position: import('./model.mjs').Position }>} */
+    const dataStatements = [];
+
+    for (const { text, line } of bodyLines(code)) {
+        for (const statement of splitStatements(text)) {
+            const at = offset => ({ line, column: statement.offset + offset + 1 });
+            const data = maskStrings(statement.text).match(DATA_STATEMENT_REGEX);
+            if (data) {
+                dataStatements.push({ id: data[1], position: at(0) });
+            }
+            // Statements the scanner does not know (e.g. the body of a
+            // multi-line accDescr { ... }) make the whole-diagram rules stand down
+            if (!readStatement(model, statement.text, at, edgeIds)) {
+                model.complete = false;
+            }
+        }
+    }
+
+    // Data for an edge ID (before or after the edge) is edge metadata, not a node
+    for (const { id, position } of dataStatements.filter(data => edgeIds.has(data.id))) {
+        const declarations = (model.nodes.get(id) || [])
+            .filter(declaration => declaration.position.line !== position.line || declaration.position.column !== position.column);
+        if (declarations.length > 0) {
+            model.nodes.set(id, declarations);
+        } else {
+            model.nodes.delete(id);
+        }
+    }
+    for (const match of code.matchAll(/:::([\w-]+)/g)) {
+        model.classUses.add(match[1]);
+    }
+    return model;
+}
@@ -0,0 +1,255 @@
+/**
+ * Gantt checks
+ *
+ * Mermaid only works out task dates when it renders, and even then it
+ * tolerates most mistakes: `after x` with no task `x` starts today, a
+ * dependency cycle is cut off arbitrarily, and a date that does not match
+ * `dateFormat` goes through `new Date()` (so `01/02/2024` may mean January
+ * or February). These checks report each one at its task line.
+ */
+
+import dayjs from 'dayjs';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+import { bodyLines } from './model.mjs';
+
+dayjs.extend(customParseFormat);
+
+/**
+ * Statements that are not tasks
+ */
+const KEYWORDS = /^(gantt|title|dateFormat|axisFormat|tickInterval|inclusiveEndDates|topAxis|includes|excludes|todayMarker|weekday|weekend|section|click|accTitle|accDescr)\b/;
+
+/**
+ * Tags Mermaid strips from the front of task data
+ */
+const TAGS = ['active', 'done', 'crit', 'milestone', 'vert'];
+
+/**
+ * Mermaid's duration syntax (`3d`, `1.5h`, `30m`, ...)
+ */
+const DURATION_REGEX = /^\d+(?:\.\d+)?(?:[Mdhmswy]|ms)$/;
+
+/**
+ * A positioned task field
+ * @typedef {Object} Field
+ * @property {string} text
+ * @property {import('./model.mjs').Position} position
+ */
+
+/**
+ * A task dependency (`after a1`, `until a1`)
+ * @typedef {Object} Dependency
+ * @property {string} keyword - after or until
+ * @property {string} id - Task the dependency names
+ * @property {import('./model.mjs').Position} position
+ */
+
+/**
+ * @typedef {Object} Task
+ * @property {string|null} id - Explicit task ID, null for an automatic one
+ * @property {string} name
+ * @property {Field|null} start - Start field, null when the task follows the previous one
+ * @property {Field} end
+ * @property {import('./model.mjs').Position} position - Start of the task line
+ */
+
+/**
+ * Split task data at commas, keeping each field's position
+ * @param {string} data
+ * @param {(offset: number) => import('./model.mjs').Position} at - Data offset to position
+ * @returns {Field[]}
+ */
+function splitFields(data, at) {
+    const fields = [];
+    let offset = 0;
+    for (const part of data.split(',')) {
+        const lead = part.length - part.trimStart().length;
+        fields.push({ text: part.trim(), position: at(offset + lead) });
+        offset += part.length + 1;
+    }
+    return fields;
+}
+
+/**
+ * Read the tasks and settings of a gantt chart
+ * @param {string} code - Diagram source
+ * @returns {{ tasks: Task[], dateFormat: Field|null, clicks: Field[] }}
+ */
+function scan(code) {
+    const tasks = [];
+    const clicks = [];
+    let dateFormat = null;
+
+    for (const { text, line } of bodyLines(code)) {
+        const source = text.replace(/^\s*#.*$/, '');
+        const lead = source.length - source.trimStart().length;
+        const statement = source.trim();
+        let match;
+
+        if ((match = statement.match(/^dateFormat\s+(.+)$/))) {
+            dateFormat = { text: match[1].trim(), position: { line, column: lead + statement.indexOf(match[1]) + 1 } };
+            continue;
+        }
+        if ((match = statement.match(/^click\s+(\S+)/))) {
+            clicks.push({ text: match[1], position: { line, column: lead + statement.indexOf(match[1], 5) + 1 } });
+            continue;
+        }
+        if (KEYWORDS.test(statement) || !statement.includes(':')) {
+            continue;
+        }
+
+        // Task name, then data up to a `;` or `#` (Mermaid's task data stops there)
+        const colon = source.indexOf(':');
+        const data = source.slice(colon + 1).split(/[;#]/)[0];
+        const fields = splitFields(data, offset => ({ line, column: colon + 1 + offset + 1 }));
+        while (fields.length > 1 && TAGS.includes(fields[0].text)) {
+            fields.shift();
+        }
+        if (fields.length > 3 || !fields[fields.length - 1].text) {
+            continue;
+        }
+        tasks.push({
+            id: fields.length === 3 ? fields[0].text : null,
+            name: source.slice(0, colon).trim(),
+            start: fields.length >= 2 ? fields[fields.length - 2] : null,
+            end: fields[fields.length - 1],
+            position: { line, column: lead + 1 }
+        });
+    }
+    return { tasks, dateFormat, clicks };
+}
+
+/**
+ * Task IDs named by an `after` / `until` field
+ * @param {Field|null} field
+ * @param {string} keyword
+ * @returns {Dependency[]}
+ */
+function dependencies(field, keyword) {
+    const match = field?.text.match(new RegExp(`^${keyword}\\s+([\\w\\- ]+)`));
+    if (!match) {
+        return [];
+    }
+    const deps = [];
+    let offset = field.text.indexOf(match[1], keyword.length);
+    for (const id of match[1].split(' ')) {
+        if (id) {
+            deps.push({ keyword, id, position: { line: field.position.line, column: field.position.column + offset } });
+        }
+        offset += id.length + 1;
+    }
+    return deps;
+}
+
+/**
+ * Find dependency cycles, reporting each at the dependency that closes it
+ * @param {Map<string, Dependency[]>} graph - Dependencies by task ID
+ * @returns {Array<{ message: string, position: import('./model.mjs').Position }>}
+ */
+function findCycles(graph) {
+    const findings = [];
+    const state = new Map();
+    const stack = [];
+
+    const visit = id => {
+        state.set(id, 'visiting');
+        stack.push(id);
+        for (const dep of graph.get(id) || []) {
+            if (!graph.has(dep.id)) {
+                continue;
+            }
+            if (state.get(dep.id) === 'visiting') {
+                const cycle = [...stack.slice(stack.indexOf(dep.id)), dep.id];
+                findings.push({
+                    message: `Task dependencies form a cycle: ${cycle.join(' → ')}`,
+                    position: dep.position
+                });
+            } else if (!state.has(dep.id)) {
+                visit(dep.id);
+            }
+        }
+        stack.pop();
+        state.set(id, 'done');
+    };
+
+    for (const id of graph.keys()) {
+        if (!state.has(id)) {
+            visit(id);
+        }
+    }
+    return findings;
+}
+
+/**
+ * Whether a value parses strictly with a dateFormat
+ * @param {string} value
+ * @param {string} format
+ * @returns {boolean}
+ */
+function matchesFormat(value, format) {
+    // Mermaid reads plain numbers as timestamps under x / X
+    if (/^[xX]$/.test(format) && /^\d+$/.test(value)) {
+        return true;
+    }
+    return dayjs(value, format, true).isValid();
+}
+
+/**
+ * Check a gantt chart
+ * @param {string} code - Diagram source
+ * @returns {Array<{ ruleId: string, message: string, position: import('./model.mjs').Position }>}
+ */
+export function check(code) {
+    const { tasks, dateFormat, clicks } = scan(code);
+    const ids = new Set(tasks.map(task => task.id).filter(Boolean));
+    const findings = [];
+
+    /** @type {Map<string, Dependency[]>} */
+    const graph = new Map();
+    for (const task of tasks) {
+        const deps = [...dependencies(task.start, 'after'), ...dependencies(task.end, 'until')];
+        for (const dep of deps.filter(d => !ids.has(d.id))) {
+            findings.push({
+                ruleId: 'gantt/undefined-task',
+                message: `"${dep.keyword} ${dep.id}" refers to undefined task "${dep.id}"`,
+                position: dep.position
+            });
+        }
+        if (task.id) {
+            graph.set(task.id, [...(graph.get(task.id) || []), ...deps]);
+        }
+    }
+    for (const click of clicks.filter(c => !ids.has(c.text))) {
+        findings.push({
+            ruleId: 'gantt/undefined-task',
+            message: `click targets undefined task "${click.text}"`,
+            position: click.position
+        });
+    }
+
+    for (const cycle of findCycles(graph)) {
+        findings.push({ ruleId: 'gantt/dependency-cycle', ...cycle });
+    }
+
+    if (dateFormat) {
+        const format = dateFormat.text;
+        for (const task of tasks) {
+            if (task.start && !/^after\s/.test(task.start.text) && !matchesFormat(task.start.text, format)) {
+                findings.push({
+                    ruleId: 'gantt/date-format',
+                    message: `Start date "${task.start.text}" of "${task.name}" does not match dateFormat "${format}"`,
+                    position: task.start.position
+                });
+            }
+            const end = task.end.text;
+            if (!/^until\s/.test(end) && !DURATION_REGEX.test(end) && !matchesFormat(end, format)) {
+                findings.push({
+                    ruleId: 'gantt/date-format',
+                    message: `End "${end}" of "${task.name}" is neither a date in dateFormat "${format}" nor a duration such as 3d`,
+                    position: task.end.position
+                });
+            }
+        }
+    }
+    return findings;
+}
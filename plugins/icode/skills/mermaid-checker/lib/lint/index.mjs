@@ -0,0 +1,77 @@
+/**
+ * Lint: problems Mermaid's parser lets through or cannot locate
+ *
+ * Mermaid accepts a `style` for a node that does not exist (and draws an
+ * empty box for it), a classDef nobody uses, or a node relabelled further
+ * down. A scanner per diagram type reads the diagram into a shared model
+ * and the rules in rules.mjs look for these problems.
+ *
+ * Diagram types whose problems do not fit the model (gantt dependencies,
+ * sequence activations and blocks) have a checker of their own.
+ */
+
+import * as flowchart from './flowchart.mjs';
+import * as classDiagram from './class.mjs';
+import * as er from './er.mjs';
+import * as gantt from './gantt.mjs';
+import * as sequence from './sequence.mjs';
+import { LINT_RULES } from './rules.mjs';
+
+/**
+ * A lint issue, positioned in the diagram source
+ * @typedef {Object} LintIssue
+ * @property {string} ruleId
+ * @property {string} message
+ * @property {import('../location.mjs').Position} position
+ */
+
+/**
+ * Scanners by (normalized) diagram type
+ * @type {Record<string, { scan: (code: string) => import('./model.mjs').DiagramModel }>}
+ */
+const SCANNERS = {
+    flowchart,
+    class: classDiagram,
+    er
+};
+
+/**
+ * Checkers by (normalized) diagram type; `onParseError` checkers also run
+ * on diagrams that fail to parse, to locate what Mermaid only names
+ * @type {Record<string, { check: (code: string) => LintIssue[], onParseError: boolean }>}
+ */
+const CHECKERS = {
+    gantt: { check: gantt.check, onParseError: false },
+    sequence: { check: sequence.check, onParseError: true }
+};
+
+/**
+ * Diagram types the lint rules apply to
+ */
+export const LINTED_DIAGRAM_TYPES = [...Object.keys(SCANNERS), ...Object.keys(CHECKERS)];
+
+/**
+ * Lint a diagram
+ * @param {string} code - Diagram source
+ * @param {string} diagramType - Normalized diagram type
+ * @param {{ parsed?: boolean }} [options] - `parsed: false` for a diagram
+ *   Mermaid rejected; only checkers that help locate the error run
+ * @returns {LintIssue[]} - Issues of every rule, in source order
+ */
+export function lintDiagram(code, diagramType, options = {}) {
+    const parsed = options.parsed ?? true;
+    const issues = [];
+
+    const scanner = SCANNERS[diagramType];
+    if (scanner && parsed) {
+        const model = scanner.scan(code);
+        for (const [ruleId, rule] of Object.entries(LINT_RULES)) {
+            issues.push(...rule(model).map(finding => ({ ruleId, ...finding })));
+        }
+    }
+    const checker = CHECKERS[diagramType];
+    if (checker && (parsed || checker.onParseError)) {
+        issues.push(...checker.check(code));
+    }
+    return issues.sort((a, b) => a.position.line - b.position.line || a.position.column - b.position.column);
+}
@@ -0,0 +1,130 @@
+/**
+ * Diagram model shared by the lint scanners and rules
+ *
+ * A scanner reads one diagram type's statements into this model; the
+ * rules only look at the model, so a rule written once applies to every
+ * diagram type that has a scanner.
+ */
+
+import { buildLineMap } from '../location.mjs';
+
+/**
+ * @typedef {import('../location.mjs').Position} Position
+ */
+
+/**
+ * @typedef {Object} NodeDeclaration
+ * @property {Position} position - Where the node ID appears
+ * @property {string|null} label - Label given here, null for a bare ID
+ */
+
+/**
+ * @typedef {Object} DiagramModel
+ * @property {string} noun - What the diagram calls its nodes (node, class)
+ * @property {boolean} complete - Every statement was understood; rules that
+ *   need the whole diagram skip incomplete models rather than guess
+ * @property {Map<string, NodeDeclaration[]>} nodes - Declarations by node ID
+ * @property {Set<string>} containers - Subgraph / namespace IDs
+ * @property {Array<{ from: string, to: string }>} edges
+ * @property {Array<{ id: string, statement: string, position: Position }>} references -
+ *   IDs named by statements that do not declare nodes (style, class, click, ...)
+ * @property {Array<{ name: string, position: Position }>} classDefs
+ * @property {Set<string>} classUses - classDef names applied anywhere
+ */
+
+/**
+ * Create an empty model
+ * @param {string} noun
+ * @returns {DiagramModel}
+ */
+export function createModel(noun) {
+    return {
+        noun,
+        complete: true,
+        nodes: new Map(),
+        containers: new Set(),
+        edges: [],
+        references: [],
+        classDefs: [],
+        classUses: new Set()
+    };
+}
+
+/**
+ * Record a node declaration
+ * @param {DiagramModel} model
+ * @param {string} id
+ * @param {Position} position
+ * @param {string|null} [label]
+ */
+export function declareNode(model, id, position, label = null) {
+    if (!model.nodes.has(id)) {
+        model.nodes.set(id, []);
+    }
+    model.nodes.get(id).push({ position, label });
+}
+
+/**
+ * A line of the diagram body
+ * @typedef {Object} SourceLine
+ * @property {string} text - Line text (directives removed)
+ * @property {number} line - 1-based line in the diagram source
+ */
+
+/**
+ * Body lines after frontmatter, directives and comments, as Mermaid sees
+ * them, with their lines in the diagram source
+ * @param {string} code - Diagram source
+ * @returns {SourceLine[]}
+ */
+export function bodyLines(code) {
+    const { lines, texts } = buildLineMap(code);
+    return texts.map((text, i) => {
+        // A trailing %% comment ends the statement
+        const comment = maskStrings(text).indexOf('%%');
+        return { text: comment === -1 ? text : text.slice(0, comment), line: lines[i] + 1 };
+    });
+}
+
+/**
+ * Replace the contents of quoted strings with spaces, keeping offsets, so
+ * delimiters inside labels are not mistaken for syntax
+ * @param {string} text
+ * @returns {string}
+ */
+export function maskStrings(text) {
+    return text.replace(/"[^"]*"/g, match => `"${' '.repeat(match.length - 2)}"`);
+}
+
+/**
+ * Split a line into statements at `;` outside quoted strings
+ * @param {string} text
+ * @returns {Array<{ text: string, offset: number }>}
+ */
+export function splitStatements(text) {
+    const masked = maskStrings(text);
+    const statements = [];
+    let start = 0;
+    for (let i = 0; i <= masked.length; i++) {
+        if (i === masked.length || masked[i] === ';') {
+            const part = text.slice(start, i);
+            const lead = part.length - part.trimStart().length;
+            if (part.trim()) {
+                statements.push({ text: part.trim(), offset: start + lead });
+            }
+            start = i + 1;
+        }
+    }
+    return statements;
+}
+
+/**
+ * Normalize a label for comparison: quotes and surrounding space removed
+ * @param {string} label
+ * @returns {string}
+ */
+export function normalizeLabel(label) {
+    const trimmed = label.trim();
+    const unquoted = /^"[\s\S]*"$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+    return unquoted.replace(/^`([\s\S]*)`$/, '$1').trim();
+}
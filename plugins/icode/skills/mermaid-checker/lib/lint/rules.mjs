@@ -0,0 +1,118 @@
+/**
+ * Lint rules
+ *
+ * Each rule reads a DiagramModel and returns its findings; severities are
+ * applied by the caller from the rule metadata in categories.mjs.
+ */
+
+/**
+ * @typedef {import('./model.mjs').DiagramModel} DiagramModel
+ */
+
+/**
+ * A lint finding, positioned in the diagram source
+ * @typedef {Object} LintFinding
+ * @property {string} message
+ * @property {import('./model.mjs').Position} position
+ */
+
+/**
+ * @param {string} word
+ * @returns {string}
+ */
+function capitalize(word) {
+    return word[0].toUpperCase() + word.slice(1);
+}
+
+/**
+ * Statements that name a node without declaring it; Mermaid silently
+ * creates an empty node for the target, so a typo yields a stray box
+ * @param {DiagramModel} model
+ * @returns {LintFinding[]}
+ */
+function noUndeclaredTarget(model) {
+    if (!model.complete) {
+        return [];
+    }
+    return model.references
+        .filter(ref => !model.nodes.has(ref.id) && !model.containers.has(ref.id))
+        .map(ref => ({
+            message: `${ref.statement} targets undeclared ${model.noun} "${ref.id}"`,
+            position: ref.position
+        }));
+}
+
+/**
+ * classDefs no node uses
+ * @param {DiagramModel} model
+ * @returns {LintFinding[]}
+ */
+function noUnusedClassdef(model) {
+    return model.classDefs
+        // `default` applies to every node without being assigned
+        .filter(def => def.name !== 'default' && !model.classUses.has(def.name))
+        .map(def => ({
+            message: `classDef "${def.name}" is never applied`,
+            position: def.position
+        }));
+}
+
+/**
+ * A node ID declared again with a different label; Mermaid keeps the
+ * last label, so the earlier one silently disappears
+ * @param {DiagramModel} model
+ * @returns {LintFinding[]}
+ */
+function noConflictingLabels(model) {
+    const findings = [];
+    for (const [id, declarations] of model.nodes) {
+        let first = null;
+        for (const declaration of declarations) {
+            if (declaration.label === null || declaration.label === '') {
+                continue;
+            }
+            if (first === null) {
+                first = declaration.label;
+            } else if (declaration.label !== first) {
+                findings.push({
+                    message: `${capitalize(model.noun)} "${id}" already has label "${first}"; this declaration relabels it "${declaration.label}"`,
+                    position: declaration.position
+                });
+            }
+        }
+    }
+    return findings;
+}
+
+/**
+ * Nodes without any edge in a diagram that has edges
+ * @param {DiagramModel} model
+ * @returns {LintFinding[]}
+ */
+function noOrphanNodes(model) {
+    if (!model.complete || model.edges.length === 0) {
+        return [];
+    }
+    const linked = new Set(model.edges.flatMap(edge => [edge.from, edge.to]));
+    const findings = [];
+    for (const [id, declarations] of model.nodes) {
+        if (!linked.has(id) && !model.containers.has(id)) {
+            findings.push({
+                message: `${capitalize(model.noun)} "${id}" is not connected to anything`,
+                position: declarations[0].position
+            });
+        }
+    }
+    return findings;
+}
+
+/**
+ * Rule implementations by rule ID
+ * @type {Record<string, (model: DiagramModel) => LintFinding[]>}
+ */
+export const LINT_RULES = {
+    'lint/no-undeclared-target': noUndeclaredTarget,
+    'lint/no-unused-classdef': noUnusedClassdef,
+    'lint/no-conflicting-labels': noConflictingLabels,
+    'lint/no-orphan-nodes': noOrphanNodes
+};
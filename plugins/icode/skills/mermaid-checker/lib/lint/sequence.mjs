@@ -0,0 +1,160 @@
+/**
+ * Sequence diagram checks
+ *
+ * Mermaid rejects a `deactivate` of an inactive participant and a `loop`
+ * without `end`, but says neither where the activation nor the block
+ * began; an activation that is never closed and a message to a participant
+ * the diagram forgot to declare are accepted silently. These checks report
+ * each at its line.
+ *
+ * Participants appear on first use, so a name is only reported as
+ * undeclared when the diagram declares its participants up front, before
+ * any message or note. `create participant` introduces a participant
+ * mid-diagram and does not make a diagram declare its participants.
+ * `autonumber` is not taken as a sign either: it only numbers messages,
+ * and treating it as one would report every participant of a numbered
+ * diagram that relies on first use.
+ */
+
+import { bodyLines, splitStatements } from './model.mjs';
+
+/**
+ * Statements that open a block closed by `end`
+ */
+const BLOCK_REGEX = /^(loop|alt|opt|par|par_over|critical|break|rect|box)\b/;
+
+/**
+ * `A->>+B: text`: sender, arrow, activation marker, receiver
+ */
+const MESSAGE_REGEX = /^([^\s<>:,;+-].*?)\s*(<<--?>>|--?>>|--?>|--?x|--?\))\s*([+-]?)\s*([^\s<>:,;+-][^:]*?)\s*(?::.*)?$/;
+
+/**
+ * Statements naming participants: `note over A,B`, `activate A`, `links A: ...`
+ */
+const REFERENCE_REGEX = /^(note\s+(?:left of|right of|over)|activate|deactivate|destroy|links?|properties|details)\s+([^:]+?)\s*(?::.*)?$/;
+
+/**
+ * @typedef {import('./model.mjs').Position} Position
+ */
+
+/**
+ * Check a sequence diagram
+ * @param {string} code - Diagram source
+ * @returns {Array<{ ruleId: string, message: string, position: Position }>}
+ */
+export function check(code) {
+    const findings = [];
+    const declared = new Set();
+    let declaresUpFront = false;
+    /** @type {Array<{ id: string, statement: string, position: Position }>} */
+    const uses = [];
+    /** @type {Array<{ keyword: string, position: Position }>} */
+    const blocks = [];
+    /** @type {Map<string, Position[]>} - Open activations by participant */
+    const active = new Map();
+
+    const activate = (id, position) => {
+        active.set(id, [...(active.get(id) || []), position]);
+    };
+    const deactivate = (id, position) => {
+        const open = active.get(id) || [];
+        if (open.length === 0) {
+            findings.push({
+                ruleId: 'sequence/unbalanced-activation',
+                message: `"${id}" is deactivated here but is not active`,
+                position
+            });
+            return;
+        }
+        open.pop();
+    };
+
+    for (const { text, line } of bodyLines(code)) {
+        for (const statement of splitStatements(text)) {
+            const source = statement.text;
+            const at = offset => ({ line, column: statement.offset + offset + 1 });
+            let match;
+
+            if ((match = source.match(/^(create\s+)?(?:participant|actor)\s+(.+?)(?:@\{.*\})?(?:\s+as\s+.*)?$/))) {
+                declared.add(match[2].trim());
+                if (!match[1] && uses.length === 0) {
+                    declaresUpFront = true;
+                }
+                continue;
+            }
+            if ((match = source.match(BLOCK_REGEX))) {
+                blocks.push({ keyword: match[1], position: at(0) });
+                continue;
+            }
+            if (/^end$/.test(source)) {
+                if (!blocks.pop()) {
+                    findings.push({
+                        ruleId: 'sequence/unclosed-block',
+                        message: '"end" does not close any block',
+                        position: at(0)
+                    });
+                }
+                continue;
+            }
+            if (/^(sequenceDiagram|autonumber|title|accTitle|accDescr|else|and|option)\b/.test(source)) {
+                continue;
+            }
+            if ((match = source.match(REFERENCE_REGEX))) {
+                const keyword = match[1].split(/\s/)[0];
+                let offset = source.indexOf(match[2], match[1].length);
+                for (const part of match[2].split(',')) {
+                    const id = part.trim();
+                    const position = at(offset + part.length - part.trimStart().length);
+                    uses.push({ id, statement: keyword, position });
+                    if (keyword === 'activate') {
+                        activate(id, position);
+                    } else if (keyword === 'deactivate') {
+                        deactivate(id, position);
+                    }
+                    offset += part.length + 1;
+                }
+                continue;
+            }
+            if ((match = source.match(MESSAGE_REGEX))) {
+                const [, from, arrow, marker, to] = match;
+                const fromPosition = at(0);
+                const toPosition = at(source.indexOf(to, from.length + arrow.length));
+                uses.push({ id: from, statement: 'message', position: fromPosition });
+                uses.push({ id: to, statement: 'message', position: toPosition });
+                // `+` activates the receiver, `-` deactivates the sender
+                if (marker === '+') {
+                    activate(to, toPosition);
+                } else if (marker === '-') {
+                    deactivate(from, fromPosition);
+                }
+            }
+        }
+    }
+
+    for (const block of blocks) {
+        findings.push({
+            ruleId: 'sequence/unclosed-block',
+            message: `"${block.keyword}" block is never closed with "end"`,
+            position: block.position
+        });
+    }
+    for (const [id, open] of active) {
+        for (const position of open) {
+            findings.push({
+                ruleId: 'sequence/unbalanced-activation',
+                message: `"${id}" is activated here but never deactivated`,
+                position
+            });
+        }
+    }
+    if (declaresUpFront) {
+        for (const use of uses.filter(u => !declared.has(u.id))) {
+            findings.push({
+                ruleId: 'sequence/undeclared-participant',
+                message: `${use.statement} names undeclared participant "${use.id}"`,
+                position: use.position
+            });
+        }
+    }
+    return findings;
+}
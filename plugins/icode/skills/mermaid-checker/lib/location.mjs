@@ -0,0 +1,223 @@
+/**
+ * Error locations
+ *
+ * Mermaid reports error positions relative to the diagram text *after*
+ * its own preprocessing (frontmatter, %%{init}%% directives, comment
+ * lines and leading whitespace are removed). This module maps those
+ * positions back to the diagram source, then to the enclosing file, and
+ * renders a code frame.
+ */
+
+/**
+ * @typedef {Object} Position
+ * @property {number} line - 1-based line
+ * @property {number} column - 1-based column
+ */
+
+/**
+ * @typedef {Object} LineMap
+ * @property {number[]} lines - For each preprocessed line (0-based), the
+ *   0-based line of the diagram source it came from
+ * @property {number} firstColumnShift - Characters trimmed from the start
+ *   of the first preprocessed line
+ * @property {string[]} texts - The preprocessed lines themselves
+ */
+
+/**
+ * Reproduce Mermaid's preprocessing line by line
+ * @param {string} code - Diagram source
+ * @returns {LineMap}
+ */
+export function buildLineMap(code) {
+    const source = code.split(/\r\n|\r|\n/);
+    let index = 0;
+
+    // Frontmatter, plus the blank lines the frontmatter regex swallows after it
+    if (/^-{3}\s*$/.test(source[0] || '')) {
+        const close = source.findIndex((line, i) => i > 0 && /^-{3}\s*$/.test(line));
+        if (close !== -1) {
+            index = close + 1;
+            while (index < source.length && source[index] === '') {
+                index++;
+            }
+        }
+    }
+
+    const lines = [];
+    const texts = [];
+    while (index < source.length) {
+        const line = source[index];
+        // A %%{ ... }%% directive is replaced by nothing; a multi-line one
+        // collapses into a single (empty) line
+        if (/^\s*%%\{/.test(line) && !line.includes('}%%')) {
+            const end = source.findIndex((l, i) => i > index && l.includes('}%%'));
+            if (end !== -1) {
+                lines.push(index);
+                texts.push(source[end].slice(source[end].indexOf('}%%') + 3));
+                index = end + 1;
+                continue;
+            }
+        }
+        const text = line.replace(/%%\{.*?\}%%/g, '');
+        // Whole-line comments are removed including their newline
+        if (!/^\s*%%(?!\{)[^\n]+/.test(text)) {
+            lines.push(index);
+            texts.push(text);
+        }
+        index++;
+    }
+
+    // Leading whitespace (including blank lines) is trimmed
+    let start = 0;
+    while (start < texts.length && texts[start].trim() === '') {
+        start++;
+    }
+    const firstColumnShift = start < texts.length
+        ? texts[start].length - texts[start].trimStart().length
+        : 0;
+
+    return { lines: lines.slice(start), firstColumnShift, texts: texts.slice(start) };
+}
+
+/**
+ * Read the position Mermaid attached to a parse error
+ *
+ * Jison parsers attach `hash.loc` (1-based line, 0-based column); Langium
+ * parsers only mention "line N, column M" (both 1-based) in the message.
+ *
+ * @param {Error|Object} error - Error thrown by mermaid.parse()
+ * @returns {Position|null} - Position in the preprocessed text
+ */
+export function parseErrorPosition(error) {
+    const loc = error?.hash?.loc;
+    if (loc && Number.isInteger(loc.first_line)) {
+        return { line: loc.first_line, column: (loc.first_column || 0) + 1 };
+    }
+
+    const message = String(error?.message || error || '');
+    const withColumn = message.match(/line (\d+), column (\d+)/);
+    if (withColumn) {
+        return { line: Number(withColumn[1]), column: Number(withColumn[2]) };
+    }
+    const lineOnly = message.match(/on line (\d+)/);
+    if (lineOnly) {
+        return { line: Number(lineOnly[1]), column: 1 };
+    }
+    return null;
+}
+
+/**
+ * Locate a Mermaid error in the diagram source
+ * @param {Error|Object} error - Error thrown by mermaid.parse()
+ * @param {string} code - Diagram source that was parsed
+ * @returns {Position|null} - Position in `code`, or null if unknown
+ */
+export function locateDiagramError(error, code) {
+    const position = parseErrorPosition(error);
+    if (!position) {
+        return null;
+    }
+
+    const map = buildLineMap(code);
+    const sourceLines = code.split(/\r\n|\r|\n/);
+    // Mermaid may append a newline, so EOF errors can point one line past the end
+    const processedIndex = Math.min(position.line - 1, map.lines.length - 1);
+    if (processedIndex < 0) {
+        return null;
+    }
+    const sourceIndex = map.lines[processedIndex];
+    let column = position.column + (processedIndex === 0 ? map.firstColumnShift : 0);
+    if (position.line - 1 > processedIndex) {
+        // Past the end: point just after the last character
+        column = sourceLines[sourceIndex].length + 1;
+    }
+    return { line: sourceIndex + 1, column: Math.max(1, column) };
+}
+
+/**
+ * Map a diagram-relative position to the enclosing file
+ * @param {import('./extract.mjs').MermaidBlock} block - Block the diagram came from
+ * @param {Position} position - Position within block.code
+ * @returns {Position} - Position in the file (or notebook cell)
+ */
+export function toSourcePosition(block, position) {
+    const offset = block.columnOffsets?.[position.line - 1] || 0;
+    return {
+        line: block.codeStart + position.line - 1,
+        column: offset + position.column
+    };
+}
+
+/**
+ * Render a source line with a caret under the given column
+ *
+ *   12 |   B--> C(
+ *      |          ^
+ *
+ * @param {string[]} lines - Source lines
+ * @param {Position} position - Position to mark
+ * @returns {string|null} - Code frame, or null if the line does not exist
+ */
+export function formatCodeFrame(lines, position) {
+    const text = lines[position.line - 1];
+    if (text === undefined) {
+        return null;
+    }
+    const gutter = String(position.line);
+    const pad = ' '.repeat(gutter.length);
+    // Keep tabs so the caret lines up with the source line
+    const indent = text.slice(0, position.column - 1).replace(/[^\t]/g, ' ')
+        + ' '.repeat(Math.max(0, position.column - 1 - text.length));
+    return `${gutter} | ${text}\n${pad} | ${indent}^`;
+}
+
+/**
+ * Character class of a token character: 0 for whitespace, 1 for word
+ * characters, 2 for punctuation
+ * @param {string} char
+ * @returns {number}
+ */
+function charClass(char) {
+    if (/\s/.test(char)) {
+        return 0;
+    }
+    return /[\p{L}\p{N}_]/u.test(char) ? 1 : 2;
+}
+
+/**
+ * Columns of the token at a position, for editors that underline a range
+ *
+ * A token is a run of word characters or a run of punctuation (`-->`). On
+ * whitespace the next token on the line is used; past the last token, the
+ * preceding one, so an unexpected end of input marks what came last.
+ *
+ * @param {string} text - Source line
+ * @param {number} column - 1-based column
+ * @returns {{ start: number, end: number }} - 1-based start column and
+ *   exclusive end column; empty on a blank line
+ */
+export function tokenSpan(text, column) {
+    let index = Math.min(Math.max(column - 1, 0), text.length);
+    while (index < text.length && charClass(text[index]) === 0) {
+        index++;
+    }
+    if (index === text.length) {
+        while (index > 0 && charClass(text[index - 1]) === 0) {
+            index--;
+        }
+        if (index === 0) {
+            return { start: column, end: column };
+        }
+        index--;
+    }
+    const kind = charClass(text[index]);
+    let start = index;
+    let end = index + 1;
+    while (start > 0 && charClass(text[start - 1]) === kind) {
+        start--;
+    }
+    while (end < text.length && charClass(text[end]) === kind) {
+        end++;
+    }
+    return { start: start + 1, end: end + 1 };
+}
@@ -0,0 +1,502 @@
+/**
+ * Language Server Protocol server
+ *
+ * Publishes diagnostics for the Mermaid blocks of open documents as they
+ * are edited, shows the diagram type on hover and offers the automatic
+ * fixes (see fix.mjs) as quick fixes. Messages use the LSP base protocol
+ * (Content-Length framed JSON-RPC) over any pair of streams; lsp-server.mjs
+ * runs it on stdio.
+ *
+ * Documents are synchronized in full on every change. One validator stays
+ * warm for the session with results memoized in memory, so a keystroke
+ * only re-validates the block it touched.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { checkContent } from './check.mjs';
+import { diagramFindings } from './categories.mjs';
+import { fixContent } from './fix.mjs';
+import { splitLines } from './extract.mjs';
+import { tokenSpan } from './location.mjs';
+import { loadConfig } from './config.mjs';
+import { prepareValidator } from './pool.mjs';
+import { withCache, createMemoryCache } from './cache.mjs';
+import { SUPPORTED_EXTENSIONS } from './sources/index.mjs';
+import { getPluginVersion } from './modules.mjs';
+
+/**
+ * Extension assumed for documents without a file path (e.g. untitled
+ * buffers), by language ID
+ */
+const LANGUAGE_EXTENSIONS = {
+    markdown: '.md',
+    mdx: '.mdx',
+    mermaid: '.mmd',
+    asciidoc: '.adoc',
+    restructuredtext: '.rst',
+    html: '.html'
+};
+
+/**
+ * Extensions the server checks; notebook positions are cell-relative and
+ * cannot be mapped onto the document
+ */
+const CHECKED_EXTENSIONS = new Set(SUPPORTED_EXTENSIONS.filter(ext => ext !== 'ipynb').map(ext => '.' + ext));
+
+/**
+ * JSON-RPC error codes
+ */
+const METHOD_NOT_FOUND = -32601;
+const SERVER_NOT_INITIALIZED = -32002;
+const INTERNAL_ERROR = -32603;
+const CONTENT_MODIFIED = -32801;
+
+/**
+ * LSP DiagnosticSeverity
+ */
+const SEVERITY = { error: 1, warning: 2 };
+
+/**
+ * @typedef {{ line: number, character: number }} LspPosition - 0-based
+ * @typedef {{ start: LspPosition, end: LspPosition }} LspRange
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {LspRange} range
+ * @property {number} severity
+ * @property {string} code - Rule ID
+ * @property {string} source
+ * @property {string} message
+ */
+
+/**
+ * A checked version of a document
+ * @typedef {Object} CheckedText
+ * @property {string} text
+ * @property {number} version
+ * @property {import('./check.mjs').FileResult} result - Result for `text`
+ */
+
+/**
+ * An open document
+ * @typedef {Object} OpenDocument
+ * @property {string} uri
+ * @property {string} filePath - Path that picks the source adapter and config
+ * @property {string} text
+ * @property {number} version
+ * @property {Promise<CheckedText|null>|null} pending - Latest check; null
+ *   when it failed
+ */
+
+/**
+ * @typedef {Object} ServerOptions
+ * @property {NodeJS.ReadableStream} input
+ * @property {NodeJS.WritableStream} output
+ * @property {import('./validator.mjs').Validator} [validator] - Default: a
+ *   new validator with an in-memory result cache
+ * @property {number} [debounce=200] - Milliseconds of quiet after a change
+ *   before the document is checked
+ */
+
+/**
+ * Read Content-Length framed messages from a stream
+ * @param {NodeJS.ReadableStream} input
+ * @param {(message: Object) => void} onMessage
+ */
+export function readMessages(input, onMessage) {
+    let buffer = Buffer.alloc(0);
+    input.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        for (;;) {
+            const headerEnd = buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+            const header = buffer.subarray(0, headerEnd).toString('ascii');
+            const length = Number(header.match(/Content-Length:\s*(\d+)/i)?.[1]);
+            if (!Number.isInteger(length)) {
+                // Unframed garbage; drop the header and resynchronize
+                buffer = buffer.subarray(headerEnd + 4);
+                continue;
+            }
+            if (buffer.length < headerEnd + 4 + length) {
+                return;
+            }
+            const body = buffer.subarray(headerEnd + 4, headerEnd + 4 + length).toString('utf-8');
+            buffer = buffer.subarray(headerEnd + 4 + length);
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                continue;
+            }
+            // Batches and bare values are not messages the protocol sends
+            if (message !== null && typeof message === 'object' && !Array.isArray(message)) {
+                onMessage(message);
+            }
+        }
+    });
+}
+
+/**
+ * Write a Content-Length framed message
+ * @param {NodeJS.WritableStream} output
+ * @param {Object} message
+ */
+export function writeMessage(output, message) {
+    const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+    output.write(`Content-Length: ${Buffer.byteLength(body, 'utf-8')}\r\n\r\n${body}`);
+}
+
+/**
+ * Range covering a whole line
+ * @param {string[]} lines
+ * @param {number} line - 1-based
+ * @returns {LspRange}
+ */
+function lineRange(lines, line) {
+    return {
+        start: { line: line - 1, character: 0 },
+        end: { line: line - 1, character: (lines[line - 1] || '').length }
+    };
+}
+
+/**
+ * Diagnostics for a checked document
+ *
+ * Findings with a position underline the token there; those without (fence
+ * and render errors) underline the opening fence.
+ *
+ * @param {import('./check.mjs').FileResult} result
+ * @param {string[]} lines - Document lines
+ * @returns {Diagnostic[]}
+ */
+export function toDiagnostics(result, lines) {
+    const diagnostics = [];
+    for (const diag of result.diagrams) {
+        for (const finding of diagramFindings(diag)) {
+            let range = lineRange(lines, diag.lineStart);
+            if (finding.location) {
+                const { line, column } = finding.location;
+                const span = tokenSpan(lines[line - 1] || '', column);
+                range = {
+                    start: { line: line - 1, character: span.start - 1 },
+                    end: { line: line - 1, character: span.end - 1 }
+                };
+            }
+            diagnostics.push({
+                range,
+                severity: SEVERITY[finding.severity],
+                code: finding.ruleId,
+                source: 'mermaid-check',
+                message: finding.message
+            });
+        }
+    }
+    return diagnostics;
+}
+
+/**
+ * Whether a block spans a 1-based line, fences included
+ * @param {import('./check.mjs').BlockResult} diag
+ * @param {number} line
+ * @returns {boolean}
+ */
+function blockContains(diag, line) {
+    return line >= diag.lineStart && line <= diag.lineEnd + 1;
+}
+
+/**
+ * Hover text for a block
+ * @param {import('./check.mjs').BlockResult} diag
+ * @returns {string} - Markdown
+ */
+function hoverText(diag) {
+    const findings = diagramFindings(diag);
+    const errors = findings.filter(finding => finding.severity === 'error').length;
+    const warnings = findings.length - errors;
+    const status = diag.valid
+        ? `✅ valid${warnings > 0 ? `, ${warnings} warning(s)` : ''}`
+        : `❌ ${errors} error(s)${warnings > 0 ? `, ${warnings} warning(s)` : ''}`;
+    const lines = diag.code.split('\n').length;
+    return `**Mermaid ${diag.diagramType}** diagram\n\n${status} · ${lines} line(s)`;
+}
+
+/**
+ * Path used to check a document
+ * @param {string} uri
+ * @param {string} [languageId]
+ * @returns {string|null} - Null when the server does not check the document
+ */
+function documentPath(uri, languageId) {
+    let filePath;
+    if (uri.startsWith('file:')) {
+        filePath = fileURLToPath(uri);
+    } else if (LANGUAGE_EXTENSIONS[languageId]) {
+        // Resolved against the working directory for config lookup
+        filePath = path.resolve(`untitled${LANGUAGE_EXTENSIONS[languageId]}`);
+    } else {
+        return null;
+    }
+    return CHECKED_EXTENSIONS.has(path.extname(filePath).toLowerCase()) ? filePath : null;
+}
+
+/**
+ * Start a language server on a pair of streams
+ * @param {ServerOptions} options
+ * @returns {{ exited: Promise<number> }} - Resolves with the exit code when
+ *   the client sends `exit` (0 after `shutdown`, 1 otherwise) or closes input
+ */
+export function createLanguageServer(options) {
+    const { input, output } = options;
+    const debounce = options.debounce ?? 200;
+    /** @type {Map<string, OpenDocument>} */
+    const documents = new Map();
+    const timers = new Map();
+    let validator = options.validator ? Promise.resolve(options.validator) : null;
+    let queue = Promise.resolve();
+    let initialized = false;
+    let shuttingDown = false;
+    let resolveExit;
+    const exited = new Promise(resolve => {
+        resolveExit = resolve;
+    });
+
+    const send = message => writeMessage(output, message);
+    const getValidator = () => {
+        validator = validator || prepareValidator(null).then(base => withCache(base, createMemoryCache()));
+        return validator;
+    };
+
+    // Checks run one at a time on the shared validator
+    const check = (doc) => {
+        const run = async () => {
+            const { version, text } = doc;
+            const result = await checkContent(text, { filePath: doc.filePath, validator: await getValidator() });
+            // A newer version is published by its own run
+            if (documents.get(doc.uri) === doc && doc.version === version) {
+                send({
+                    method: 'textDocument/publishDiagnostics',
+                    params: { uri: doc.uri, version, diagnostics: toDiagnostics(result, splitLines(text)) }
+                });
+            }
+            return { text, version, result };
+        };
+        doc.pending = queue = queue.then(run).catch(error => {
+            send({ method: 'window/logMessage', params: { type: 1, message: `mermaid-check: ${error.message}` } });
+            return null;
+        });
+        return doc.pending;
+    };
+
+    const schedule = (doc) => {
+        clearTimeout(timers.get(doc.uri));
+        timers.set(doc.uri, setTimeout(() => {
+            timers.delete(doc.uri);
+            check(doc);
+        }, debounce));
+    };
+
+    /**
+     * The document's latest checked version, checking it if needed
+     *
+     * The result comes with the text it was computed from; the document may
+     * have changed again by the time it resolves.
+     *
+     * @param {OpenDocument} doc
+     * @returns {Promise<CheckedText|null>}
+     */
+    const currentResult = (doc) => {
+        if (timers.has(doc.uri)) {
+            clearTimeout(timers.get(doc.uri));
+            timers.delete(doc.uri);
+            check(doc);
+        }
+        return doc.pending;
+    };
+
+    /**
+     * Fail a request whose answer is for an outdated version; clients
+     * re-request on ContentModified
+     * @param {OpenDocument} doc
+     * @param {number} version
+     * @throws {Error} When `doc` is closed or past `version`
+     */
+    const assertCurrent = (doc, version) => {
+        if (documents.get(doc.uri) !== doc || doc.version !== version) {
+            throw Object.assign(new Error('Document changed while the request was processed'), { code: CONTENT_MODIFIED });
+        }
+    };
+
+    const handlers = {
+        initialize: () => {
+            initialized = true;
+            return {
+                capabilities: {
+                    textDocumentSync: { openClose: true, change: 1 },
+                    hoverProvider: true,
+                    codeActionProvider: { codeActionKinds: ['quickfix'] }
+                },
+                serverInfo: { name: 'mermaid-check', version: getPluginVersion() }
+            };
+        },
+        shutdown: () => {
+            shuttingDown = true;
+            return null;
+        },
+        'textDocument/hover': async ({ textDocument, position }) => {
+            const doc = documents.get(textDocument.uri);
+            const checked = doc && await currentResult(doc);
+            if (!checked) {
+                return null;
+            }
+            assertCurrent(doc, checked.version);
+            const diag = checked.result.diagrams.find(candidate => blockContains(candidate, position.line + 1));
+            if (!diag) {
+                return null;
+            }
+            const lines = splitLines(checked.text);
+            const lastLine = Math.min(diag.lineEnd + 1, lines.length);
+            return {
+                contents: { kind: 'markdown', value: hoverText(diag) },
+                range: {
+                    start: { line: diag.lineStart - 1, character: 0 },
+                    end: { line: lastLine - 1, character: (lines[lastLine - 1] || '').length }
+                }
+            };
+        },
+        'textDocument/codeAction': async ({ textDocument, range, context }) => {
+            const doc = documents.get(textDocument.uri);
+            const checked = doc && await currentResult(doc);
+            if (!checked) {
+                return [];
+            }
+            assertCurrent(doc, checked.version);
+            const blocks = checked.result.diagrams.filter(diag =>
+                diag.cell === undefined && diag.lineStart <= range.end.line + 1 && diag.lineEnd + 1 >= range.start.line + 1);
+            if (blocks.length === 0) {
+                return [];
+            }
+
+            // Edits are computed against the checked text and only returned
+            // while the document is still at that version
+            const { text } = checked;
+            const fix = await fixContent(text, {
+                filePath: doc.filePath,
+                validator: await getValidator(),
+                mermaidConfig: loadConfig(doc.filePath).mermaid
+            });
+            assertCurrent(doc, checked.version);
+            const lines = splitLines(text);
+            const fixedLines = splitLines(fix.content);
+            const eol = text.includes('\r\n') ? '\r\n' : '\n';
+            const actions = [];
+            for (const outcome of fix.blocks.filter(candidate => candidate.status === 'fixed')) {
+                const diag = blocks.find(candidate => candidate.index === outcome.index);
+                if (!diag) {
+                    continue;
+                }
+                // Fixes keep the line count, so the block occupies the same lines
+                const edit = {
+                    range: {
+                        start: { line: diag.codeStart - 1, character: 0 },
+                        end: { line: diag.lineEnd - 1, character: lines[diag.lineEnd - 1].length }
+                    },
+                    newText: fixedLines.slice(diag.codeStart - 1, diag.lineEnd).join(eol)
+                };
+                const diagnostics = (context?.diagnostics || []).filter(diagnostic =>
+                    diagnostic.source === 'mermaid-check' && blockContains(diag, diagnostic.range.start.line + 1));
+                actions.push({
+                    title: `Fix Mermaid ${diag.diagramType}: ${outcome.fixes.join(', ')}`,
+                    kind: 'quickfix',
+                    diagnostics,
+                    isPreferred: !diag.valid,
+                    edit: { changes: { [doc.uri]: [edit] } }
+                });
+            }
+            return actions;
+        }
+    };
+
+    const notifications = {
+        'textDocument/didOpen': ({ textDocument }) => {
+            if (typeof textDocument?.uri !== 'string' || typeof textDocument.text !== 'string') {
+                return;
+            }
+            const filePath = documentPath(textDocument.uri, textDocument.languageId);
+            if (!filePath) {
+                return;
+            }
+            const doc = {
+                uri: textDocument.uri,
+                filePath,
+                text: textDocument.text,
+                version: textDocument.version,
+                pending: null
+            };
+            documents.set(doc.uri, doc);
+            check(doc);
+        },
+        'textDocument/didChange': ({ textDocument, contentChanges }) => {
+            const doc = documents.get(textDocument?.uri);
+            const text = Array.isArray(contentChanges) ? contentChanges[contentChanges.length - 1]?.text : undefined;
+            if (!doc || typeof text !== 'string') {
+                return;
+            }
+            // Full sync: the last change holds the whole text
+            doc.text = text;
+            doc.version = textDocument.version;
+            schedule(doc);
+        },
+        'textDocument/didClose': ({ textDocument }) => {
+            if (!documents.delete(textDocument?.uri)) {
+                return;
+            }
+            clearTimeout(timers.get(textDocument.uri));
+            timers.delete(textDocument.uri);
+            send({ method: 'textDocument/publishDiagnostics', params: { uri: textDocument.uri, diagnostics: [] } });
+        },
+        exit: () => {
+            for (const timer of timers.values()) {
+                clearTimeout(timer);
+            }
+            resolveExit(shuttingDown ? 0 : 1);
+        }
+    };
+
+    readMessages(input, async (message) => {
+        const { id, method, params } = message;
+        if (id === undefined) {
+            // A malformed notification must not take the server down
+            try {
+                notifications[method]?.(params || {});
+            } catch (error) {
+                send({ method: 'window/logMessage', params: { type: 1, message: `mermaid-check: ${method}: ${error.message}` } });
+            }
+            return;
+        }
+        if (!method) {
+            // Response to a server request; the server sends none
+            return;
+        }
+        const handler = handlers[method];
+        if (!handler) {
+            send({ id, error: { code: METHOD_NOT_FOUND, message: `Unhandled method ${method}` } });
+            return;
+        }
+        if (!initialized && method !== 'initialize') {
+            send({ id, error: { code: SERVER_NOT_INITIALIZED, message: 'Server not initialized' } });
+            return;
+        }
+        try {
+            send({ id, result: await handler(params || {}) });
+        } catch (error) {
+            send({ id, error: { code: error.code === CONTENT_MODIFIED ? CONTENT_MODIFIED : INTERNAL_ERROR, message: error.message } });
+        }
+    });
+    input.on('end', () => resolveExit(shuttingDown ? 0 : 1));
+
+    return { exited };
+}
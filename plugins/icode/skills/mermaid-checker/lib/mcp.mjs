@@ -0,0 +1,348 @@
+/**
+ * Model Context Protocol server
+ *
+ * Exposes the checker as typed tools: validate_mermaid,
+ * check_markdown_file, fix_mermaid, extract_diagrams and
+ * list_diagram_types. Messages
+ * are newline-delimited JSON-RPC over any pair of streams (the MCP stdio
+ * transport); mcp-server.mjs runs it on stdio.
+ *
+ * One validator is created when the client initializes and stays warm for
+ * the session, with results memoized in memory, so only the first call
+ * pays for JSDOM and Mermaid setup.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { checkContent, checkFile, detectDiagramType, listDiagramTypes } from './check.mjs';
+import { fixContent, fixFile } from './fix.mjs';
+import { unifiedDiff } from './diff.mjs';
+import { loadConfig } from './config.mjs';
+import { getSourceAdapter } from './sources/index.mjs';
+import { toJsonFile, REPORT_SCHEMA_VERSION } from './reporters/json.mjs';
+import { prepareValidator } from './pool.mjs';
+import { withCache, createMemoryCache } from './cache.mjs';
+import { getPluginVersion } from './modules.mjs';
+
+/**
+ * Protocol versions the server speaks, newest first
+ */
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/**
+ * JSON-RPC error codes
+ */
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * @typedef {import('./validator.mjs').Validator} Validator
+ */
+
+/**
+ * A tool: its MCP definition plus the function that runs it
+ * @typedef {Object} McpTool
+ * @property {string} name
+ * @property {string} title
+ * @property {string} description
+ * @property {Object} inputSchema - JSON Schema of the arguments
+ * @property {(args: Object, context: { validator: Validator, cwd: string }) => Promise<Object>} run -
+ *   Returns the structured result; throws for a failed call
+ */
+
+/**
+ * @typedef {Object} McpServerOptions
+ * @property {NodeJS.ReadableStream} input
+ * @property {NodeJS.WritableStream} output
+ * @property {Validator} [validator] - Default: a new validator with an
+ *   in-memory result cache
+ * @property {string} [cwd=process.cwd()] - Base for relative paths
+ */
+
+/**
+ * Resolve and check a `path` argument
+ * @param {string} filePath
+ * @param {string} cwd
+ * @returns {string} - Absolute path
+ * @throws {Error} When the file does not exist
+ */
+function existingFile(filePath, cwd) {
+    const absolute = path.resolve(cwd, filePath);
+    if (!fs.statSync(absolute, { throwIfNoEntry: false })?.isFile()) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+    return absolute;
+}
+
+/**
+ * The server's tools
+ * @type {McpTool[]}
+ */
+export const MCP_TOOLS = [
+    {
+        name: 'validate_mermaid',
+        title: 'Validate Mermaid diagram',
+        description: 'Validate one Mermaid diagram given as source text (no ``` fences). '
+            + 'Returns validity, the diagram type, the parse error with its line/column and code frame, '
+            + 'and rule issues (lint, config, semantic checks). Lines are relative to the diagram.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', description: 'Mermaid diagram source' },
+                render: { type: 'boolean', description: 'Also render the diagram to catch layout errors (slower)' }
+            },
+            required: ['code']
+        },
+        run: async ({ code, render }, { validator, cwd }) => {
+            // Checked as a standalone .mmd file so positions and project config apply
+            const result = await checkContent(code, { filePath: path.join(cwd, 'diagram.mmd'), validator, render });
+            const [diagram] = toJsonFile(result, cwd).diagrams;
+            if (!diagram) {
+                throw new Error('The diagram is empty');
+            }
+            const { id, index, cell, cached, ...fields } = diagram;
+            return fields;
+        }
+    },
+    {
+        name: 'check_markdown_file',
+        title: 'Check Mermaid diagrams in a file',
+        description: 'Validate every Mermaid block in a Markdown file (also MDX, AsciiDoc, reStructuredText, '
+            + 'HTML, Jupyter notebooks and .mmd files). Returns the JSON report record of mermaid-check.mjs '
+            + '--format json: per-diagram validity, errors with file line/column and code frames, and issues.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'File to check, absolute or relative to the working directory' },
+                render: { type: 'boolean', description: 'Also render each diagram to catch layout errors (slower)' }
+            },
+            required: ['path']
+        },
+        run: async ({ path: filePath, render }, { validator, cwd }) => {
+            const result = await checkFile(existingFile(filePath, cwd), { validator, render });
+            return { schemaVersion: REPORT_SCHEMA_VERSION, ...toJsonFile(result, cwd) };
+        }
+    },
+    {
+        name: 'fix_mermaid',
+        title: 'Fix Mermaid diagrams',
+        description: 'Apply the safe automatic fixes of mermaid-check.mjs --fix (quote labels with brackets or '
+            + 'Chinese punctuation, rename nodes called end, drop stray semicolons, normalize <br>) to a file '
+            + 'or to one diagram given as source text. A fix is only kept when the fixed diagram parses. '
+            + 'Returns what changed per block and a unified diff; with dryRun the file is left untouched.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'File to fix, absolute or relative to the working directory' },
+                code: { type: 'string', description: 'Mermaid diagram source to fix instead of a file (no ``` fences)' },
+                dryRun: { type: 'boolean', description: 'Only report the fixes and the diff; do not write the file' }
+            }
+        },
+        run: async ({ path: filePath, code, dryRun }, { validator, cwd }) => {
+            if ((filePath === undefined) === (code === undefined)) {
+                throw new Error('Pass either path or code');
+            }
+            if (code !== undefined) {
+                // Fixed as a standalone .mmd file, like validate_mermaid checks it
+                const virtualPath = path.join(cwd, 'diagram.mmd');
+                const result = await fixContent(code, { filePath: virtualPath, validator, mermaidConfig: loadConfig(virtualPath).mermaid });
+                const [block] = result.blocks;
+                return {
+                    changed: result.changed,
+                    code: result.content,
+                    fixes: block?.fixes ?? [],
+                    status: block?.status ?? null,
+                    error: block?.error ?? null,
+                    diff: unifiedDiff(code, result.content, { fromFile: 'a/diagram.mmd', toFile: 'b/diagram.mmd' })
+                };
+            }
+            const result = await fixFile(existingFile(filePath, cwd), { validator, write: !dryRun });
+            return {
+                path: path.relative(cwd, result.filePath) || result.filePath,
+                changed: result.changed,
+                written: result.changed && !dryRun,
+                blocks: result.blocks,
+                diff: result.diff
+            };
+        }
+    },
+    {
+        name: 'extract_diagrams',
+        title: 'Extract Mermaid diagrams',
+        description: 'List the Mermaid blocks of a documentation file without validating them: '
+            + 'source, detected type and line range of each.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'File to read, absolute or relative to the working directory' }
+            },
+            required: ['path']
+        },
+        run: async ({ path: filePath }, { validator, cwd }) => {
+            const absolute = existingFile(filePath, cwd);
+            const adapter = getSourceAdapter(absolute);
+            const blocks = adapter.extract(fs.readFileSync(absolute, 'utf-8'));
+            const diagrams = [];
+            for (const block of blocks) {
+                diagrams.push({
+                    id: block.id,
+                    index: block.index,
+                    diagramType: await detectDiagramType(block.code, { validator }),
+                    cell: block.cell ?? null,
+                    lineStart: block.lineStart,
+                    lineEnd: block.lineEnd,
+                    fenceError: block.fenceError,
+                    code: block.code
+                });
+            }
+            return { path: path.relative(cwd, absolute) || absolute, source: adapter.name, diagrams };
+        }
+    },
+    {
+        name: 'list_diagram_types',
+        title: 'List Mermaid diagram types',
+        description: 'List the diagram types the installed Mermaid version supports, '
+            + 'with the keywords that start each type.',
+        inputSchema: { type: 'object', properties: {} },
+        run: async (args, { validator }) => ({
+            mermaidVersion: validator.mermaidVersion,
+            types: await listDiagramTypes({ validator })
+        })
+    }
+];
+
+/**
+ * Check arguments against a tool's input schema (required properties and
+ * primitive types only)
+ * @param {McpTool} tool
+ * @param {Object} args
+ * @returns {string|null} - What is wrong, or null
+ */
+function argumentError(tool, args) {
+    const { properties = {}, required = [] } = tool.inputSchema;
+    for (const name of required) {
+        if (args[name] === undefined) {
+            return `Missing argument: ${name}`;
+        }
+    }
+    for (const [name, value] of Object.entries(args)) {
+        const expected = properties[name]?.type;
+        if (expected && typeof value !== expected) {
+            return `Argument ${name} must be a ${expected}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Start an MCP server on a pair of streams
+ * @param {McpServerOptions} options
+ * @returns {{ closed: Promise<void> }} - Resolves when the input has ended
+ *   and every request read before has been answered
+ */
+export function createMcpServer(options) {
+    const { input, output } = options;
+    const cwd = options.cwd || process.cwd();
+    let validator = options.validator ? Promise.resolve(options.validator) : null;
+    const getValidator = () => {
+        validator = validator || prepareValidator(null).then(base => withCache(base, createMemoryCache()));
+        return validator;
+    };
+
+    const send = message => output.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+
+    const handlers = {
+        initialize: (params) => {
+            // Warm up while the client finishes its handshake
+            getValidator().catch(() => {});
+            const requested = params.protocolVersion;
+            return {
+                protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+                capabilities: { tools: { listChanged: false } },
+                serverInfo: { name: 'mermaid-checker', version: getPluginVersion() },
+                instructions: 'Validate Mermaid diagrams with the same engine as mermaid-check.mjs. '
+                    + 'Use check_markdown_file after editing a document and validate_mermaid for diagram text.'
+            };
+        },
+        ping: () => ({}),
+        'tools/list': () => ({
+            tools: MCP_TOOLS.map(({ name, title, description, inputSchema }) => ({ name, title, description, inputSchema }))
+        }),
+        'tools/call': async ({ name, arguments: args = {} }) => {
+            const tool = MCP_TOOLS.find(candidate => candidate.name === name);
+            if (!tool) {
+                throw Object.assign(new Error(`Unknown tool: ${name}`), { code: INVALID_PARAMS });
+            }
+            // Failed calls are results the model can read, not protocol errors
+            const problem = argumentError(tool, args);
+            if (problem) {
+                return { content: [{ type: 'text', text: problem }], isError: true };
+            }
+            try {
+                const result = await tool.run(args, { validator: await getValidator(), cwd });
+                return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], structuredContent: result };
+            } catch (error) {
+                return { content: [{ type: 'text', text: error.message }], isError: true };
+            }
+        }
+    };
+
+    const handle = async (message) => {
+        const { id, method, params } = message;
+        if (id === undefined || !method) {
+            // Notifications and responses need no answer
+            return;
+        }
+        const handler = handlers[method];
+        if (!handler) {
+            send({ id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${method}` } });
+            return;
+        }
+        try {
+            send({ id, result: await handler(params || {}) });
+        } catch (error) {
+            send({ id, error: { code: error.code || INTERNAL_ERROR, message: error.message } });
+        }
+    };
+
+    const inFlight = new Set();
+    let buffer = '';
+    input.setEncoding('utf-8');
+    input.on('data', chunk => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (line === '') {
+                continue;
+            }
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                send({ id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+                continue;
+            }
+            // MCP does not use JSON-RPC batches
+            if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+                send({ id: null, error: { code: INVALID_REQUEST, message: 'Invalid Request' } });
+                continue;
+            }
+            const request = handle(message).catch(error => {
+                // Only reached if answering fails; the server keeps going
+                console.error(`mermaid-checker MCP: ${error.message}`);
+            });
+            inFlight.add(request);
+            request.finally(() => inFlight.delete(request));
+        }
+    });
+
+    const closed = new Promise(resolve => {
+        input.on('end', () => Promise.allSettled([...inFlight]).then(() => resolve()));
+    });
+    return { closed };
+}
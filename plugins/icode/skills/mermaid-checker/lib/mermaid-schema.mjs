@@ -0,0 +1,457 @@
+/**
+ * Mermaid config schema
+ *
+ * Mermaid ships its config schema as generated TypeScript declarations
+ * (dist/config.type.d.ts) rather than JSON Schema. This module reads the
+ * declarations of the installed mermaid into a small type tree, so config
+ * checks always follow the version that parses the diagrams, and checks
+ * plain values (from YAML or JSON) against it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { findPackageDir } from './modules.mjs';
+
+/**
+ * Type tree node. `kind` is one of:
+ *   any       - anything goes
+ *   primitive - `type` is string, number or boolean
+ *   literal   - `value` is a string, number, boolean or null
+ *   array     - `items` is the element type
+ *   object    - `properties`, `extends` (interface names) and `additional`
+ *               (index signature type, or null)
+ *   union     - `types` are the alternatives
+ *   function  - functions cannot be written in a config
+ *   ref       - `name` of a declared type
+ * @typedef {Object} SchemaType
+ */
+
+/**
+ * @typedef {Object} ConfigSchema
+ * @property {Map<string, SchemaType>} types - Declared types by name
+ * @property {string} root - Name of the top-level config type
+ */
+
+/**
+ * @typedef {Object} SchemaProblem
+ * @property {Array<string|number>} path - Keys leading to the offending value
+ * @property {'unknown-key'|'invalid-value'} kind
+ * @property {string} message
+ */
+
+const PRIMITIVES = ['string', 'number', 'boolean'];
+
+/**
+ * Split declarations into tokens, dropping comments
+ * @param {string} source
+ * @returns {string[]}
+ */
+function tokenize(source) {
+    const stripped = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+    return stripped.match(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|=>|-?\d+(?:\.\d+)?|[\w$]+|[^\s\w]/g) || [];
+}
+
+/**
+ * Recursive-descent parser for the subset of TypeScript in config.type.d.ts
+ * @param {string[]} tokens
+ * @returns {Map<string, SchemaType>}
+ */
+function parseDeclarations(tokens) {
+    const types = new Map();
+    let pos = 0;
+
+    const peek = (offset = 0) => tokens[pos + offset];
+    const next = () => tokens[pos++];
+    const accept = (token) => {
+        if (peek() === token) {
+            pos++;
+            return true;
+        }
+        return false;
+    };
+    const expect = (token) => {
+        if (next() !== token) {
+            throw new Error(`Expected "${token}" near token ${pos} ("${tokens[pos - 1]}")`);
+        }
+    };
+    const unquote = token => /^['"]/.test(token) ? token.slice(1, -1) : token;
+
+    // Skip a balanced bracket group starting at the current opening token
+    const skipGroup = (open, close) => {
+        let depth = 0;
+        do {
+            const token = next();
+            if (token === open) {
+                depth++;
+            } else if (token === close) {
+                depth--;
+            }
+        } while (depth > 0 && pos < tokens.length);
+    };
+
+    // Skip tokens up to and including `close`
+    const skipUntil = (close) => {
+        while (pos < tokens.length && next() !== close) {
+            continue;
+        }
+    };
+
+    const parseMembers = () => {
+        const node = { kind: 'object', properties: {}, extends: [], additional: null };
+        expect('{');
+        while (!accept('}')) {
+            if (accept('[')) {
+                // Index signature: [k: string]: Type
+                skipUntil(']');
+                expect(':');
+                node.additional = parseType();
+            } else {
+                accept('readonly');
+                const key = unquote(next());
+                accept('?');
+                if (peek() === '(') {
+                    // Method signature
+                    skipGroup('(', ')');
+                    expect(':');
+                    parseType();
+                    node.properties[key] = { kind: 'function' };
+                } else {
+                    expect(':');
+                    node.properties[key] = parseType();
+                }
+            }
+            accept(';') || accept(',');
+        }
+        return node;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === '(') {
+            // Either `() => T`, `(a: X) => T` or a parenthesized type
+            if (peek() === ')' || (/^[\w$]+$/.test(peek()) && (peek(1) === ':' || peek(1) === '?'))) {
+                pos--;
+                skipGroup('(', ')');
+                expect('=>');
+                parseType();
+                return { kind: 'function' };
+            }
+            const inner = parseType();
+            expect(')');
+            return inner;
+        }
+        if (token === '{') {
+            pos--;
+            return parseMembers();
+        }
+        if (/^['"]/.test(token)) {
+            return { kind: 'literal', value: unquote(token) };
+        }
+        if (/^-?\d/.test(token)) {
+            return { kind: 'literal', value: Number(token) };
+        }
+        if (token === 'true' || token === 'false') {
+            return { kind: 'literal', value: token === 'true' };
+        }
+        if (token === 'null') {
+            return { kind: 'literal', value: null };
+        }
+        if (PRIMITIVES.includes(token)) {
+            return { kind: 'primitive', type: token };
+        }
+        if (token === 'import') {
+            // import('pkg').Name - an external type we cannot check
+            skipGroup('(', ')');
+            while (accept('.')) {
+                next();
+            }
+            return { kind: 'any' };
+        }
+        if (peek() === '<') {
+            // Generic such as Partial<X> or Record<K, V>: not checked
+            skipGroup('<', '>');
+            return { kind: 'any' };
+        }
+        if (token === 'any' || token === 'unknown' || token === 'object' || token === 'undefined') {
+            return token === 'undefined' ? { kind: 'literal', value: null } : { kind: 'any' };
+        }
+        return { kind: 'ref', name: token };
+    };
+
+    const parsePostfix = () => {
+        let type = parsePrimary();
+        while (peek() === '[' && peek(1) === ']') {
+            pos += 2;
+            type = { kind: 'array', items: type };
+        }
+        return type;
+    };
+
+    const parseType = () => {
+        accept('|');
+        const types = [parsePostfix()];
+        while (accept('|')) {
+            types.push(parsePostfix());
+        }
+        return types.length === 1 ? types[0] : { kind: 'union', types };
+    };
+
+    while (pos < tokens.length) {
+        const token = next();
+        if (token === 'interface') {
+            const name = next();
+            const bases = [];
+            if (accept('extends')) {
+                do {
+                    bases.push(next());
+                } while (accept(','));
+            }
+            const node = parseMembers();
+            node.extends = bases;
+            types.set(name, node);
+        } else if (token === 'type' && peek(1) === '=') {
+            const name = next();
+            expect('=');
+            types.set(name, parseType());
+            accept(';');
+        }
+    }
+    return types;
+}
+
+let cachedSchema;
+
+/**
+ * Load the config schema of the installed mermaid
+ * @returns {ConfigSchema|null} - Null when mermaid or its declarations are missing
+ */
+export function loadMermaidConfigSchema() {
+    if (cachedSchema !== undefined) {
+        return cachedSchema;
+    }
+    cachedSchema = null;
+    const dir = findPackageDir('mermaid');
+    const file = dir && path.join(dir, 'dist', 'config.type.d.ts');
+    if (file && fs.existsSync(file)) {
+        try {
+            const types = parseDeclarations(tokenize(fs.readFileSync(file, 'utf-8')));
+            if (types.has('MermaidConfig')) {
+                cachedSchema = { types, root: 'MermaidConfig' };
+            }
+        } catch (e) {
+            // An unexpected declaration format disables schema checks
+        }
+    }
+    return cachedSchema;
+}
+
+/**
+ * Follow `ref` nodes to a declared type
+ * @param {SchemaType} type
+ * @param {ConfigSchema} schema
+ * @returns {SchemaType}
+ */
+function resolve(type, schema) {
+    let current = type;
+    const seen = new Set();
+    while (current.kind === 'ref') {
+        if (seen.has(current.name) || !schema.types.has(current.name)) {
+            return { kind: 'any' };
+        }
+        seen.add(current.name);
+        current = schema.types.get(current.name);
+    }
+    return current;
+}
+
+/**
+ * Look up a property of an object type, including inherited ones
+ * @param {SchemaType} type - Object type
+ * @param {string} key
+ * @param {ConfigSchema} schema
+ * @returns {SchemaType|undefined}
+ */
+function propertyType(type, key, schema) {
+    if (Object.hasOwn(type.properties, key)) {
+        return type.properties[key];
+    }
+    for (const base of type.extends) {
+        const baseType = resolve({ kind: 'ref', name: base }, schema);
+        if (baseType.kind === 'object') {
+            const found = propertyType(baseType, key, schema);
+            if (found) {
+                return found;
+            }
+        }
+    }
+    return type.additional || undefined;
+}
+
+/**
+ * All property names of an object type, including inherited ones
+ * @param {SchemaType} type
+ * @param {ConfigSchema} schema
+ * @returns {string[]}
+ */
+function propertyNames(type, schema) {
+    const names = Object.keys(type.properties);
+    for (const base of type.extends) {
+        const baseType = resolve({ kind: 'ref', name: base }, schema);
+        if (baseType.kind === 'object') {
+            names.push(...propertyNames(baseType, schema));
+        }
+    }
+    return names;
+}
+
+/**
+ * Human-readable description of a type, e.g. `"dark" | "forest"` or `number`
+ * @param {SchemaType} type
+ * @param {ConfigSchema} schema
+ * @returns {string}
+ */
+function describe(type, schema) {
+    const resolved = resolve(type, schema);
+    switch (resolved.kind) {
+        case 'primitive':
+            return resolved.type;
+        case 'literal':
+            return JSON.stringify(resolved.value);
+        case 'array':
+            return `${describe(resolved.items, schema)}[]`;
+        case 'object':
+            return 'object';
+        case 'union':
+            return [...new Set(resolved.types.map(member => describe(member, schema)))].join(' | ');
+        case 'function':
+            return 'function';
+        default:
+            return 'any';
+    }
+}
+
+/**
+ * Edit distance, for "did you mean" hints
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Closest known key to a misspelled one
+ * @param {string} key
+ * @param {string[]} candidates
+ * @returns {string|null}
+ */
+function suggestKey(key, candidates) {
+    let best = null;
+    let bestDistance = Math.max(2, Math.floor(key.length / 4)) + 1;
+    for (const candidate of candidates) {
+        const d = distance(key.toLowerCase(), candidate.toLowerCase());
+        if (d < bestDistance) {
+            best = candidate;
+            bestDistance = d;
+        }
+    }
+    return best;
+}
+
+/**
+ * Format a key path as `flowchart.curve` or `secure[0]`
+ * @param {Array<string|number>} keys
+ * @returns {string}
+ */
+export function formatKeyPath(keys) {
+    return keys.map((key, i) => typeof key === 'number' ? `[${key}]` : `${i > 0 ? '.' : ''}${key}`).join('');
+}
+
+/**
+ * Check a value against a type
+ * @param {*} value
+ * @param {SchemaType} type
+ * @param {ConfigSchema} schema
+ * @param {Array<string|number>} keys - Path of `value`
+ * @returns {SchemaProblem[]}
+ */
+function checkType(value, type, schema, keys) {
+    const resolved = resolve(type, schema);
+    const invalid = () => [{
+        path: keys,
+        kind: 'invalid-value',
+        message: `Invalid value ${JSON.stringify(value)} for "${formatKeyPath(keys)}": expected ${describe(resolved, schema)}`
+    }];
+
+    switch (resolved.kind) {
+        case 'any':
+            return [];
+        case 'primitive':
+            return typeof value === resolved.type ? [] : invalid();
+        case 'literal':
+            return value === resolved.value ? [] : invalid();
+        case 'function':
+            return invalid();
+        case 'array':
+            if (!Array.isArray(value)) {
+                return invalid();
+            }
+            return value.flatMap((item, i) => checkType(item, resolved.items, schema, [...keys, i]));
+        case 'object': {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                return invalid();
+            }
+            const problems = [];
+            for (const [key, item] of Object.entries(value)) {
+                const itemType = propertyType(resolved, key, schema);
+                if (itemType) {
+                    problems.push(...checkType(item, itemType, schema, [...keys, key]));
+                    continue;
+                }
+                const hint = suggestKey(key, propertyNames(resolved, schema));
+                problems.push({
+                    path: [...keys, key],
+                    kind: 'unknown-key',
+                    message: `Unknown config key "${formatKeyPath([...keys, key])}"${hint ? `; did you mean "${hint}"?` : ''}`
+                });
+            }
+            return problems;
+        }
+        case 'union': {
+            const results = resolved.types.map(member => checkType(value, member, schema, keys));
+            if (results.some(problems => problems.length === 0)) {
+                return [];
+            }
+            // For an object, report what is wrong inside the one object alternative
+            const objectMembers = resolved.types.filter(member => resolve(member, schema).kind === 'object');
+            if (value !== null && typeof value === 'object' && !Array.isArray(value) && objectMembers.length === 1) {
+                return results[resolved.types.indexOf(objectMembers[0])];
+            }
+            return invalid();
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Check a config object against the mermaid config schema
+ * @param {*} value - Config, e.g. the `config` of a frontmatter block
+ * @param {ConfigSchema} schema - From loadMermaidConfigSchema()
+ * @param {Array<string|number>} [keys=[]] - Path of `value`, used in messages
+ * @returns {SchemaProblem[]}
+ */
+export function checkConfigValue(value, schema, keys = []) {
+    return checkType(value, { kind: 'ref', name: schema.root }, schema, keys);
+}
@@ -0,0 +1,121 @@
+/**
+ * Module resolution helpers
+ *
+ * The checker is usually run straight from the plugin directory, so its
+ * dependencies may live in the skill's own node_modules, the plugin root,
+ * the caller's working directory or a global (nvm) install.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Directories that may contain a node_modules folder, in lookup order
+ */
+const SEARCH_ROOTS = [
+    // skills/mermaid-checker/node_modules
+    path.join(__dirname, '..'),
+    // Plugin root node_modules
+    path.join(__dirname, '..', '..', '..'),
+    // Caller's working directory
+    process.cwd(),
+];
+
+/**
+ * Locate an installed package directory
+ * @param {string} moduleName - Package name
+ * @returns {string|null} - Package directory, or null if not found
+ */
+export function findPackageDir(moduleName) {
+    const nvmPath = process.env.NVM_DIR || path.join(process.env.HOME || '', '.nvm');
+    const candidates = [
+        ...SEARCH_ROOTS.map(basePath => path.join(basePath, 'node_modules', moduleName)),
+        path.join(nvmPath, 'versions', 'node', process.version, 'lib', 'node_modules', moduleName),
+    ];
+    return candidates.find(dir => fs.existsSync(path.join(dir, 'package.json'))) || null;
+}
+
+/**
+ * Read the installed version of a package
+ * @param {string} moduleName - Package name
+ * @returns {string} - Version string, or 'unknown'
+ */
+export function getModuleVersion(moduleName) {
+    const dir = findPackageDir(moduleName);
+    if (!dir) {
+        return 'unknown';
+    }
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8')).version || 'unknown';
+}
+
+/**
+ * Import an entry file described by a package.json
+ * @param {string} modulePath - Package directory
+ * @returns {Promise<Object|null>} - Module namespace, or null if no entry exists
+ */
+async function importPackageEntry(modulePath) {
+    const pkg = JSON.parse(fs.readFileSync(path.join(modulePath, 'package.json'), 'utf-8'));
+    const entry = pkg.exports?.['.']?.import || pkg.module || pkg.main || 'index.js';
+    const entryPath = path.join(modulePath, entry);
+    if (!fs.existsSync(entryPath)) {
+        return null;
+    }
+    return import(pathToFileURL(entryPath).href);
+}
+
+/**
+ * Dynamically import a dependency
+ *
+ * Prefers the plugin's local node_modules and falls back to a global install.
+ *
+ * @param {string} moduleName - Package name
+ * @returns {Promise<Object>} - Module namespace
+ */
+export async function importModule(moduleName) {
+    for (const basePath of SEARCH_ROOTS) {
+        const modulePath = path.join(basePath, 'node_modules', moduleName);
+        if (!fs.existsSync(path.join(modulePath, 'package.json'))) {
+            continue;
+        }
+        try {
+            return await import(moduleName);
+        } catch (e) {
+            const mod = await importPackageEntry(modulePath);
+            if (mod) {
+                return mod;
+            }
+        }
+    }
+
+    try {
+        return await import(moduleName);
+    } catch (e) {
+        // Look in the nvm global install of the running Node version
+        const nvmPath = process.env.NVM_DIR || path.join(process.env.HOME || '', '.nvm');
+        const globalPath = path.join(nvmPath, 'versions', 'node', process.version, 'lib', 'node_modules', moduleName);
+        if (fs.existsSync(path.join(globalPath, 'package.json'))) {
+            const mod = await importPackageEntry(globalPath);
+            if (mod) {
+                return mod;
+            }
+        }
+        throw new Error(`Cannot find module: ${moduleName}\n  Run in the skill directory: npm install\n  Or install globally: npm install -g ${moduleName}`);
+    }
+}
+
+/**
+ * Read the icode plugin version from its manifest
+ * @returns {string} - Version string, or 'unknown'
+ */
+export function getPluginVersion() {
+    const manifest = path.join(__dirname, '..', '..', '..', '.claude_plugin', 'plugin.json');
+    try {
+        return JSON.parse(fs.readFileSync(manifest, 'utf-8')).version || 'unknown';
+    } catch (e) {
+        return 'unknown';
+    }
+}
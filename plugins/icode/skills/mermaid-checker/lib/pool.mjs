@@ -0,0 +1,197 @@
+/**
+ * Batch checking of many files, serially or across worker threads
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { checkFile } from './check.mjs';
+import { getSharedValidator } from './validator.mjs';
+import { createCache, withCache } from './cache.mjs';
+
+/**
+ * @typedef {import('./check.mjs').FileResult} FileResult
+ */
+
+/**
+ * @typedef {Object} FileOutcome
+ * @property {string} filePath - Input path
+ * @property {FileResult|null} result - Check result, null on error
+ * @property {string|null} error - Error message if the file could not be processed
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [jobs=1] - Number of worker threads; 1 checks in-process
+ * @property {string|null} [cacheDir] - Result cache directory, null to disable
+ * @property {false} [config] - `false` to ignore project config files
+ * @property {boolean} [render] - Also render diagrams that parse
+ * @property {(outcome: FileOutcome, index: number) => void} [onResult] -
+ *   Called once per file, always in input order
+ */
+
+/**
+ * Default worker count for `--jobs` without a value
+ * @returns {number}
+ */
+export function defaultJobs() {
+    return typeof os.availableParallelism === 'function'
+        ? os.availableParallelism()
+        : os.cpus().length;
+}
+
+/**
+ * Get the in-process validator, wrapped with the result cache if enabled
+ * @param {string|null} [cacheDir] - Result cache directory, null to disable
+ * @returns {Promise<import('./validator.mjs').Validator>}
+ */
+export async function prepareValidator(cacheDir) {
+    const validator = await getSharedValidator();
+    return cacheDir ? withCache(validator, createCache(cacheDir)) : validator;
+}
+
+/**
+ * Check files one after another in the current process
+ * @param {string[]} filePaths
+ * @param {BatchOptions} options
+ * @returns {Promise<FileOutcome[]>}
+ */
+async function checkFilesSerial(filePaths, options) {
+    const validator = await prepareValidator(options.cacheDir);
+    const outcomes = [];
+
+    for (let i = 0; i < filePaths.length; i++) {
+        const filePath = filePaths[i];
+        let outcome;
+        try {
+            const result = await checkFile(filePath, { validator, config: options.config, render: options.render });
+            outcome = { filePath, result, error: null };
+        } catch (error) {
+            outcome = { filePath, result: null, error: error.message };
+        }
+        outcomes.push(outcome);
+        options.onResult?.(outcome, i);
+    }
+
+    return outcomes;
+}
+
+/**
+ * Check files on a pool of worker threads
+ *
+ * Files are handed out one at a time to whichever worker is idle.
+ * Outcomes are buffered so onResult still fires in input order. A worker
+ * that dies while checking a file fails that file and is replaced.
+ *
+ * @param {string[]} filePaths
+ * @param {BatchOptions} options
+ * @returns {Promise<FileOutcome[]>}
+ */
+function checkFilesParallel(filePaths, options) {
+    const workerCount = Math.min(options.jobs, filePaths.length);
+    const outcomes = new Array(filePaths.length);
+    let nextToDispatch = 0;
+    let nextToEmit = 0;
+    let finished = 0;
+
+    return new Promise((resolve, reject) => {
+        const workers = new Set();
+        /** @type {Map<Worker, number>} - File ID each busy worker is checking */
+        const inFlight = new Map();
+        let stopping = false;
+
+        const shutdown = () => {
+            stopping = true;
+            return Promise.all([...workers].map(w => w.terminate()));
+        };
+
+        const emitReady = () => {
+            while (nextToEmit < outcomes.length && outcomes[nextToEmit]) {
+                options.onResult?.(outcomes[nextToEmit], nextToEmit);
+                nextToEmit++;
+            }
+        };
+
+        const dispatch = (worker) => {
+            if (nextToDispatch < filePaths.length) {
+                const id = nextToDispatch++;
+                inFlight.set(worker, id);
+                worker.postMessage({ id, filePath: filePaths[id] });
+            }
+        };
+
+        const complete = (id, result, error) => {
+            outcomes[id] = {
+                filePath: filePaths[id],
+                result: result || null,
+                error: error || null
+            };
+            finished++;
+            emitReady();
+            if (finished === filePaths.length) {
+                shutdown().then(() => resolve(outcomes));
+                return true;
+            }
+            return false;
+        };
+
+        const spawn = () => {
+            const worker = new Worker(new URL('./worker.mjs', import.meta.url), {
+                workerData: { cacheDir: options.cacheDir || null, config: options.config, render: Boolean(options.render) }
+            });
+            workers.add(worker);
+
+            worker.on('message', (message) => {
+                if (message.ready) {
+                    dispatch(worker);
+                    return;
+                }
+
+                const { id, result, error } = message;
+                inFlight.delete(worker);
+                if (!complete(id, result, error)) {
+                    dispatch(worker);
+                }
+            });
+
+            worker.on('error', (error) => {
+                shutdown().finally(() => reject(error));
+            });
+
+            // An exit we did not ask for (process.exit in a dependency, the
+            // thread being killed) comes without an error event
+            worker.on('exit', (code) => {
+                workers.delete(worker);
+                if (stopping) {
+                    return;
+                }
+                const id = inFlight.get(worker);
+                inFlight.delete(worker);
+                const message = `Worker exited unexpectedly with code ${code}`;
+                if (id === undefined) {
+                    // Died before taking a file; a replacement would likely too
+                    shutdown().finally(() => reject(new Error(message)));
+                } else if (!complete(id, null, `${message} while checking ${filePaths[id]}`)) {
+                    spawn();
+                }
+            });
+        };
+
+        for (let i = 0; i < workerCount; i++) {
+            spawn();
+        }
+    });
+}
+
+/**
+ * Check many documentation files
+ * @param {string[]} filePaths - Files to check
+ * @param {BatchOptions} [options]
+ * @returns {Promise<FileOutcome[]>} - Outcomes in input order
+ */
+export function checkFiles(filePaths, options = {}) {
+    const jobs = options.jobs || 1;
+    if (jobs <= 1 || filePaths.length <= 1) {
+        return checkFilesSerial(filePaths, options);
+    }
+    return checkFilesParallel(filePaths, { ...options, jobs });
+}
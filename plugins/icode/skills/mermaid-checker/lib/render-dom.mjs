@@ -0,0 +1,195 @@
+/**
+ * Browser APIs mermaid.render() needs beyond the parser's JSDOM globals
+ *
+ * jsdom has no layout engine. SVG geometry (getBBox,
+ * getComputedTextLength), element sizes and canvas text metrics are
+ * computed here from element attributes and fixed-width text metrics.
+ * Mermaid uses them to place elements and to size the SVG's viewBox, so
+ * shapes line up and exported SVGs have sensible dimensions, though text
+ * widths only approximate a browser's.
+ */
+
+/**
+ * Width and height of one character in the approximate text metrics
+ */
+const CHAR_WIDTH = 8;
+const LINE_HEIGHT = 16;
+
+/**
+ * Elements that take no space
+ */
+const INVISIBLE = new Set(['style', 'script', 'title', 'desc', 'defs', 'marker', 'metadata', 'clipPath', 'mask', 'linearGradient', 'radialGradient', 'pattern', 'filter']);
+
+/**
+ * @typedef {Object} Box
+ * @property {number} x1
+ * @property {number} y1
+ * @property {number} x2
+ * @property {number} y2
+ */
+
+/**
+ * Size of an element's text in the approximate metrics
+ * @param {Element} element
+ * @returns {{ width: number, height: number }}
+ */
+function measureText(element) {
+    const lines = (element.textContent || '').split('\n');
+    return {
+        width: Math.max(...lines.map(line => line.length)) * CHAR_WIDTH,
+        height: lines.length * LINE_HEIGHT
+    };
+}
+
+/**
+ * Numeric attribute, 0 when missing or not a number
+ * @param {Element} element
+ * @param {string} name
+ * @returns {number}
+ */
+function numberAttribute(element, name) {
+    return parseFloat(element.getAttribute(name)) || 0;
+}
+
+/**
+ * Box around a list of numbers read as x,y pairs
+ * @param {string} text - e.g. a path's `d` or a polygon's `points`
+ * @returns {Box|null}
+ */
+function pointsBox(text) {
+    const numbers = (text || '').match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi)?.map(Number) || [];
+    if (numbers.length < 2) {
+        return null;
+    }
+    const xs = numbers.filter((_, i) => i % 2 === 0);
+    const ys = numbers.filter((_, i) => i % 2 === 1);
+    return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+/**
+ * Union of two boxes
+ * @param {Box|null} a
+ * @param {Box|null} b
+ * @returns {Box|null}
+ */
+function union(a, b) {
+    if (!a || !b) {
+        return a || b;
+    }
+    return { x1: Math.min(a.x1, b.x1), y1: Math.min(a.y1, b.y1), x2: Math.max(a.x2, b.x2), y2: Math.max(a.y2, b.y2) };
+}
+
+/**
+ * Move a box by an element's `translate(...)`; other transforms are ignored
+ * @param {Box|null} box
+ * @param {Element} element
+ * @returns {Box|null}
+ */
+function translateBox(box, element) {
+    const match = (element.getAttribute('transform') || '').match(/translate\(\s*(-?[\d.e+-]+)(?:[\s,]+(-?[\d.e+-]+))?/);
+    if (!box || !match) {
+        return box;
+    }
+    const dx = parseFloat(match[1]) || 0;
+    const dy = parseFloat(match[2]) || 0;
+    return { x1: box.x1 + dx, y1: box.y1 + dy, x2: box.x2 + dx, y2: box.y2 + dy };
+}
+
+/**
+ * Bounding box of an SVG element in its own coordinates, like getBBox()
+ * @param {Element} element
+ * @returns {Box|null} - Null for elements that take no space
+ */
+function elementBox(element) {
+    const tag = element.localName;
+    if (INVISIBLE.has(tag)) {
+        return null;
+    }
+    switch (tag) {
+        case 'text':
+        case 'tspan': {
+            const { width, height } = measureText(element);
+            const anchor = element.getAttribute('text-anchor');
+            const x = numberAttribute(element, 'x') - (anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0);
+            const y = numberAttribute(element, 'y') - LINE_HEIGHT * 0.8;
+            return { x1: x, y1: y, x2: x + width, y2: y + height };
+        }
+        case 'rect':
+        case 'image':
+        case 'use':
+        case 'foreignObject': {
+            const x = numberAttribute(element, 'x');
+            const y = numberAttribute(element, 'y');
+            return { x1: x, y1: y, x2: x + numberAttribute(element, 'width'), y2: y + numberAttribute(element, 'height') };
+        }
+        case 'circle':
+        case 'ellipse': {
+            const cx = numberAttribute(element, 'cx');
+            const cy = numberAttribute(element, 'cy');
+            const rx = numberAttribute(element, tag === 'circle' ? 'r' : 'rx');
+            const ry = numberAttribute(element, tag === 'circle' ? 'r' : 'ry');
+            return { x1: cx - rx, y1: cy - ry, x2: cx + rx, y2: cy + ry };
+        }
+        case 'line':
+            return pointsBox(['x1', 'y1', 'x2', 'y2'].map(name => numberAttribute(element, name)).join(' '));
+        case 'polygon':
+        case 'polyline':
+            return pointsBox(element.getAttribute('points'));
+        case 'path':
+            // Absolute coordinates only; Mermaid's generated paths use them
+            return pointsBox((element.getAttribute('d') || '').replace(/[aA][^a-zA-Z]*/g, ''));
+        default: {
+            let box = null;
+            for (const child of element.children) {
+                box = union(box, translateBox(elementBox(child), child));
+            }
+            return box;
+        }
+    }
+}
+
+/**
+ * Install the render APIs on a JSDOM window
+ *
+ * Animation frames never fire: cytoscape (mindmaps, architecture) would
+ * otherwise keep redrawing and the process would never exit.
+ *
+ * @param {Window} window - The JSDOM window
+ */
+export function installRenderGlobals(window) {
+    global.CSSStyleSheet = window.CSSStyleSheet;
+    global.screen = window.screen;
+
+    window.SVGElement.prototype.getBBox = function () {
+        const box = elementBox(this) || { x1: 0, y1: 0, x2: 0, y2: 0 };
+        return { x: box.x1, y: box.y1, width: box.x2 - box.x1, height: box.y2 - box.y1 };
+    };
+    window.SVGElement.prototype.getComputedTextLength = function () {
+        return measureText(this).width;
+    };
+    // HTML labels are measured through their box
+    window.Element.prototype.getBoundingClientRect = function () {
+        const { width, height } = measureText(this);
+        return { x: 0, y: 0, left: 0, top: 0, right: width, bottom: height, width, height };
+    };
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        // Every drawing call is a no-op; only measureText returns something
+        const context = { measureText: text => ({ width: String(text).length * CHAR_WIDTH }) };
+        return new Proxy(context, {
+            get: (target, key) => (key in target ? target[key] : () => {}),
+            set: () => true
+        });
+    };
+
+    // Unset computed padding reads as "" in jsdom and "0px" in browsers
+    const getComputedStyle = window.getComputedStyle.bind(window);
+    window.getComputedStyle = (element, pseudo) => {
+        const style = getComputedStyle(element, pseudo);
+        const getPropertyValue = style.getPropertyValue.bind(style);
+        style.getPropertyValue = name => getPropertyValue(name) || (name.startsWith('padding') ? '0px' : '');
+        return style;
+    };
+
+    window.requestAnimationFrame = () => 0;
+    window.cancelAnimationFrame = () => {};
+}
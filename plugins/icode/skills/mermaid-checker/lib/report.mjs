@@ -0,0 +1,160 @@
+/**
+ * Console reporting
+ */
+
+import { diagramFindings } from './categories.mjs';
+
+/**
+ * @typedef {import('./check.mjs').FileResult} FileResult
+ */
+
+/**
+ * Format a block's position, e.g. `[Line 12]` or `[Cell 3, Line 2]`
+ * @param {import('./extract.mjs').MermaidBlock} block
+ * @returns {string}
+ */
+export function formatPosition(block) {
+    return block.cell === undefined
+        ? `[Line ${block.lineStart}]`
+        : `[Cell ${block.cell}, Line ${block.lineStart}]`;
+}
+
+/**
+ * One-line summary of a Mermaid error message
+ *
+ * Jison messages start with "Parse error on line N:" (N relative to the
+ * preprocessed diagram), then an excerpt, a pointer line and the
+ * "Expecting ..." line; the latter is the useful part.
+ *
+ * @param {string} error - Error message
+ * @returns {string}
+ */
+export function errorSummary(error) {
+    const lines = String(error).split('\n');
+    const expecting = lines.find(line => line.startsWith('Expecting '));
+    if (/^Parse error on line \d+:$/.test(lines[0]) && expecting) {
+        return `Parse error: ${expecting}`;
+    }
+    return lines[0];
+}
+
+/**
+ * Format the error and warning lines printed under a diagram
+ *
+ * The parse or render error comes first; issues follow with their rule ID,
+ * e.g. `Warning [config/secure-key]: ...`.
+ *
+ * @param {import('./check.mjs').BlockResult} diag - Checked diagram
+ * @param {string} filePath - File shown in the location
+ * @param {string} indent - Prefix for every line
+ * @returns {string[]}
+ */
+export function formatErrorDetails(diag, filePath, indent) {
+    const lines = [];
+    for (const [i, finding] of diagramFindings(diag).entries()) {
+        const rendering = finding.ruleId === 'mermaid/render-error';
+        const label = rendering ? 'Render error' : finding.severity === 'error' ? 'Error' : 'Warning';
+        // Parse and render errors keep their plain form; issues name their rule
+        const rule = (i === 0 && diag.error) || rendering ? '' : ` [${finding.ruleId}]`;
+        lines.push(`${indent}${label}${rule}: ${finding.message}`);
+        if (finding.location) {
+            const cell = diag.cell === undefined ? '' : ` (cell ${diag.cell})`;
+            lines.push(`${indent}  at ${filePath}:${finding.location.line}:${finding.location.column}${cell}`);
+        }
+        if (finding.codeFrame) {
+            lines.push(...finding.codeFrame.split('\n').map(line => `${indent}  ${line}`));
+        }
+    }
+    return lines;
+}
+
+/**
+ * Format validation results for one file
+ * @param {FileResult} result - Validation result
+ * @param {boolean} verbose - Include per-diagram details
+ * @returns {string}
+ */
+export function formatResults(result, verbose = true) {
+    const icon = result.invalidCount === 0 ? '✅' : '❌';
+    const status = result.invalidCount === 0 ? 'Passed' : 'Failed';
+    const lines = [];
+
+    lines.push(`\n${icon} ${result.fileName} - ${status}`);
+    lines.push('─'.repeat(60));
+
+    if (result.totalDiagrams === 0) {
+        lines.push('No Mermaid diagrams found.');
+        return lines.join('\n');
+    }
+
+    lines.push(`Diagrams: ${result.validCount}/${result.totalDiagrams} valid`);
+    lines.push(`Time: ${result.totalTime.toFixed(1)}ms`);
+
+    if (verbose) {
+        lines.push('\nResults:');
+        for (const diag of result.diagrams) {
+            const icon = diag.valid ? '✅' : '❌';
+            const time = diag.executionTime.toFixed(1) + 'ms';
+            const pos = formatPosition(diag);
+
+            if (diag.valid) {
+                lines.push(`  ${pos} ${icon} ${diag.diagramType} - ${time}`);
+                lines.push(...formatErrorDetails(diag, result.filePath, '    '));
+            } else {
+                lines.push(`  ${pos} ${icon} ${diag.diagramType}`);
+                lines.push(...formatErrorDetails(diag, result.filePath, '    '));
+            }
+        }
+    }
+
+    if (result.invalidCount > 0) {
+        lines.push(`\n❌ ${result.invalidCount} diagram(s) failed validation`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Print validation results
+ * @param {FileResult} result - Validation result
+ * @param {boolean} verbose - Show detailed output
+ */
+export function printResults(result, verbose = true) {
+    console.log(formatResults(result, verbose));
+}
+
+/**
+ * Format the summary for multiple files
+ * @param {FileResult[]} results - Array of validation results
+ * @returns {string}
+ */
+export function formatSummary(results) {
+    const totalFiles = results.length;
+    const totalDiagrams = results.reduce((sum, r) => sum + r.totalDiagrams, 0);
+    const totalValid = results.reduce((sum, r) => sum + r.validCount, 0);
+    const totalInvalid = results.reduce((sum, r) => sum + r.invalidCount, 0);
+    const totalTime = results.reduce((sum, r) => sum + r.totalTime, 0);
+    const filesWithErrors = results.filter(r => r.invalidCount > 0).length;
+    const cacheHits = results.reduce((sum, r) => sum + (r.cacheHits || 0), 0);
+
+    return [
+        '\n' + '='.repeat(60),
+        '📊 Summary',
+        '='.repeat(60),
+        `Files checked:    ${totalFiles}`,
+        `Total diagrams:   ${totalDiagrams}`,
+        `Valid:            ${totalValid} ✅`,
+        `Invalid:          ${totalInvalid} ${totalInvalid > 0 ? '❌' : '✅'}`,
+        `Files with errors:${filesWithErrors}`,
+        `Cache hits:       ${cacheHits}/${totalDiagrams}`,
+        `Total time:       ${totalTime.toFixed(1)}ms`,
+        '='.repeat(60)
+    ].join('\n');
+}
+
+/**
+ * Print summary for multiple files
+ * @param {FileResult[]} results - Array of validation results
+ */
+export function printSummary(results) {
+    console.log(formatSummary(results));
+}
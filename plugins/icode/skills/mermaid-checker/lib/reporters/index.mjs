@@ -0,0 +1,59 @@
+/**
+ * Report formats for mermaid-check.mjs
+ *
+ * A reporter receives file results as they arrive and writes its output
+ * through a `write` callback, so the CLI can send any format to stdout or
+ * to a file. Streaming formats (text, NDJSON) write per file; document
+ * formats (SARIF, JUnit, JSON) write everything from end().
+ */
+
+import { createTextReporter } from './text.mjs';
+import { createSarifReporter } from './sarif.mjs';
+import { createJunitReporter } from './junit.mjs';
+import { createJsonReporter, createNdjsonReporter } from './json.mjs';
+
+/**
+ * @typedef {import('../check.mjs').FileResult} FileResult
+ */
+
+/**
+ * @typedef {Object} ReporterOptions
+ * @property {(text: string) => void} write - Output sink
+ * @property {boolean} [verbose=true] - Include per-diagram details (text)
+ * @property {string} [cwd=process.cwd()] - Base for relative paths
+ */
+
+/**
+ * @typedef {Object} Reporter
+ * @property {(result: FileResult) => void} file - Report one checked file
+ * @property {(filePath: string, message: string) => void} error - Report a
+ *   file that could not be checked
+ * @property {() => void} end - Write any remaining output
+ */
+
+const REPORTERS = {
+    text: createTextReporter,
+    sarif: createSarifReporter,
+    junit: createJunitReporter,
+    json: createJsonReporter,
+    ndjson: createNdjsonReporter
+};
+
+/**
+ * Names accepted by --format
+ */
+export const REPORT_FORMATS = Object.keys(REPORTERS);
+
+/**
+ * Create a reporter
+ * @param {string} format - One of REPORT_FORMATS
+ * @param {ReporterOptions} options
+ * @returns {Reporter}
+ */
+export function createReporter(format, options) {
+    const factory = REPORTERS[format];
+    if (!factory) {
+        throw new Error(`Unknown format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+    return factory({ verbose: true, cwd: process.cwd(), ...options });
+}
@@ -0,0 +1,183 @@
+/**
+ * JSON and NDJSON reports
+ *
+ * Both formats share one versioned schema (schemas/report.v1.schema.json).
+ * `json` writes a single document at the end; `ndjson` streams one record
+ * per line as files finish: a `start` record, one `file` record per file
+ * and a closing `summary` record.
+ *
+ * Adding optional fields keeps REPORT_SCHEMA_VERSION; renaming, removing
+ * or changing the meaning of a field bumps it.
+ */
+
+import { classifyError } from '../categories.mjs';
+import { displayPath } from './paths.mjs';
+import { errorSummary } from '../report.mjs';
+import { getModuleVersion, getPluginVersion } from '../modules.mjs';
+
+/**
+ * Version of the JSON report schema
+ */
+export const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Schema record for one diagram
+ * @param {import('../check.mjs').BlockResult} diag
+ * @returns {Object}
+ */
+function toJsonDiagram(diag) {
+    return {
+        id: diag.id,
+        index: diag.index,
+        diagramType: diag.diagramType,
+        cell: diag.cell ?? null,
+        lineStart: diag.lineStart,
+        lineEnd: diag.lineEnd,
+        valid: diag.valid,
+        executionTime: diag.executionTime,
+        cached: Boolean(diag.cached),
+        error: diag.error ? {
+            category: classifyError(diag).id,
+            summary: errorSummary(diag.error),
+            message: diag.error,
+            location: diag.location ?? null,
+            codeFrame: diag.codeFrame ?? null
+        } : null,
+        renderError: diag.renderError ? {
+            category: 'mermaid/render-error',
+            summary: errorSummary(diag.renderError),
+            message: diag.renderError,
+            location: null,
+            codeFrame: null
+        } : null,
+        issues: (diag.issues || []).map(issue => ({
+            ruleId: issue.ruleId,
+            severity: issue.severity,
+            message: issue.message,
+            location: issue.location,
+            codeFrame: issue.codeFrame
+        }))
+    };
+}
+
+/**
+ * Schema record for one checked file
+ * @param {import('../check.mjs').FileResult} file
+ * @param {string} cwd
+ * @returns {Object}
+ */
+export function toJsonFile(file, cwd = process.cwd()) {
+    return {
+        path: displayPath(file.filePath, cwd),
+        source: file.source,
+        status: file.invalidCount > 0 ? 'failed' : 'passed',
+        error: null,
+        totalDiagrams: file.totalDiagrams,
+        validCount: file.validCount,
+        invalidCount: file.invalidCount,
+        cacheHits: file.cacheHits || 0,
+        totalTime: file.totalTime,
+        diagrams: file.diagrams.map(toJsonDiagram)
+    };
+}
+
+/**
+ * Schema record for a file that could not be checked
+ * @param {string} filePath
+ * @param {string} message
+ * @param {string} cwd
+ * @returns {Object}
+ */
+function toJsonFileError(filePath, message, cwd) {
+    return {
+        path: displayPath(filePath, cwd),
+        source: null,
+        status: 'error',
+        error: message,
+        totalDiagrams: 0,
+        validCount: 0,
+        invalidCount: 0,
+        cacheHits: 0,
+        totalTime: 0,
+        diagrams: []
+    };
+}
+
+/**
+ * Totals over all file records
+ * @param {Object[]} files - Records from toJsonFile()
+ * @returns {Object}
+ */
+function summarize(files) {
+    const sum = key => files.reduce((total, file) => total + file[key], 0);
+    return {
+        files: files.length,
+        filesWithErrors: files.filter(file => file.status !== 'passed').length,
+        totalDiagrams: sum('totalDiagrams'),
+        validCount: sum('validCount'),
+        invalidCount: sum('invalidCount'),
+        cacheHits: sum('cacheHits'),
+        totalTime: sum('totalTime'),
+        passed: files.every(file => file.status === 'passed')
+    };
+}
+
+/**
+ * Report header shared by both formats
+ * @returns {Object}
+ */
+function header() {
+    return {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        tool: {
+            name: 'mermaid-check',
+            version: getPluginVersion(),
+            mermaidVersion: getModuleVersion('mermaid')
+        }
+    };
+}
+
+/**
+ * @param {import('./index.mjs').ReporterOptions} options
+ * @returns {import('./index.mjs').Reporter}
+ */
+export function createJsonReporter({ write, cwd }) {
+    const files = [];
+    return {
+        file(result) {
+            files.push(toJsonFile(result, cwd));
+        },
+        error(filePath, message) {
+            files.push(toJsonFileError(filePath, message, cwd));
+        },
+        end() {
+            write(JSON.stringify({ ...header(), files, summary: summarize(files) }, null, 2) + '\n');
+        }
+    };
+}
+
+/**
+ * @param {import('./index.mjs').ReporterOptions} options
+ * @returns {import('./index.mjs').Reporter}
+ */
+export function createNdjsonReporter({ write, cwd }) {
+    const files = [];
+    const emit = record => write(JSON.stringify(record) + '\n');
+    emit({ type: 'start', ...header() });
+
+    const add = record => {
+        files.push(record);
+        emit({ type: 'file', ...record });
+    };
+    return {
+        file(result) {
+            add(toJsonFile(result, cwd));
+        },
+        error(filePath, message) {
+            add(toJsonFileError(filePath, message, cwd));
+        },
+        end() {
+            emit({ type: 'summary', ...summarize(files) });
+        }
+    };
+}
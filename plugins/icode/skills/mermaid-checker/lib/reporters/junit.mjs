@@ -0,0 +1,137 @@
+/**
+ * JUnit XML report
+ *
+ * One <testsuite> per checked file and one <testcase> per diagram, so CI
+ * test dashboards show a broken diagram as a failing test. Parse times
+ * come from each diagram's executionTime.
+ */
+
+import { diagramFindings } from '../categories.mjs';
+import { displayPath } from './paths.mjs';
+import { formatPosition } from '../report.mjs';
+
+/**
+ * Escape text for XML attributes and character data
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Milliseconds to the seconds JUnit expects
+ * @param {number} ms
+ * @returns {string}
+ */
+function seconds(ms) {
+    return (ms / 1000).toFixed(3);
+}
+
+/**
+ * Testcase name, e.g. `flowchart (line 12)` or `flowchart (cell 3, line 2)`
+ * @param {import('../check.mjs').BlockResult} diag
+ * @returns {string}
+ */
+function testcaseName(diag) {
+    const position = formatPosition(diag).slice(1, -1).toLowerCase();
+    return `${diag.diagramType} (${position})`;
+}
+
+/**
+ * Render the <testsuite> for a checked file
+ * @param {import('../check.mjs').FileResult} file
+ * @param {string} cwd
+ * @returns {string}
+ */
+function fileSuite(file, cwd) {
+    const name = displayPath(file.filePath, cwd);
+    const cases = file.diagrams.map(diag => {
+        const open = `    <testcase classname="${escapeXml(name)}" name="${escapeXml(testcaseName(diag))}" time="${seconds(diag.executionTime)}"`;
+        const findings = diagramFindings(diag);
+        if (findings.length === 0) {
+            return `${open}/>`;
+        }
+        const details = findings.map(finding => {
+            const where = finding.location
+                ? `${name}:${finding.location.line}:${finding.location.column}${diag.cell === undefined ? '' : ` (cell ${diag.cell})`}`
+                : `${name}:${diag.lineStart}`;
+            return [finding.details, `at ${where}`, finding.codeFrame].filter(Boolean).join('\n');
+        }).join('\n\n');
+        if (diag.valid) {
+            // Warnings only: the test passes, the warnings go to its output
+            return [
+                `${open}>`,
+                `      <system-out>${escapeXml(details)}</system-out>`,
+                '    </testcase>'
+            ].join('\n');
+        }
+        const failure = findings.find(finding => finding.severity === 'error');
+        return [
+            `${open}>`,
+            `      <failure message="${escapeXml(failure.message)}" type="${escapeXml(failure.ruleId)}">${escapeXml(details)}</failure>`,
+            '    </testcase>'
+        ].join('\n');
+    });
+
+    return [
+        `  <testsuite name="${escapeXml(name)}" tests="${file.totalDiagrams}" failures="${file.invalidCount}" errors="0" skipped="0" time="${seconds(file.totalTime)}">`,
+        ...cases,
+        '  </testsuite>'
+    ].join('\n');
+}
+
+/**
+ * Render the <testsuite> for a file that could not be checked
+ * @param {string} filePath
+ * @param {string} message
+ * @param {string} cwd
+ * @returns {string}
+ */
+function errorSuite(filePath, message, cwd) {
+    const name = displayPath(filePath, cwd);
+    return [
+        `  <testsuite name="${escapeXml(name)}" tests="1" failures="0" errors="1" skipped="0" time="0.000">`,
+        `    <testcase classname="${escapeXml(name)}" name="read" time="0.000">`,
+        `      <error message="${escapeXml(message)}"/>`,
+        '    </testcase>',
+        '  </testsuite>'
+    ].join('\n');
+}
+
+/**
+ * @param {import('./index.mjs').ReporterOptions} options
+ * @returns {import('./index.mjs').Reporter}
+ */
+export function createJunitReporter({ write, cwd }) {
+    const suites = [];
+    const totals = { tests: 0, failures: 0, errors: 0, time: 0 };
+
+    return {
+        file(file) {
+            suites.push(fileSuite(file, cwd));
+            totals.tests += file.totalDiagrams;
+            totals.failures += file.invalidCount;
+            totals.time += file.totalTime;
+        },
+        error(filePath, message) {
+            suites.push(errorSuite(filePath, message, cwd));
+            totals.tests += 1;
+            totals.errors += 1;
+        },
+        end() {
+            write([
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                `<testsuites name="mermaid-check" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" time="${seconds(totals.time)}">`,
+                ...suites,
+                '</testsuites>'
+            ].join('\n') + '\n');
+        }
+    };
+}
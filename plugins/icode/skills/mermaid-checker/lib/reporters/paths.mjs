@@ -0,0 +1,21 @@
+/**
+ * Path helpers shared by the reporters
+ */
+
+import path from 'path';
+
+/**
+ * Display path for a file: POSIX-style and relative to cwd when inside it
+ * @param {string} filePath - Absolute or relative path, or '<stdin>'
+ * @param {string} cwd - Base directory
+ * @returns {string}
+ */
+export function displayPath(filePath, cwd) {
+    if (filePath === '<stdin>') {
+        return filePath;
+    }
+    const relative = path.relative(cwd, path.resolve(cwd, filePath));
+    return relative.startsWith('..') || path.isAbsolute(relative)
+        ? filePath
+        : relative.split(path.sep).join('/');
+}
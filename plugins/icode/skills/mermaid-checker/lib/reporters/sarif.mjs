@@ -0,0 +1,139 @@
+/**
+ * SARIF 2.1.0 report
+ *
+ * One run per invocation; every parse error becomes a result whose rule
+ * ID is its error category, and every issue a result of its rule. Files
+ * that could not be checked are reported as tool execution notifications.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { RULES, diagramFindings } from '../categories.mjs';
+import { getModuleVersion, getPluginVersion } from '../modules.mjs';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const MERMAID_URI = 'https://mermaid.js.org/';
+
+/**
+ * Artifact location for a checked file, relative to %SRCROOT% when possible
+ * @param {string} filePath - Absolute or relative file path
+ * @param {string} cwd - Directory %SRCROOT% points at
+ * @returns {Object|null} - SARIF artifactLocation, null for stdin
+ */
+function artifactLocation(filePath, cwd) {
+    if (filePath === '<stdin>') {
+        return null;
+    }
+    const relative = path.relative(cwd, path.resolve(cwd, filePath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        return { uri: pathToFileURL(path.resolve(cwd, filePath)).href };
+    }
+    return {
+        uri: relative.split(path.sep).map(encodeURIComponent).join('/'),
+        uriBaseId: 'SRCROOT'
+    };
+}
+
+/**
+ * Build the SARIF result for a parse error or issue
+ * @param {import('../check.mjs').FileResult} file - File the diagram belongs to
+ * @param {import('../check.mjs').BlockResult} diag - Diagram
+ * @param {import('../categories.mjs').DiagramIssue} finding - From diagramFindings()
+ * @param {string} cwd
+ * @returns {Object}
+ */
+function toSarifResult(file, diag, finding, cwd) {
+    const result = {
+        ruleId: finding.ruleId,
+        ruleIndex: RULES.findIndex(rule => rule.id === finding.ruleId),
+        level: finding.severity,
+        message: { text: finding.message },
+        partialFingerprints: { 'mermaidDiagram/v1': diag.id },
+        properties: {
+            diagramType: diag.diagramType,
+            ...(diag.cell !== undefined && { cell: diag.cell })
+        }
+    };
+
+    const artifact = artifactLocation(file.filePath, cwd);
+    if (artifact) {
+        const physicalLocation = { artifactLocation: artifact };
+        if (diag.cell !== undefined) {
+            // Notebook lines are relative to a cell, which SARIF regions cannot express
+            const position = finding.location || { line: diag.lineStart };
+            result.message.text += ` (cell ${diag.cell}, line ${position.line})`;
+        } else if (finding.location) {
+            physicalLocation.region = {
+                startLine: finding.location.line,
+                startColumn: finding.location.column
+            };
+        } else {
+            physicalLocation.region = { startLine: diag.lineStart };
+        }
+        result.locations = [{ physicalLocation }];
+    }
+    return result;
+}
+
+/**
+ * @param {import('./index.mjs').ReporterOptions} options
+ * @returns {import('./index.mjs').Reporter}
+ */
+export function createSarifReporter({ write, cwd }) {
+    const results = [];
+    const notifications = [];
+
+    return {
+        file(file) {
+            for (const diag of file.diagrams) {
+                for (const finding of diagramFindings(diag)) {
+                    results.push(toSarifResult(file, diag, finding, cwd));
+                }
+            }
+        },
+        error(filePath, message) {
+            const artifact = artifactLocation(filePath, cwd);
+            notifications.push({
+                level: 'error',
+                message: { text: message },
+                ...(artifact && { locations: [{ physicalLocation: { artifactLocation: artifact } }] })
+            });
+        },
+        end() {
+            const mermaidVersion = getModuleVersion('mermaid');
+            const log = {
+                $schema: SARIF_SCHEMA,
+                version: '2.1.0',
+                runs: [{
+                    tool: {
+                        driver: {
+                            name: 'mermaid-check',
+                            version: getPluginVersion(),
+                            rules: RULES.map(rule => ({
+                                id: rule.id,
+                                name: rule.name,
+                                shortDescription: { text: rule.description },
+                                defaultConfiguration: { level: rule.severity === 'warn' ? 'warning' : 'error' }
+                            })),
+                            properties: { mermaidVersion }
+                        },
+                        extensions: [{
+                            name: 'mermaid',
+                            version: mermaidVersion,
+                            informationUri: MERMAID_URI
+                        }]
+                    },
+                    invocations: [{
+                        executionSuccessful: notifications.length === 0,
+                        toolExecutionNotifications: notifications
+                    }],
+                    originalUriBaseIds: {
+                        SRCROOT: { uri: pathToFileURL(cwd + path.sep).href }
+                    },
+                    results
+                }]
+            };
+            write(JSON.stringify(log, null, 2) + '\n');
+        }
+    };
+}
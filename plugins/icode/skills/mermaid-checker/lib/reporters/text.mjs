@@ -0,0 +1,27 @@
+/**
+ * Human-readable console report
+ */
+
+import { formatResults, formatSummary } from '../report.mjs';
+
+/**
+ * @param {import('./index.mjs').ReporterOptions} options
+ * @returns {import('./index.mjs').Reporter}
+ */
+export function createTextReporter({ write, verbose }) {
+    const results = [];
+    return {
+        file(result) {
+            results.push(result);
+            write(formatResults(result, verbose) + '\n');
+        },
+        error() {
+            // Already printed to stderr by the CLI
+        },
+        end() {
+            if (results.length > 1) {
+                write(formatSummary(results) + '\n');
+            }
+        }
+    };
+}
@@ -0,0 +1,94 @@
+/**
+ * AsciiDoc source adapter
+ *
+ * Recognizes asciidoctor-diagram blocks:
+ *
+ *   [mermaid]            [source,mermaid]       [mermaid]
+ *   ----                 ....                   graph TD
+ *   graph TD             graph TD                 A --> B
+ *     A --> B              A --> B
+ *   ----                 ....
+ *
+ * The last form is a paragraph block that ends at the next blank line.
+ */
+
+import { splitLines, assignBlockIds } from '../extract.mjs';
+
+/**
+ * @typedef {import('../extract.mjs').MermaidBlock} MermaidBlock
+ */
+
+const ATTRIBUTE_LINE = /^\[\s*(?:source\s*,\s*)?mermaid\s*(?:[,\]].*)?$/;
+const DELIMITER = /^(-{4,}|\.{4,})\s*$/;
+const BLOCK_TITLE = /^\.[^.\s]/;
+
+/**
+ * Extract Mermaid blocks from AsciiDoc content
+ * @param {string} content - AsciiDoc file content
+ * @returns {MermaidBlock[]}
+ */
+export function extract(content) {
+    const lines = splitLines(content);
+    const blocks = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!ATTRIBUTE_LINE.test(lines[i].trim())) {
+            continue;
+        }
+
+        const attributeLine = i + 1;
+        let j = i + 1;
+        // Skip an optional block title (.Title) between attributes and body
+        while (j < lines.length && BLOCK_TITLE.test(lines[j])) {
+            j++;
+        }
+        if (j >= lines.length) {
+            break;
+        }
+
+        const delimiter = lines[j].match(DELIMITER);
+        const code = [];
+        let fenceError = null;
+        let codeStart;
+        let lineEnd;
+
+        if (delimiter) {
+            const closing = delimiter[1];
+            codeStart = j + 2;
+            let k = j + 1;
+            while (k < lines.length && lines[k].trimEnd() !== closing) {
+                code.push(lines[k]);
+                k++;
+            }
+            if (k >= lines.length) {
+                fenceError = `Unclosed mermaid block: ${closing} opened on line ${j + 1} is never closed`;
+            }
+            lineEnd = k;
+            i = k;
+        } else {
+            // Paragraph form: runs until the next blank line
+            codeStart = j + 1;
+            let k = j;
+            while (k < lines.length && lines[k].trim() !== '') {
+                code.push(lines[k]);
+                k++;
+            }
+            lineEnd = k;
+            i = k;
+        }
+
+        blocks.push({
+            id: null,
+            code: code.join('\n'),
+            lineStart: attributeLine,
+            lineEnd,
+            codeStart,
+            index: blocks.length,
+            columnOffsets: code.map(() => 0),
+            fenceError
+        });
+    }
+
+    assignBlockIds(blocks);
+    return blocks;
+}
@@ -0,0 +1,113 @@
+/**
+ * HTML source adapter
+ *
+ * Recognizes `<pre class="mermaid">` and `<div class="mermaid">` elements,
+ * the markup mermaid.run() picks up in the browser. Element content is
+ * entity-decoded and dedented the same way Mermaid does before parsing.
+ */
+
+import { splitLines, assignBlockIds } from '../extract.mjs';
+
+/**
+ * @typedef {import('../extract.mjs').MermaidBlock} MermaidBlock
+ */
+
+const OPEN_TAG = /<(pre|div)\b([^>]*)>/gi;
+const CLASS_ATTR = /\bclass\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+/**
+ * Decode the HTML entities that commonly appear in diagram source
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10);
+            // Like HTML parsers, NUL, surrogates and out-of-range values
+            // become the replacement character
+            const invalid = code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF);
+            return String.fromCodePoint(invalid ? 0xFFFD : code);
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * 1-based line number of a character offset
+ * @param {string} content
+ * @param {number} offset
+ * @returns {number}
+ */
+function lineAt(content, offset) {
+    return splitLines(content.slice(0, offset)).length;
+}
+
+/**
+ * Extract Mermaid blocks from HTML content
+ * @param {string} content - HTML file content
+ * @returns {MermaidBlock[]}
+ */
+export function extract(content) {
+    const source = content.replace(/^\uFEFF/, '');
+    const blocks = [];
+
+    for (const match of source.matchAll(OPEN_TAG)) {
+        const classMatch = match[2].match(CLASS_ATTR);
+        const classes = classMatch ? (classMatch[1] ?? classMatch[2] ?? classMatch[3]).split(/\s+/) : [];
+        if (!classes.includes('mermaid')) {
+            continue;
+        }
+
+        const tag = match[1].toLowerCase();
+        const bodyStart = match.index + match[0].length;
+        const closeIndex = source.toLowerCase().indexOf(`</${tag}>`, bodyStart);
+        const bodyEnd = closeIndex === -1 ? source.length : closeIndex;
+        const lineStart = lineAt(source, match.index);
+
+        let lines = splitLines(source.slice(bodyStart, bodyEnd));
+        let codeStart = lineStart;
+        let firstOffset = match.index + match[0].length - source.lastIndexOf('\n', match.index) - 1;
+        // Content usually starts on the line after the opening tag
+        if (lines.length > 1 && lines[0].trim() === '') {
+            lines = lines.slice(1);
+            codeStart++;
+            firstOffset = 0;
+        }
+        while (lines.length > 1 && lines[lines.length - 1].trim() === '') {
+            lines.pop();
+        }
+
+        const indents = lines.filter(l => l.trim() !== '').map(l => l.length - l.trimStart().length);
+        const strip = indents.length > 0 ? Math.min(...indents) : 0;
+        const columnOffsets = lines.map((l, i) =>
+            (i === 0 ? firstOffset : 0) + Math.min(strip, l.length - l.trimStart().length));
+
+        blocks.push({
+            id: null,
+            code: decodeEntities(lines.map(l => l.slice(Math.min(strip, l.length - l.trimStart().length))).join('\n')),
+            lineStart,
+            lineEnd: codeStart + lines.length - 1,
+            codeStart,
+            index: blocks.length,
+            columnOffsets,
+            fenceError: closeIndex === -1
+                ? `Unclosed mermaid element: <${tag}> opened on line ${lineStart} is never closed`
+                : null
+        });
+    }
+
+    assignBlockIds(blocks);
+    return blocks;
+}
@@ -0,0 +1,92 @@
+/**
+ * Source adapters: pick a block extractor by file type
+ *
+ * Every adapter returns MermaidBlock objects with source line numbers, so
+ * validation and reporting are the same for all formats.
+ */
+
+import path from 'path';
+import * as markdown from './markdown.mjs';
+import * as asciidoc from './asciidoc.mjs';
+import * as rst from './rst.mjs';
+import * as html from './html.mjs';
+import * as notebook from './notebook.mjs';
+import * as mermaid from './mermaid.mjs';
+
+/**
+ * @typedef {import('../extract.mjs').MermaidBlock} MermaidBlock
+ */
+
+/**
+ * @typedef {Object} SourceAdapter
+ * @property {string} name - Adapter name reported in results
+ * @property {(content: string) => MermaidBlock[]} extract - Block extractor
+ */
+
+/** @type {Record<string, SourceAdapter>} */
+const ADAPTERS = {
+    markdown: { name: 'markdown', extract: markdown.extract },
+    mdx: { name: 'mdx', extract: markdown.extract },
+    asciidoc: { name: 'asciidoc', extract: asciidoc.extract },
+    rst: { name: 'rst', extract: rst.extract },
+    html: { name: 'html', extract: html.extract },
+    notebook: { name: 'notebook', extract: notebook.extract },
+    mermaid: { name: 'mermaid', extract: mermaid.extract },
+};
+
+/**
+ * File extension (lowercase, with dot) to adapter name
+ */
+const EXTENSIONS = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.mdx': 'mdx',
+    '.adoc': 'asciidoc',
+    '.asciidoc': 'asciidoc',
+    '.asc': 'asciidoc',
+    '.rst': 'rst',
+    '.rest': 'rst',
+    '.html': 'html',
+    '.htm': 'html',
+    '.ipynb': 'notebook',
+    '.mmd': 'mermaid',
+    '.mermaid': 'mermaid',
+};
+
+/**
+ * Extensions recognized by getSourceAdapter(), without the dot
+ */
+export const SUPPORTED_EXTENSIONS = Object.keys(EXTENSIONS).map(ext => ext.slice(1));
+
+/**
+ * Get the adapter for a file; unknown extensions are treated as Markdown
+ * @param {string} filePath - Source file path
+ * @returns {SourceAdapter}
+ */
+export function getSourceAdapter(filePath) {
+    const name = EXTENSIONS[path.extname(filePath).toLowerCase()] || 'markdown';
+    return ADAPTERS[name];
+}
+
+/**
+ * Guess the adapter for content without a file name (e.g. stdin)
+ *
+ * Content with at least one Mermaid fence is a Markdown document;
+ * anything else is treated as raw diagram text.
+ *
+ * @param {string} content - Document or diagram text
+ * @returns {SourceAdapter}
+ */
+export function detectSourceAdapter(content) {
+    return markdown.extract(content).length > 0 ? ADAPTERS.markdown : ADAPTERS.mermaid;
+}
+
+/**
+ * Extract Mermaid blocks from a file's content using its adapter
+ * @param {string} content - File content
+ * @param {string} filePath - Source file path (used to pick the adapter)
+ * @returns {MermaidBlock[]}
+ */
+export function extractBlocks(content, filePath) {
+    return getSourceAdapter(filePath).extract(content);
+}
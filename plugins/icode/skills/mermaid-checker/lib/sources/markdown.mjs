@@ -0,0 +1,21 @@
+/**
+ * Markdown / MDX source adapter
+ *
+ * MDX keeps Markdown's fenced code block syntax, so both use the
+ * CommonMark fence extractor.
+ */
+
+import { extractMermaidBlocks } from '../extract.mjs';
+
+/**
+ * @typedef {import('../extract.mjs').MermaidBlock} MermaidBlock
+ */
+
+/**
+ * Extract Mermaid blocks from Markdown or MDX content
+ * @param {string} content - File content
+ * @returns {MermaidBlock[]}
+ */
+export function extract(content) {
+    return extractMermaidBlocks(content);
+}
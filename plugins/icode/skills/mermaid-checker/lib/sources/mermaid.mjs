@@ -0,0 +1,37 @@
+/**
+ * Standalone Mermaid source adapter (.mmd / .mermaid)
+ *
+ * The whole file is a single diagram starting on line 1.
+ */
+
+import { splitLines, assignBlockIds } from '../extract.mjs';
+
+/**
+ * @typedef {import('../extract.mjs').MermaidBlock} MermaidBlock
+ */
+
+/**
+ * Wrap a diagram file as one block
+ * @param {string} content - Diagram source
+ * @returns {MermaidBlock[]} - One block, or none for an empty file
+ */
+export function extract(content) {
+    const lines = splitLines(content);
+    if (lines.every(line => line.trim() === '')) {
+        return [];
+    }
+
+    const blocks = [{
+        id: null,
+        code: lines.join('\n'),
+        lineStart: 1,
+        lineEnd: lines.length,
+        codeStart: 1,
+        index: 0,
+        columnOffsets: lines.map(() => 0),
+        fenceError: null
+    }];
+
+    assignBlockIds(blocks);
+    return blocks;
+}
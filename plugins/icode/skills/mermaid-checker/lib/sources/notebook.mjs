@@ -0,0 +1,41 @@
+/**
+ * Jupyter notebook source adapter
+ *
+ * Runs the Markdown extractor over every markdown cell. Line numbers in
+ * the returned blocks are relative to the cell source and each block
+ * carries the 0-based `cell` index.
+ */
+
+import { extractMermaidBlocks, assignBlockIds } from '../extract.mjs';
+
+/**
+ * @typedef {import('../extract.mjs').MermaidBlock} MermaidBlock
+ */
+
+/**
+ * Extract Mermaid blocks from notebook JSON
+ * @param {string} content - .ipynb file content
+ * @returns {MermaidBlock[]}
+ */
+export function extract(content) {
+    let notebook;
+    try {
+        notebook = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Invalid notebook JSON: ${error.message}`);
+    }
+
+    const blocks = [];
+    (notebook.cells || []).forEach((cell, cellIndex) => {
+        if (cell.cell_type !== 'markdown') {
+            return;
+        }
+        const source = Array.isArray(cell.source) ? cell.source.join('') : String(cell.source || '');
+        for (const block of extractMermaidBlocks(source)) {
+            blocks.push({ ...block, index: blocks.length, cell: cellIndex });
+        }
+    });
+
+    assignBlockIds(blocks);
+    return blocks;
+}
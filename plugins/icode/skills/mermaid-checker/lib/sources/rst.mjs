@@ -0,0 +1,96 @@
+/**
+ * reStructuredText source adapter
+ *
+ * Recognizes the sphinxcontrib-mermaid directive:
+ *
+ *   .. mermaid::
+ *      :caption: Optional options
+ *
+ *      graph TD
+ *        A --> B
+ *
+ * A directive with an argument (`.. mermaid:: diagram.mmd`) refers to an
+ * external file and has no inline diagram, so it is skipped.
+ */
+
+import { splitLines, assignBlockIds } from '../extract.mjs';
+
+/**
+ * @typedef {import('../extract.mjs').MermaidBlock} MermaidBlock
+ */
+
+const DIRECTIVE = /^(\s*)\.\.\s+mermaid::\s*(.*)$/;
+const OPTION = /^\s*:[\w-]+:/;
+
+/**
+ * Width of a line's leading whitespace
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+    return line.length - line.trimStart().length;
+}
+
+/**
+ * Extract Mermaid blocks from reStructuredText content
+ * @param {string} content - reST file content
+ * @returns {MermaidBlock[]}
+ */
+export function extract(content) {
+    const lines = splitLines(content);
+    const blocks = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const directive = lines[i].match(DIRECTIVE);
+        if (!directive) {
+            continue;
+        }
+        const directiveIndent = directive[1].length;
+        const argument = directive[2].trim();
+
+        // Skip the option list directly under the directive
+        let j = i + 1;
+        while (j < lines.length && OPTION.test(lines[j]) && indentOf(lines[j]) > directiveIndent) {
+            j++;
+        }
+
+        // The body is every following line indented deeper than the directive
+        let end = j;
+        while (end < lines.length
+            && (lines[end].trim() === '' || indentOf(lines[end]) > directiveIndent)) {
+            end++;
+        }
+        let first = j;
+        while (first < end && lines[first].trim() === '') {
+            first++;
+        }
+        let last = end;
+        while (last > first && lines[last - 1].trim() === '') {
+            last--;
+        }
+
+        if (argument && first === last) {
+            i = end - 1;
+            continue;
+        }
+
+        const body = lines.slice(first, last);
+        const bodyIndent = Math.min(...body.filter(l => l.trim() !== '').map(indentOf), Infinity);
+        const strip = Number.isFinite(bodyIndent) ? bodyIndent : 0;
+
+        blocks.push({
+            id: null,
+            code: body.map(l => l.slice(Math.min(strip, indentOf(l)))).join('\n'),
+            lineStart: i + 1,
+            lineEnd: Math.max(last, i + 1),
+            codeStart: first + 1,
+            index: blocks.length,
+            columnOffsets: body.map(l => Math.min(strip, indentOf(l))),
+            fenceError: null
+        });
+        i = end - 1;
+    }
+
+    assignBlockIds(blocks);
+    return blocks;
+}
@@ -0,0 +1,243 @@
+/**
+ * JSDOM + Mermaid validator
+ *
+ * Mermaid expects a browser environment, so a minimal JSDOM window is
+ * installed on the global object before Mermaid is imported. By default
+ * only the parser runs; with `render` the diagram is also laid out and
+ * rendered to SVG, which catches errors Mermaid only raises at render time.
+ */
+
+import { importModule, getModuleVersion } from './modules.mjs';
+import { locateDiagramError } from './location.mjs';
+import { mergeConfig } from './config.mjs';
+import { normalizeDiagramType, findDiagramKeyword, unknownDiagramTypeMessage } from './diagram-type.mjs';
+import { installRenderGlobals } from './render-dom.mjs';
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - Whether Mermaid parsed the diagram
+ * @property {number} executionTime - Parse (and render) time in milliseconds
+ * @property {string|null} error - Mermaid error message, null when valid
+ * @property {import('./location.mjs').Position|null} errorLocation - Error
+ *   position in the diagram source (1-based), null when valid or unknown
+ * @property {string|null} renderError - Error raised by mermaid.render()
+ *   after a successful parse; null when the diagram rendered or was not
+ *   rendered
+ */
+
+/**
+ * @typedef {Object} ValidateOptions
+ * @property {Object} [config] - mermaid.initialize() options applied over
+ *   the validator's own for this diagram (e.g. from a project config)
+ * @property {boolean} [render] - Also render diagrams that parse
+ */
+
+/**
+ * @callback ValidateFn
+ * @param {string} code - Mermaid diagram source
+ * @param {ValidateOptions} [options]
+ * @returns {Promise<ValidationResult>}
+ */
+
+/**
+ * @callback DetectTypeFn
+ * @param {string} code - Mermaid diagram source
+ * @param {ValidateOptions} [options]
+ * @returns {string|null} - Normalized diagram type, null when no Mermaid
+ *   detector recognizes the diagram
+ */
+
+/**
+ * @callback RenderFn
+ * @param {string} code - Mermaid diagram source
+ * @param {ValidateOptions & { id?: string }} [options] - `id` is the SVG
+ *   element ID, which also prefixes the diagram's CSS and element IDs
+ *   (default: a per-process counter)
+ * @returns {Promise<string>} - SVG markup; rejects with Mermaid's error
+ */
+
+/**
+ * Validation function tagged with the Mermaid version and the initialize
+ * options it was set up with, plus Mermaid's diagram type detection and
+ * rendering
+ * @typedef {ValidateFn & { mermaidVersion: string, config: Object, detectType: DetectTypeFn, render: RenderFn }} Validator
+ */
+
+/**
+ * Default options passed to mermaid.initialize()
+ */
+export const DEFAULT_MERMAID_CONFIG = {
+    startOnLoad: false,
+    suppressErrorRendering: true,
+    logLevel: 'error',
+    securityLevel: 'loose',
+};
+
+/**
+ * Options a diagram is parsed with
+ * @param {Object} base - Validator's own options
+ * @param {Object} [overrides] - Per-diagram options
+ * @returns {Object}
+ */
+export function effectiveConfig(base, overrides) {
+    return overrides ? mergeConfig(base, overrides) : base;
+}
+
+/**
+ * Install the JSDOM window and DOMPurify mock on the global object
+ * @param {Function} JSDOM - JSDOM constructor
+ */
+function installDomGlobals(JSDOM) {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'http://localhost',
+        pretendToBeVisual: true,
+        resources: 'usable'
+    });
+
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.self = global;
+    global.global = global;
+    global.Element = dom.window.Element;
+    global.HTMLElement = dom.window.HTMLElement;
+    global.Node = dom.window.Node;
+    Object.defineProperty(global, 'navigator', {
+        value: dom.window.navigator,
+        writable: false,
+        configurable: true
+    });
+
+    // Mock DOMPurify (must be set before Mermaid is imported)
+    const dompurifyMock = {
+        sanitize: (html) => String(html),
+        addHook: () => {},
+        removeHook: () => {},
+        removeAllHooks: () => {}
+    };
+    dom.window.DOMPurify = dompurifyMock;
+    global.DOMPurify = dompurifyMock;
+    global.window.DOMPurify = dompurifyMock;
+}
+
+/**
+ * Set up JSDOM and Mermaid and return a validation function
+ *
+ * Setup is expensive (~1s); create one validator and reuse it for every
+ * diagram in the process.
+ *
+ * @returns {Promise<Validator>}
+ */
+export async function setupMermaidValidator() {
+    const { JSDOM } = await importModule('jsdom');
+    installDomGlobals(JSDOM);
+
+    const { default: mermaid } = await importModule('mermaid');
+    const config = { ...DEFAULT_MERMAID_CONFIG };
+    mermaid.initialize(config);
+    let activeConfig = JSON.stringify(config);
+    let renderGlobals = false;
+    let renderCount = 0;
+
+    // Re-initialize only when the effective options change between diagrams
+    const applyConfig = (options) => {
+        const effective = JSON.stringify(effectiveConfig(config, options.config));
+        if (effective !== activeConfig) {
+            mermaid.initialize(JSON.parse(effective));
+            activeConfig = effective;
+        }
+    };
+
+    const render = async (code, options = {}) => {
+        if (!renderGlobals) {
+            installRenderGlobals(global.window);
+            renderGlobals = true;
+        }
+        applyConfig(options);
+
+        const id = options.id || `mermaid-check-${++renderCount}`;
+        const body = global.document.body;
+        const before = new Set(body.children);
+        try {
+            const { svg } = await mermaid.render(id, code);
+            return svg;
+        } finally {
+            // A failed render leaves its scratch elements behind
+            for (const element of [...body.children]) {
+                if (!before.has(element)) {
+                    element.remove();
+                }
+            }
+        }
+    };
+
+    const validator = async (code, options = {}) => {
+        applyConfig(options);
+
+        const startTime = performance.now();
+        try {
+            await mermaid.parse(code);
+        } catch (error) {
+            // Name the unrecognized keyword instead of echoing the whole diagram
+            if (!detectType(code, options)) {
+                return {
+                    valid: false,
+                    executionTime: performance.now() - startTime,
+                    error: unknownDiagramTypeMessage(code),
+                    errorLocation: findDiagramKeyword(code)?.position ?? null,
+                    renderError: null
+                };
+            }
+            return {
+                valid: false,
+                executionTime: performance.now() - startTime,
+                error: error.message || error.toString(),
+                errorLocation: locateDiagramError(error, code),
+                renderError: null
+            };
+        }
+
+        let renderError = null;
+        if (options.render) {
+            try {
+                await render(code, options);
+            } catch (error) {
+                renderError = error.message || error.toString();
+            }
+        }
+        return {
+            valid: renderError === null,
+            executionTime: performance.now() - startTime,
+            error: null,
+            errorLocation: null,
+            renderError
+        };
+    };
+
+    // Mermaid's registered detectors, the same ones mermaid.parse() uses
+    const detectType = (code, options = {}) => {
+        try {
+            return normalizeDiagramType(mermaid.detectType(code, effectiveConfig(config, options.config)));
+        } catch (error) {
+            return null;
+        }
+    };
+
+    validator.mermaidVersion = getModuleVersion('mermaid');
+    validator.config = config;
+    validator.detectType = detectType;
+    validator.render = render;
+    return validator;
+}
+
+let sharedValidator = null;
+
+/**
+ * Get the process-wide validator, creating it on first use
+ * @returns {Promise<Validator>}
+ */
+export function getSharedValidator() {
+    if (!sharedValidator) {
+        sharedValidator = setupMermaidValidator();
+    }
+    return sharedValidator;
+}
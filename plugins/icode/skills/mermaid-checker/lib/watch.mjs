@@ -0,0 +1,239 @@
+/**
+ * Watch mode
+ *
+ * Re-checks documentation files as they are saved, with one validator
+ * kept warm for the whole session. Results are memoized per diagram
+ * source in memory (see createMemoryCache), so a save re-validates only
+ * the blocks whose content changed. Each re-check is reported as the
+ * findings that appeared and the findings that went away since the
+ * file's previous check.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { diagramFindings } from './categories.mjs';
+import { displayPath } from './reporters/paths.mjs';
+
+/**
+ * @typedef {import('./check.mjs').FileResult} FileResult
+ */
+
+/**
+ * A finding of a checked file
+ * @typedef {Object} WatchFinding
+ * @property {string} ruleId
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ * @property {import('./location.mjs').Position|null} location - Position
+ *   in the file (in the cell for notebooks)
+ * @property {number} [cell] - Notebook cell index
+ */
+
+/**
+ * @typedef {Object} WatchUpdate
+ * @property {string} filePath
+ * @property {FileResult|null} result - Null when the file could not be checked
+ * @property {string|null} error - Why the file could not be checked
+ * @property {WatchFinding[]} findings - Current findings
+ * @property {WatchFinding[]} added - Findings that were not there before
+ * @property {WatchFinding[]} resolved - Findings that went away
+ * @property {boolean} initial - First check of the session
+ */
+
+/**
+ * @typedef {Object} WatchOptions
+ * @property {(filePath: string) => Promise<FileResult>} check - Check one file
+ * @property {(update: WatchUpdate) => void} onUpdate - Called after every check
+ * @property {number} [debounce=100] - Milliseconds to wait for a burst of
+ *   change events to settle before checking
+ */
+
+/**
+ * @typedef {Object} Watcher
+ * @property {Promise<void>} ready - Resolves after the initial checks
+ * @property {() => void} close - Stop watching
+ */
+
+/**
+ * Every finding of a checked file, in file order
+ * @param {FileResult} result
+ * @returns {WatchFinding[]}
+ */
+export function fileFindings(result) {
+    const findings = [];
+    for (const diag of result.diagrams) {
+        for (const { ruleId, severity, message, location } of diagramFindings(diag)) {
+            findings.push({ ruleId, severity, message, location, ...(diag.cell !== undefined && { cell: diag.cell }) });
+        }
+    }
+    return findings;
+}
+
+/**
+ * Compare the findings of two checks of a file
+ *
+ * Findings are matched by rule and message, not position, so editing
+ * lines above a problem does not report it as resolved and new again.
+ *
+ * @param {WatchFinding[]} before
+ * @param {WatchFinding[]} after
+ * @returns {{ added: WatchFinding[], resolved: WatchFinding[] }}
+ */
+export function diffFindings(before, after) {
+    const key = finding => `${finding.ruleId}\0${finding.message}`;
+    // Findings with no counterpart left in `others`
+    const unmatched = (findings, others) => {
+        const counts = new Map();
+        for (const other of others) {
+            counts.set(key(other), (counts.get(key(other)) || 0) + 1);
+        }
+        return findings.filter(finding => {
+            const count = counts.get(key(finding)) || 0;
+            counts.set(key(finding), count - 1);
+            return count <= 0;
+        });
+    };
+    return { added: unmatched(after, before), resolved: unmatched(before, after) };
+}
+
+/**
+ * Format a watch update as a status line plus one line per added (+) and
+ * resolved (-) finding
+ * @param {WatchUpdate} update
+ * @param {string} [cwd]
+ * @returns {string}
+ */
+export function formatWatchUpdate(update, cwd = process.cwd()) {
+    const file = displayPath(update.filePath, cwd);
+    const time = new Date().toTimeString().slice(0, 8);
+    if (update.error) {
+        return `[${time}] ${file}: ${update.error}`;
+    }
+
+    const errors = update.findings.filter(finding => finding.severity === 'error').length;
+    const warnings = update.findings.length - errors;
+    const changes = update.added.length === 0 && update.resolved.length === 0
+        ? 'no change'
+        : `${update.added.length} new, ${update.resolved.length} resolved`;
+    const lines = [`[${time}] ${file}: ${changes} (${errors} error(s), ${warnings} warning(s)) ${errors === 0 ? '✅' : '❌'}`];
+
+    const describe = (sign, finding) => {
+        const label = finding.severity === 'error' ? 'Error' : 'Warning';
+        const cell = finding.cell === undefined ? '' : ` (cell ${finding.cell})`;
+        const at = finding.location ? `${file}:${finding.location.line}:${finding.location.column}${cell} ` : '';
+        return `  ${sign} ${at}${label} [${finding.ruleId}]: ${finding.message}`;
+    };
+    lines.push(...update.added.map(finding => describe('+', finding)));
+    lines.push(...update.resolved.map(finding => describe('-', finding)));
+    return lines.join('\n');
+}
+
+/**
+ * Check files, then re-check each one whenever it changes
+ *
+ * Parent directories are watched rather than the files themselves, so
+ * editors that save by writing a new file and renaming it over the old
+ * one are followed. Checks run one at a time; a save that leaves the file
+ * content unchanged is ignored.
+ *
+ * @param {string[]} filePaths - Files to watch
+ * @param {WatchOptions} options
+ * @returns {Watcher}
+ */
+export function watchFiles(filePaths, options) {
+    const debounce = options.debounce ?? 100;
+    const files = new Map(filePaths.map(filePath => [path.resolve(filePath), filePath]));
+    /** @type {Map<string, { hash: string|null, findings: WatchFinding[] }>} */
+    const state = new Map();
+    const timers = new Map();
+    let queue = Promise.resolve();
+
+    const run = async (absolute, initial) => {
+        const filePath = files.get(absolute);
+        const previous = state.get(absolute) || { hash: null, findings: [] };
+
+        let content;
+        try {
+            content = fs.readFileSync(absolute);
+        } catch (error) {
+            if (!initial && previous.hash === null) {
+                return;
+            }
+            state.set(absolute, { hash: null, findings: [] });
+            options.onUpdate({
+                filePath, result: null, error: 'File not found', findings: [],
+                added: [], resolved: previous.findings, initial
+            });
+            return;
+        }
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        if (!initial && hash === previous.hash) {
+            return;
+        }
+
+        let result;
+        try {
+            result = await options.check(filePath);
+        } catch (error) {
+            state.set(absolute, { hash, findings: [] });
+            options.onUpdate({
+                filePath, result: null, error: error.message || String(error), findings: [],
+                added: [], resolved: previous.findings, initial
+            });
+            return;
+        }
+        const findings = fileFindings(result);
+        state.set(absolute, { hash, findings });
+        options.onUpdate({ filePath, result, error: null, findings, ...diffFindings(previous.findings, findings), initial });
+    };
+
+    const enqueue = (absolute, initial) => {
+        queue = queue.then(() => run(absolute, initial));
+        return queue;
+    };
+
+    const schedule = (absolute) => {
+        clearTimeout(timers.get(absolute));
+        timers.set(absolute, setTimeout(() => {
+            timers.delete(absolute);
+            enqueue(absolute, false);
+        }, debounce));
+    };
+
+    const ready = Promise.all([...files.keys()].map(absolute => enqueue(absolute, true))).then(() => {});
+
+    const watchers = [];
+    const directories = new Set([...files.keys()].map(absolute => path.dirname(absolute)));
+    for (const directory of directories) {
+        let watcher;
+        try {
+            watcher = fs.watch(directory, (event, name) => {
+                // Some platforms omit the name; re-check the directory's files then
+                const targets = name
+                    ? [path.join(directory, name.toString())]
+                    : [...files.keys()].filter(absolute => path.dirname(absolute) === directory);
+                for (const target of targets.filter(candidate => files.has(candidate))) {
+                    schedule(target);
+                }
+            });
+        } catch (error) {
+            // Directory vanished before watching started; its files report as missing
+            continue;
+        }
+        watcher.on('error', () => {});
+        watchers.push(watcher);
+    }
+
+    return {
+        ready,
+        close() {
+            for (const timer of timers.values()) {
+                clearTimeout(timer);
+            }
+            for (const watcher of watchers) {
+                watcher.close();
+            }
+        }
+    };
+}
@@ -0,0 +1,29 @@
+/**
+ * Worker thread entry for parallel checks
+ *
+ * Each worker owns its own JSDOM + Mermaid instance and checks one file
+ * per message: { id, filePath } -> { id, result } | { id, error }.
+ * workerData: { cacheDir, config, render } - result cache directory (or
+ * null), `false` to ignore project config files, and whether to render
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { checkFile } from './check.mjs';
+import { prepareValidator } from './pool.mjs';
+
+const validator = await prepareValidator(workerData?.cacheDir);
+
+parentPort.on('message', async ({ id, filePath }) => {
+    try {
+        const result = await checkFile(filePath, {
+            validator,
+            config: workerData?.config,
+            render: workerData?.render
+        });
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message || String(error) });
+    }
+});
+
+parentPort.postMessage({ ready: true });
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * Mermaid Language Server
+ *
+ * Language Server Protocol server on stdio: diagnostics for the Mermaid
+ * blocks of open Markdown, MDX, AsciiDoc, reStructuredText, HTML and
+ * .mmd/.mermaid documents, diagram type on hover, and quick fixes.
+ *
+ * Usage:
+ *   node lsp-server.mjs [--stdio]
+ */
+
+// stdout carries the protocol; route stray console output to stderr
+// before Mermaid binds its loggers
+console.log = console.info = console.debug = console.error;
+
+const { createLanguageServer } = await import('./lib/lsp.mjs');
+
+const server = createLanguageServer({ input: process.stdin, output: process.stdout });
+process.exit(await server.exited);
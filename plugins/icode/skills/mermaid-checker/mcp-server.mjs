@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/**
+ * Mermaid MCP Server
+ *
+ * Model Context Protocol server on stdio with the tools validate_mermaid,
+ * check_markdown_file, fix_mermaid, extract_diagrams and
+ * list_diagram_types. One
+ * JSDOM + Mermaid instance stays warm for the whole session.
+ *
+ * Usage:
+ *   node mcp-server.mjs
+ */
+
+// stdout carries the protocol; route stray console output to stderr
+// before Mermaid binds its loggers
+console.log = console.info = console.debug = console.error;
+
+const { createMcpServer } = await import('./lib/mcp.mjs');
+
+const server = createMcpServer({ input: process.stdin, output: process.stdout });
+await server.closed;
+process.exit(0);
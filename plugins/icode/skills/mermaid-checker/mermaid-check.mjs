@@ -3,336 +3,464 @@
  * Mermaid Diagram Syntax Validator
  *
  * Fast (50x faster than mmdc) Mermaid syntax checker for Markdown files.
+ * Also reads MDX, AsciiDoc, reStructuredText, HTML and Jupyter notebooks.
  * Uses Node.js + JSDOM to validate Mermaid diagrams without rendering.
  *
  * Usage:
  *   node mermaid-check.mjs <file.md>              # Check single file
- *   node mermaid-check.mjs "**/*.md"              # Check multiple files (glob)
- *   node mermaid-check.mjs --dir docs/            # Check all .md in directory
+ *   node mermaid-check.mjs README.md "docs/*.md"  # Check files and globs
+ *   node mermaid-check.mjs docs/ --recursive      # Check all supported files under a directory
+ *   cat diagram.mmd | node mermaid-check.mjs -    # Check diagram text or Markdown from stdin
+ *   node mermaid-check.mjs README.md --format sarif --output mermaid.sarif
+ *   node mermaid-check.mjs "docs/*.md" --format ndjson  # One JSON record per line
+ *   node mermaid-check.mjs docs/ -r --fix          # Repair common mistakes in place
+ *   node mermaid-check.mjs README.md --render      # Also render, catching layout errors
+ *   node mermaid-check.mjs "docs/*.md" --watch     # Re-check files as they are saved
+ *   node mermaid-check.mjs --changed main          # Only files changed since main
+ *   node mermaid-check.mjs --staged --changed-blocks  # Only staged diagrams that changed
+ *   node mermaid-check.mjs install-hook            # Run the staged check before each commit
  *
  * Exit codes:
  *   0 - All diagrams valid
  *   1 - One or more diagrams invalid
- *   2 - Error (file not found, etc.)
+ *   2 - Error (no files found, unreadable file, etc.)
  */
 
-import { JSDOM } from 'jsdom';
 import fs from 'fs';
 import path from 'path';
-import { glob } from 'glob';
 import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { checkFiles, checkFile, checkContent, prepareValidator, SUPPORTED_EXTENSIONS, clearCache, DEFAULT_CACHE_DIR, createReporter, REPORT_FORMATS, resolveInputs, createIgnoreFilter, createConfigLoader, isIncluded, EMPTY_CONFIG, fixFile, withCache, createMemoryCache, watchFiles, formatResults, formatSummary, formatWatchUpdate, changedFiles, readStaged, installPreCommitHook } from './lib/index.mjs';
+import { parseCliArgs } from './lib/cli.mjs';
 
 // ============================================
-// JSDOM + Mermaid Setup
+// CLI Interface
 // ============================================
 
-async function setupMermaidValidator() {
-    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
-        url: 'http://localhost',
-        pretendToBeVisual: true,
-        resources: 'usable'
-    });
+const HELP = `
+Mermaid Diagram Syntax Validator
 
-    // Setup global objects
-    global.window = dom.window;
-    global.document = dom.window.document;
-    global.self = global;
-    global.global = global;
-    global.Element = dom.window.Element;
-    global.HTMLElement = dom.window.HTMLElement;
-    global.Node = dom.window.Node;
-    Object.defineProperty(global, 'navigator', {
-        value: dom.window.navigator,
-        writable: false,
-        configurable: true
-    });
+Usage:
+  node mermaid-check.mjs [options] <file|dir|glob>...
+  node mermaid-check.mjs README.md "docs/**/*.md"   # Files and globs
+  node mermaid-check.mjs docs/ --recursive          # All supported files under a directory
+  node mermaid-check.mjs -                          # Check stdin (diagram text or Markdown)
+  node mermaid-check.mjs --changed [<ref>] [<file|dir|glob>...]
+                                                    # Only files changed against a git ref
+  node mermaid-check.mjs install-hook [--force] [options]
+                                                    # Install a git pre-commit hook
 
-    // Mock DOMPurify (required by Mermaid)
-    const dompurifyMock = {
-        sanitize: (html) => String(html),
-        addHook: () => {},
-        removeHook: () => {},
-        removeAllHooks: () => {}
-    };
-    dom.window.DOMPurify = dompurifyMock;
-    global.DOMPurify = dompurifyMock;
-    global.window.DOMPurify = dompurifyMock;
-
-    // Dynamic import Mermaid
-    const { default: mermaid } = await import('mermaid');
-
-    // Initialize Mermaid
-    mermaid.initialize({
-        startOnLoad: false,
-        suppressErrorRendering: true,
-        logLevel: 'error',
-        securityLevel: 'loose',
-    });
+Supported files:
+  ${SUPPORTED_EXTENSIONS.map(ext => '.' + ext).join(' ')}
 
-    return async (code) => {
-        const startTime = performance.now();
-        try {
-            await mermaid.parse(code);
-            return {
-                valid: true,
-                executionTime: performance.now() - startTime,
-                error: null
-            };
-        } catch (error) {
-            return {
-                valid: false,
-                executionTime: performance.now() - startTime,
-                error: error.message || error.toString()
-            };
-        }
-    };
-}
+Directories only yield supported files; node_modules and .git are always
+skipped, and .gitignore / .mermaidcheckignore rules apply to every input.
 
-// ============================================
-// Markdown Processing
-// ============================================
+Options:
+  --quiet, -q     Suppress detailed output
+  --jobs, -j [N]  Check files on N worker threads (default: CPU count)
+  --recursive, -r Search directories recursively
+  --dir <dir>     Same as passing <dir> as an argument (repeatable)
+  --ignore <pattern>
+                  Skip files matching a gitignore-style pattern (repeatable)
+  --no-ignore-files
+                  Do not read .gitignore and .mermaidcheckignore
+  --no-config     Ignore .mermaidcheckrc and package.json "mermaidCheck" settings
+  --no-cache      Do not read or write the result cache (${DEFAULT_CACHE_DIR})
+  --clear-cache   Delete the result cache before checking
+  --stdin, -      Read a diagram or a Markdown document from stdin
+  --stdin-filename <name>
+                  Name used for stdin in reports; its extension picks the format
+  --format, -f <format>
+                  Report format: ${REPORT_FORMATS.join(', ')} (default: config, else text)
+  --output, -o <file>
+                  Write the report to a file instead of stdout
+  --fix           Repair common mistakes (unquoted labels with brackets, nodes
+                  called "end", stray semicolons, <br>) and print a diff;
+                  a diagram is only rewritten when the fixed version parses
+  --fix-dry-run   Print the --fix diff without changing any file
+  --render        Also render each diagram that parses, reporting errors
+                  Mermaid only raises during layout as render errors (slower)
+  --watch, -w     Keep running and re-check files when they are saved,
+                  printing the errors each save adds and resolves
+  --changed [<ref>]
+                  Only check files changed against a git ref (default: HEAD),
+                  including untracked files; inputs, if given, narrow the
+                  selection. Use --changed=<ref> when a path could be a ref
+  --staged        Only check files staged for commit, as they are staged
+  --changed-blocks
+                  With --changed / --staged, only check diagrams whose lines
+                  overlap the changed hunks
+  --help, -h      Show this help message
+
+install-hook writes a pre-commit hook that runs --staged with the given
+options (e.g. install-hook --changed-blocks). It refuses to replace a hook
+it did not write unless --force is given.
+`;
 
 /**
- * Extract Mermaid code blocks from Markdown content
- * @param {string} content - Markdown file content
- * @returns {Array<{code: string, lineStart: number, lineEnd: number, index: number}>}
+ * Read all of stdin as UTF-8
+ * @returns {Promise<string>}
  */
-function extractMermaidBlocks(content) {
-    const blocks = [];
-    const lines = content.split('\n');
-    let inMermaidBlock = false;
-    let blockStart = 0;
-    let blockContent = [];
-    let blockIndex = 0;
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-
-        if (line.trim() === '```mermaid') {
-            inMermaidBlock = true;
-            blockStart = i + 1; // Line numbers are 1-based
-            blockContent = [];
-        } else if (inMermaidBlock && line.trim() === '```') {
-            inMermaidBlock = false;
-            blocks.push({
-                code: blockContent.join('\n'),
-                lineStart: blockStart,
-                lineEnd: i,
-                index: blockIndex++
-            });
-            blockContent = [];
-        } else if (inMermaidBlock) {
-            blockContent.push(line);
-        }
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
     }
-
-    return blocks;
+    return Buffer.concat(chunks).toString('utf-8');
 }
 
 /**
- * Detect diagram type from Mermaid code
- * @param {string} code - Mermaid diagram code
- * @returns {string} - Diagram type or 'unknown'
+ * Apply --fix / --fix-dry-run to files before they are checked
+ * @param {string[]} filePaths
+ * @param {Object} options
+ * @param {boolean} options.write - Write the fixed files
+ * @param {import('./lib/validator.mjs').Validator} options.validator
+ * @param {(filePath: string) => Object} options.configFor - Project config of a file
+ * @param {NodeJS.WritableStream} options.diffStream - Where diffs go
  */
-function detectDiagramType(code) {
-    const typeMatch = code.match(/^(\w+)/);
-    if (typeMatch) {
-        const type = typeMatch[1];
-        // Map aliases to standard names
-        const typeMap = {
-            'graph': 'flowchart',
-            'sequenceDiagram': 'sequence',
-            'classDiagram': 'class',
-            'stateDiagram': 'state',
-            'erDiagram': 'er',
-            'journey': 'journey map'
-        };
-        return typeMap[type] || type;
+async function runFixes(filePaths, { write, validator, configFor, diffStream }) {
+    let fixedBlocks = 0;
+    let fixedFiles = 0;
+
+    for (const filePath of filePaths) {
+        let result;
+        try {
+            result = await fixFile(filePath, { validator, config: configFor(filePath), write });
+        } catch (error) {
+            // Unreadable files are reported by the check that follows
+            continue;
+        }
+        diffStream.write(result.diff);
+        for (const block of result.blocks) {
+            if (block.status === 'fixed') {
+                fixedBlocks++;
+            } else if (block.status === 'unparsed') {
+                console.error(`${filePath}:${block.line}: not fixed, still invalid after ${block.fixes.join(', ')}`);
+            } else {
+                console.error(`${filePath}:${block.line}: not fixed, the block cannot be rewritten in place`);
+            }
+        }
+        if (result.changed) {
+            fixedFiles++;
+        }
     }
-    return 'unknown';
+    console.error(`${write ? 'Fixed' : 'Would fix'} ${fixedBlocks} diagram(s) in ${fixedFiles} file(s)`);
 }
 
-// ============================================
-// Validation & Reporting
-// ============================================
-
 /**
- * Validate a single Markdown file
- * @param {string} filePath - Path to Markdown file
- * @param {Function} validator - Mermaid validation function
- * @returns {Promise<Object>} - Validation result
+ * Check files, then keep re-checking them as they change (--watch)
+ *
+ * One validator stays warm for the session; results are memoized in
+ * memory, so a save only re-validates the diagrams it changed.
+ *
+ * @param {string[]} filePaths
+ * @param {Object} options
+ * @param {boolean} options.verbose - Detailed initial report
+ * @param {boolean} options.render
+ * @param {string|null} options.cacheDir
+ * @param {(filePath: string) => Object} options.configFor - Project config of a file
  */
-async function validateMarkdownFile(filePath, validator) {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const blocks = extractMermaidBlocks(content);
-
-    const results = {
-        filePath,
-        fileName: path.basename(filePath),
-        totalDiagrams: blocks.length,
-        validCount: 0,
-        invalidCount: 0,
-        diagrams: [],
-        totalTime: 0
-    };
-
-    for (const block of blocks) {
-        const result = await validator(block.code);
-        const diagramType = detectDiagramType(block.code);
+async function runWatch(filePaths, { verbose, render, cacheDir, configFor }) {
+    const validator = withCache(await prepareValidator(cacheDir), createMemoryCache());
+    const initial = [];
+
+    const watcher = watchFiles(filePaths, {
+        check: filePath => checkFile(filePath, { validator, config: configFor(filePath), render }),
+        onUpdate: update => {
+            if (!update.initial) {
+                console.log(formatWatchUpdate(update));
+            } else if (update.result) {
+                initial.push(update.result);
+                console.log(formatResults(update.result, verbose));
+            } else {
+                console.error(`Error processing ${update.filePath}: ${update.error}`);
+            }
+        }
+    });
 
-        results.diagrams.push({
-            ...block,
-            diagramType,
-            ...result
-        });
+    await watcher.ready;
+    if (initial.length > 1) {
+        console.log(formatSummary(initial));
+    }
+    console.error(`\nWatching ${filePaths.length} file(s) for changes (Ctrl+C to stop)`);
+}
 
-        results.totalTime += result.executionTime;
-        if (result.valid) {
-            results.validCount++;
-        } else {
-            results.invalidCount++;
+/**
+ * Check the files of a git change in-process (--staged, --changed-blocks)
+ *
+ * Staged files are read from the index, so a commit is checked as it will
+ * be recorded rather than as the working tree has it.
+ *
+ * @param {string[]} filePaths
+ * @param {Object} options
+ * @param {Map<string, Array<[number, number]>|null>} options.ranges - Changed
+ *   lines by absolute path; null for a wholly new file
+ * @param {boolean} options.staged - Read files from the index
+ * @param {boolean} options.blocks - Only check blocks overlapping changed lines
+ * @param {boolean} options.render
+ * @param {boolean} options.config - Read project config
+ * @param {string|null} options.cacheDir
+ * @param {(outcome: { filePath: string, result?: Object, error?: string }) => void} options.onResult
+ */
+async function checkChanged(filePaths, { ranges, staged, blocks, render, config, cacheDir, onResult }) {
+    const validator = await prepareValidator(cacheDir);
+    for (const filePath of filePaths) {
+        const lineRanges = blocks ? ranges.get(filePath) : null;
+        try {
+            const content = staged ? readStaged(filePath) : fs.readFileSync(filePath, 'utf-8');
+            const result = await checkContent(content, {
+                filePath,
+                validator,
+                render,
+                ...(lineRanges && { lineRanges }),
+                ...(!config && { config: false })
+            });
+            onResult({ filePath, result });
+        } catch (error) {
+            onResult({ filePath, error: error.message });
         }
     }
+}
 
-    return results;
+/**
+ * Quote a word for /bin/sh
+ * @param {string} word
+ * @returns {string}
+ */
+function shellQuote(word) {
+    return /^[\w@%+=:,./-]+$/.test(word) ? word : `'${word.replace(/'/g, `'\\''`)}'`;
 }
 
 /**
- * Print validation results
- * @param {Object} result - Validation result
- * @param {boolean} verbose - Show detailed output
+ * install-hook subcommand: write a pre-commit hook running the staged check
+ * @param {string[]} argv - Arguments after `install-hook`
  */
-function printResults(result, verbose = true) {
-    const icon = result.invalidCount === 0 ? '✅' : '❌';
-    const status = result.invalidCount === 0 ? 'Passed' : 'Failed';
+function runInstallHook(argv) {
+    const force = argv.includes('--force');
+    const options = argv.filter(arg => arg !== '--force');
+    try {
+        const args = parseCliArgs(['--staged', ...options]);
+        if (args.inputs.length > 0 || args.stdin || args.watch || args.fix || args.fixDryRun || args.changed !== undefined) {
+            throw new Error('install-hook only takes check options (e.g. --changed-blocks, --render)');
+        }
+        const script = fileURLToPath(import.meta.url);
+        const command = ['node', script, '--staged', '--no-cache', ...options].map(shellQuote).join(' ');
+        const hookPath = installPreCommitHook(command, { force });
+        console.log(`Installed ${path.relative(process.cwd(), hookPath) || hookPath}`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(2);
+    }
+}
 
-    console.log(`\n${icon} ${result.fileName} - ${status}`);
-    console.log('─'.repeat(60));
+async function main() {
+    const argv = process.argv.slice(2);
 
-    if (result.totalDiagrams === 0) {
-        console.log('No Mermaid diagrams found.');
-        return;
+    if (argv.length === 0) {
+        console.log(HELP);
+        process.exit(2);
     }
 
-    console.log(`Diagrams: ${result.validCount}/${result.totalDiagrams} valid`);
-    console.log(`Time: ${result.totalTime.toFixed(1)}ms`);
-
-    if (verbose) {
-        console.log('\nResults:');
-        for (const diag of result.diagrams) {
-            const icon = diag.valid ? '✅' : '❌';
-            const time = diag.executionTime.toFixed(1) + 'ms';
-            const pos = `[Line ${diag.lineStart}]`;
+    if (argv[0] === 'install-hook') {
+        runInstallHook(argv.slice(1));
+        return;
+    }
 
-            if (diag.valid) {
-                console.log(`  ${pos} ${icon} ${diag.diagramType} - ${time}`);
-            } else {
-                console.log(`  ${pos} ${icon} ${diag.diagramType}`);
-                console.log(`    Error: ${diag.error.split('\n')[0]}`);
-            }
-        }
+    let args;
+    try {
+        args = parseCliArgs(argv);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('Run with --help for usage.');
+        process.exit(2);
     }
 
-    if (result.invalidCount > 0) {
-        console.log(`\n❌ ${result.invalidCount} diagram(s) failed validation`);
+    if (args.help) {
+        console.log(HELP);
+        process.exit(0);
     }
-}
 
-/**
- * Print summary for multiple files
- * @param {Array} results - Array of validation results
- */
-function printSummary(results) {
-    const totalFiles = results.length;
-    const totalDiagrams = results.reduce((sum, r) => sum + r.totalDiagrams, 0);
-    const totalValid = results.reduce((sum, r) => sum + r.validCount, 0);
-    const totalInvalid = results.reduce((sum, r) => sum + r.invalidCount, 0);
-    const totalTime = results.reduce((sum, r) => sum + r.totalTime, 0);
-    const filesWithErrors = results.filter(r => r.invalidCount > 0).length;
-
-    console.log('\n' + '='.repeat(60));
-    console.log('📊 Summary');
-    console.log('='.repeat(60));
-    console.log(`Files checked:    ${totalFiles}`);
-    console.log(`Total diagrams:   ${totalDiagrams}`);
-    console.log(`Valid:            ${totalValid} ✅`);
-    console.log(`Invalid:          ${totalInvalid} ${totalInvalid > 0 ? '❌' : '✅'}`);
-    console.log(`Files with errors:${filesWithErrors}`);
-    console.log(`Total time:       ${totalTime.toFixed(1)}ms`);
-    console.log('='.repeat(60));
-}
+    const { quiet, jobs, output } = args;
+    const cacheDir = args.cache ? DEFAULT_CACHE_DIR : null;
+
+    // Project config: per-file mermaid options and include/exclude, plus
+    // the report format from the working directory's config
+    const configs = createConfigLoader();
+    const configFor = filePath => (args.config ? configs.forFile(filePath) : EMPTY_CONFIG);
+    let format;
+    try {
+        format = args.format ?? (args.config ? configs.forDirectory(process.cwd()).format : null) ?? 'text';
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(2);
+    }
 
-// ============================================
-// CLI Interface
-// ============================================
+    if (!REPORT_FORMATS.includes(format)) {
+        console.error(`Unknown format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+        process.exit(2);
+    }
 
-async function main() {
-    const args = process.argv.slice(2);
+    if (args.clearCache) {
+        clearCache(DEFAULT_CACHE_DIR);
+        if (args.inputs.length === 0 && !args.stdin && args.changed === undefined && !args.staged) {
+            console.log(`Cleared ${DEFAULT_CACHE_DIR}`);
+            process.exit(0);
+        }
+    }
 
-    if (args.length === 0) {
-        console.log(`
-Mermaid Diagram Syntax Validator
+    // Git mode: the change decides which files (and blocks) are checked
+    const gitMode = args.changed !== undefined || args.staged;
+    if (gitMode && (args.stdin || args.fix || args.fixDryRun)) {
+        console.error('Error: --changed / --staged cannot be used with stdin or --fix');
+        process.exit(2);
+    }
+    if (args.watch && (args.staged || args.changedBlocks)) {
+        console.error('Error: --watch re-checks whole files; it cannot be used with --staged or --changed-blocks');
+        process.exit(2);
+    }
+    let changes = null;
+    if (gitMode) {
+        try {
+            changes = changedFiles({ ref: args.changed ?? 'HEAD', staged: args.staged });
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(2);
+        }
+    }
 
-Usage:
-  node mermaid-check.mjs <file.md>              # Check single file
-  node mermaid-check.mjs "**/*.md"              # Check multiple files (glob)
-  node mermaid-check.mjs --dir <directory>      # Check all .md in directory
-  node mermaid-check.mjs --dir <directory> --recursive  # Recursive directory check
+    const ignored = createIgnoreFilter({ patterns: args.ignore, useIgnoreFiles: args.ignoreFiles });
+    const isIgnored = filePath => ignored(filePath) || !isIncluded(configFor(filePath), filePath);
+    let resolved;
+    try {
+        resolved = await resolveInputs(args.inputs, { recursive: args.recursive, isIgnored });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(2);
+    }
+    const { files, missing, unmatched } = resolved;
+    let filePaths = files;
+    for (const pattern of unmatched) {
+        console.error(`No files match: ${pattern}`);
+    }
 
-Options:
-  --quiet, -q     Suppress detailed output
-  --help, -h      Show this help message
-        `);
+    const ranges = new Map((changes || []).map(change => [change.filePath, change.ranges]));
+    if (gitMode) {
+        // Without inputs, every supported changed file; with inputs, those among them
+        const selected = args.inputs.length > 0 ? new Set(files) : null;
+        const supported = new Set(SUPPORTED_EXTENSIONS.map(ext => '.' + ext));
+        filePaths = changes
+            .map(change => change.filePath)
+            .filter(filePath => (selected
+                ? selected.has(filePath)
+                : supported.has(path.extname(filePath).toLowerCase()) && !isIgnored(filePath)));
+        if (filePaths.length === 0 && missing.length === 0) {
+            console.error('No changed files to check.');
+        }
+    } else if (filePaths.length === 0 && missing.length === 0 && !args.stdin) {
+        console.error(`No supported files found.`);
         process.exit(2);
     }
 
-    const quiet = args.includes('-q') || args.includes('--quiet');
-    const filteredArgs = args.filter(a => !a.startsWith('-'));
+    // Fix first, so the report describes the files as they are now
+    if (args.fix || args.fixDryRun) {
+        if (args.stdin) {
+            console.error('Error: --fix cannot be used with stdin');
+            process.exit(2);
+        }
+        await runFixes(filePaths, {
+            write: !args.fixDryRun,
+            validator: await prepareValidator(cacheDir),
+            configFor,
+            // Keep machine-readable reports on stdout clean
+            diffStream: format === 'text' && !output ? process.stdout : process.stderr
+        });
+    }
 
-    // Setup validator
-    const validator = await setupMermaidValidator();
+    if (args.watch) {
+        if (args.stdin) {
+            console.error('Error: --watch cannot be used with stdin');
+            process.exit(2);
+        }
+        if (format !== 'text' || output) {
+            console.error('Error: --watch only prints text reports to the console');
+            process.exit(2);
+        }
+        for (const input of missing) {
+            console.error(`File not found: ${input}`);
+        }
+        await runWatch(filePaths, { verbose: !quiet, render: args.render, cacheDir, configFor });
+        return;
+    }
 
-    let filePaths = [];
+    // Buffer the report when it goes to a file; write it once at the end
+    const chunks = [];
+    const reporter = createReporter(format, {
+        verbose: !quiet,
+        write: output ? text => chunks.push(text) : text => process.stdout.write(text)
+    });
+    const results = [];
+    let failedFiles = 0;
 
-    // Parse arguments
-    if (filteredArgs[0] === '--dir') {
-        const dir = filteredArgs[1];
-        const recursive = filteredArgs.includes('--recursive');
-        const pattern = recursive ? '**/*.md' : '*.md';
-        filePaths = await glob(pattern, { cwd: dir, absolute: true });
-    } else {
-        // Treat as glob pattern or direct file path
-        filePaths = await glob(filteredArgs[0], { absolute: true });
+    for (const input of missing) {
+        console.error(`File not found: ${input}`);
+        reporter.error(input, 'File not found');
+        failedFiles++;
     }
 
-    if (filePaths.length === 0) {
-        console.error(`No Markdown files found.`);
-        process.exit(2);
+    // Validate stdin first, in-process
+    if (args.stdin) {
+        const content = await readStdin();
+        const validator = await prepareValidator(cacheDir);
+        const result = await checkContent(content, {
+            filePath: args.stdinFilename,
+            validator,
+            render: args.render,
+            ...(!args.config && { config: false })
+        });
+        results.push(result);
+        reporter.file(result);
     }
 
-    // Validate each file
-    const results = [];
-    for (const filePath of filePaths) {
-        try {
-            const result = await validateMarkdownFile(filePath, validator);
-            results.push(result);
-            printResults(result, !quiet);
-        } catch (error) {
-            console.error(`Error processing ${filePath}: ${error.message}`);
+    const onResult = ({ filePath, result, error }) => {
+        if (error) {
+            console.error(`Error processing ${filePath}: ${error}`);
+            reporter.error(filePath, String(error));
+            failedFiles++;
+            return;
         }
+        results.push(result);
+        reporter.file(result);
+    };
+
+    // Validate each file
+    if (args.staged || args.changedBlocks) {
+        await checkChanged(filePaths, {
+            ranges,
+            staged: args.staged,
+            blocks: args.changedBlocks,
+            render: args.render,
+            config: args.config,
+            cacheDir,
+            onResult
+        });
+    } else {
+        await checkFiles(filePaths, {
+            jobs,
+            cacheDir,
+            render: args.render,
+            ...(!args.config && { config: false }),
+            onResult
+        });
     }
 
-    // Print summary if multiple files
-    if (results.length > 1) {
-        printSummary(results);
+    reporter.end();
+    if (output) {
+        fs.writeFileSync(output, chunks.join(''), 'utf-8');
     }
 
-    // Exit with appropriate code
+    // Exit with appropriate code; let stdout drain instead of process.exit()
     const hasErrors = results.some(r => r.invalidCount > 0);
-    process.exit(hasErrors ? 1 : 0);
+    process.exitCode = hasErrors ? 1 : failedFiles > 0 ? 2 : 0;
 }
 
 main().catch(error => {
@@ -3,8 +3,8 @@
  * Mermaid 图表语法检查主脚本
  *
  * 工作流：
- *   1. 调用提取脚本，从 Markdown 提取 Mermaid 代码块
- *   2. 对每个代码块调用验证脚本
+ *   1. 从 Markdown 提取 Mermaid 代码块
+ *   2. 在同一进程内逐个验证（JSDOM + Mermaid 只初始化一次）
  *   3. 汇总结果并生成报告
  *
  * 用法:
@@ -13,36 +13,7 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-/**
- * 执行提取脚本
- * @param {string} mdFile - Markdown 文件路径
- * @param {string} outputDir - 输出目录
- * @returns {Object} - 提取结果
- */
-function extractBlocks(mdFile, outputDir) {
-    const scriptPath = path.join(__dirname, 'extract.mjs');
-    const cmd = `node "${scriptPath}" "${mdFile}" "${outputDir}" 2>/dev/null`;
-    const output = execSync(cmd, { encoding: 'utf-8' });
-    return JSON.parse(output);
-}
-
-/**
- * 执行验证脚本
- * @param {string} mmdFile - Mermaid 文件路径
- * @returns {Object} - 验证结果
- */
-function validateFile(mmdFile) {
-    const scriptPath = path.join(__dirname, 'validate.mjs');
-    const cmd = `node "${scriptPath}" "${mmdFile}"`;
-    const output = execSync(cmd, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-    return JSON.parse(output);
-}
+import { checkMarkdown, blockFileName, formatPosition, formatErrorDetails } from '../lib/index.mjs';
 
 /**
  * 格式化输出报告
@@ -69,13 +40,17 @@ function printReport(result) {
     for (const block of blocks) {
         const blockIcon = block.valid ? '✅' : '❌';
         const time = block.executionTime.toFixed(1) + 'ms';
-        const pos = `[Line ${block.lineStart}]`;
+        const pos = formatPosition(block);
 
         if (block.valid) {
             console.log(`  ${pos} ${blockIcon} ${block.diagramType} - ${time}`);
+            // 仅有警告（如图内配置问题）时同样列出
+            for (const line of formatErrorDetails(block, sourceFile, '    ')) {
+                console.log(line);
+            }
         } else {
             console.log(`  ${pos} ${blockIcon} ${block.diagramType}`);
-            console.log(`    Error: ${block.error.split('\n')[0]}`);
+            console.log(formatErrorDetails(block, sourceFile, '    ').join('\n'));
         }
     }
 
@@ -115,19 +90,23 @@ Mermaid 图表语法检查
 
 选项:
   --keep-temp    - 保留临时文件（用于调试）
+  --no-temp      - 不写出临时 .mmd 文件
   --quiet        - 静默模式，只输出 JSON
 
 示例:
   node check.mjs README.md
   node check.mjs docs/architecture.md
   node check.mjs README.md --quiet
+  node check.mjs README.md --quiet --no-temp
         `);
         process.exit(1);
     }
 
-    const mdFile = args[0];
-    const outputDir = args[1] || '.mermaid_temp';
+    const positional = args.filter(a => !a.startsWith('-'));
+    const mdFile = positional[0];
+    const outputDir = positional[1] || '.mermaid_temp';
     const keepTemp = args.includes('--keep-temp');
+    const noTemp = args.includes('--no-temp');
     const quiet = args.includes('--quiet');
 
     // 检查文件是否存在
@@ -137,45 +116,52 @@ Mermaid 图表语法检查
     }
 
     try {
-        // 步骤 1: 提取 Mermaid 代码块
-        const extractResult = extractBlocks(mdFile, outputDir);
+        // 步骤 1-2: 提取并在同一进程内验证所有代码块
+        const checked = await checkMarkdown(mdFile);
 
-        if (extractResult.totalBlocks === 0) {
+        if (checked.totalDiagrams === 0) {
             if (!quiet) {
                 console.log(`\n未找到 Mermaid 代码块: ${mdFile}`);
             }
             process.exit(0);
         }
 
-        // 步骤 2: 验证每个代码块
-        const blocks = [];
-        let totalTime = 0;
-        let validCount = 0;
-        let invalidCount = 0;
-
-        for (const blockInfo of extractResult.blocks) {
-            const validationResult = validateFile(blockInfo.filePath);
-
-            blocks.push({
-                ...blockInfo,
-                valid: validationResult.valid,
-                executionTime: validationResult.executionTime,
-                error: validationResult.error
-            });
-
-            totalTime += validationResult.executionTime;
-            if (validationResult.valid) {
-                validCount++;
-            } else {
-                invalidCount++;
-            }
+        if (!noTemp) {
+            fs.mkdirSync(outputDir, { recursive: true });
         }
 
+        const blocks = checked.diagrams.map(diagram => {
+            const fileName = blockFileName(mdFile, diagram, diagram.diagramType);
+            let filePath = null;
+
+            if (!noTemp) {
+                filePath = path.join(outputDir, fileName);
+                fs.writeFileSync(filePath, diagram.code, 'utf-8');
+            }
+
+            return {
+                fileName,
+                filePath,
+                ...(diagram.cell !== undefined && { cell: diagram.cell }),
+                lineStart: diagram.lineStart,
+                lineEnd: diagram.lineEnd,
+                diagramType: diagram.diagramType,
+                index: diagram.index,
+                valid: diagram.valid,
+                executionTime: diagram.executionTime,
+                error: diagram.error,
+                location: diagram.location,
+                codeFrame: diagram.codeFrame,
+                issues: diagram.issues
+            };
+        });
+        const { validCount, invalidCount, totalTime } = checked;
+
         // 步骤 3: 汇总结果
         const result = {
             sourceFile: mdFile,
-            outputDir: outputDir,
-            totalBlocks: extractResult.totalBlocks,
+            outputDir: noTemp ? null : outputDir,
+            totalBlocks: checked.totalDiagrams,
             validCount,
             invalidCount,
             blocks,
@@ -190,7 +176,7 @@ Mermaid 图表语法检查
         }
 
         // 清理临时文件
-        if (!keepTemp) {
+        if (!keepTemp && !noTemp) {
             cleanup(outputDir);
         }
 
@@ -199,7 +185,9 @@ Mermaid 图表语法检查
 
     } catch (error) {
         console.error(`错误: ${error.message}`);
-        cleanup(outputDir);
+        if (!keepTemp && !noTemp) {
+            cleanup(outputDir);
+        }
         process.exit(1);
     }
 }
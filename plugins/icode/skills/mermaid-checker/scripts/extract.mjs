@@ -3,6 +3,7 @@
  * Mermaid 代码块提取脚本
  *
  * 从 Markdown 文件中提取所有 Mermaid 代码块，保存为独立文件
+ * 也支持 MDX、AsciiDoc、reStructuredText、HTML 和 Jupyter notebook（按扩展名选择）
  *
  * 用法:
  *   node extract.mjs <markdown-file> [output-dir]
@@ -10,61 +11,7 @@
 
 import fs from 'fs';
 import path from 'path';
-
-/**
- * 从 Markdown 内容中提取 Mermaid 代码块
- */
-function extractMermaidBlocks(content) {
-    const blocks = [];
-    const lines = content.split('\n');
-    let inMermaidBlock = false;
-    let blockStart = 0;
-    let blockContent = [];
-    let blockIndex = 0;
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-
-        if (line.trim() === '```mermaid') {
-            inMermaidBlock = true;
-            blockStart = i + 1;
-            blockContent = [];
-        } else if (inMermaidBlock && line.trim() === '```') {
-            inMermaidBlock = false;
-            blocks.push({
-                code: blockContent.join('\n'),
-                lineStart: blockStart,
-                lineEnd: i,
-                index: blockIndex++
-            });
-            blockContent = [];
-        } else if (inMermaidBlock) {
-            blockContent.push(line);
-        }
-    }
-
-    return blocks;
-}
-
-/**
- * 检测图表类型
- */
-function detectDiagramType(code) {
-    const typeMatch = code.match(/^(\w+)/);
-    if (typeMatch) {
-        const type = typeMatch[1];
-        const typeMap = {
-            'graph': 'flowchart',
-            'sequenceDiagram': 'sequence',
-            'classDiagram': 'class',
-            'stateDiagram': 'state',
-            'erDiagram': 'er',
-            'journey': 'journey-map'
-        };
-        return typeMap[type] || type;
-    }
-    return 'unknown';
-}
+import { extractBlocks, detectDiagramType, blockFileName, loadConfig, SUPPORTED_EXTENSIONS } from '../lib/index.mjs';
 
 /**
  * 主函数
@@ -83,6 +30,9 @@ Mermaid 代码块提取脚本
   markdown-file  - 要处理的 Markdown 文件路径
   output-dir     - 输出目录（默认: .mermaid_temp）
 
+支持的文件类型:
+  ${SUPPORTED_EXTENSIONS.map(ext => '.' + ext).join(' ')}
+
 示例:
   node extract.mjs README.md
   node extract.mjs docs/architecture.md .mermaid_temp
@@ -99,11 +49,11 @@ Mermaid 代码块提取脚本
         process.exit(1);
     }
 
-    // 读取 Markdown 文件
+    // 读取文件
     const content = fs.readFileSync(mdFile, 'utf-8');
 
-    // 提取 Mermaid 代码块
-    const blocks = extractMermaidBlocks(content);
+    // 按文件类型提取 Mermaid 代码块
+    const blocks = extractBlocks(content, mdFile);
 
     if (blocks.length === 0) {
         console.log(`未找到 Mermaid 代码块: ${mdFile}`);
@@ -113,14 +63,12 @@ Mermaid 代码块提取脚本
     // 创建输出目录
     fs.mkdirSync(outputDir, { recursive: true });
 
-    // 获取文件名（不含扩展名）作为前缀
-    const mdFileName = path.basename(mdFile, path.extname(mdFile));
-
-    // 保存每个代码块
+    // 保存每个代码块（图表类型由 Mermaid 自身的检测器识别）
+    const { mermaid: mermaidConfig } = loadConfig(mdFile);
     const results = [];
     for (const block of blocks) {
-        const diagramType = detectDiagramType(block.code);
-        const fileName = `${mdFileName}_block${block.index}_${diagramType}.mmd`;
+        const diagramType = await detectDiagramType(block.code, { mermaidConfig });
+        const fileName = blockFileName(mdFile, block, diagramType);
         const filePath = path.join(outputDir, fileName);
 
         fs.writeFileSync(filePath, block.code, 'utf-8');
@@ -128,10 +76,12 @@ Mermaid 代码块提取脚本
         results.push({
             fileName,
             filePath,
+            ...(block.cell !== undefined && { cell: block.cell }),
             lineStart: block.lineStart,
             lineEnd: block.lineEnd,
             diagramType,
-            index: block.index
+            index: block.index,
+            fenceError: block.fenceError
         });
     }
 
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Mermaid SVG 导出脚本
+ *
+ * 把文档中所有有效的 Mermaid 图渲染为独立的 SVG 文件（与检查共用 JSDOM + Mermaid），
+ * 并写出清单 JSON，记录每个代码块在源文件中的位置与对应的 SVG，供静态站点构建把围栏替换为图片
+ *
+ * 用法:
+ *   node render.mjs <file|dir|glob>... [--out-dir <dir>] [--manifest <file>] [--recursive]
+ */
+
+import path from 'path';
+import { exportFile, writeManifest, prepareValidator, resolveInputs, createIgnoreFilter, getModuleVersion, SUPPORTED_EXTENSIONS } from '../lib/index.mjs';
+
+const USAGE = `
+Mermaid SVG 导出脚本
+
+用法:
+  node render.mjs <file|dir|glob>... [options]
+
+参数:
+  file|dir|glob  - 要导出的文档、目录或 glob（可多个）
+
+选项:
+  --out-dir <dir>    - SVG 输出目录（默认: .mermaid_svg），按源文件目录结构存放
+  --manifest <file>  - 清单文件路径（默认: <out-dir>/manifest.json）
+  --recursive, -r    - 递归查找目录中的文件
+
+支持的文件类型:
+  ${SUPPORTED_EXTENSIONS.map(ext => '.' + ext).join(' ')}
+
+示例:
+  node render.mjs README.md
+  node render.mjs docs/ -r --out-dir site/static/diagrams
+`;
+
+/**
+ * 解析命令行参数
+ * @param {string[]} args
+ * @returns {{ inputs: string[], outDir: string, manifest: string|null, recursive: boolean }}
+ */
+function parseArgs(args) {
+    const options = { inputs: [], outDir: '.mermaid_svg', manifest: null, recursive: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--out-dir' || arg === '--manifest') {
+            const value = args[++i];
+            if (value === undefined) {
+                throw new Error(`${arg} 需要一个参数`);
+            }
+            options[arg === '--out-dir' ? 'outDir' : 'manifest'] = value;
+        } else if (arg === '--recursive' || arg === '-r') {
+            options.recursive = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`未知选项: ${arg}`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length === 0) {
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`错误: ${error.message}`);
+        process.exit(1);
+    }
+
+    // 展开目录和 glob（遵循 .gitignore / .mermaidcheckignore）
+    const { files, missing, unmatched } = await resolveInputs(options.inputs, {
+        recursive: options.recursive,
+        isIgnored: createIgnoreFilter()
+    });
+    for (const input of [...missing, ...unmatched]) {
+        console.error(`错误: 文件不存在: ${input}`);
+    }
+    if (files.length === 0) {
+        console.error('错误: 没有可导出的文件');
+        process.exit(1);
+    }
+
+    // 逐个文件渲染，无效或渲染失败的图只记入清单；无法读取的文件记入 errors，不中断导出
+    const validator = await prepareValidator(null);
+    const diagrams = [];
+    const errors = [];
+    for (const filePath of files) {
+        try {
+            diagrams.push(...await exportFile(filePath, { outDir: options.outDir, validator }));
+        } catch (error) {
+            const source = path.relative(process.cwd(), filePath).split(path.sep).join('/');
+            errors.push({ source, error: error.message });
+            console.error(`错误: 无法导出 ${source}: ${error.message}`);
+        }
+    }
+
+    const manifestPath = options.manifest || path.join(options.outDir, 'manifest.json');
+    const manifest = writeManifest(manifestPath, diagrams, {
+        outDir: options.outDir,
+        mermaidVersion: getModuleVersion('mermaid'),
+        errors
+    });
+
+    const skipped = diagrams.filter(diagram => diagram.status !== 'exported');
+    for (const diagram of skipped) {
+        console.error(`未导出: ${diagram.source}:${diagram.lineStart} (${diagram.status}) ${diagram.error}`);
+    }
+
+    // 输出结果（JSON 格式）
+    console.log(JSON.stringify({
+        manifest: manifestPath,
+        outDir: options.outDir,
+        exported: diagrams.length - skipped.length,
+        skipped: skipped.length,
+        diagrams: manifest.diagrams,
+        errors
+    }, null, 2));
+
+    process.exitCode = skipped.length > 0 || errors.length > 0 || missing.length > 0 || unmatched.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('错误:', error.message);
+    process.exit(1);
+});
@@ -13,156 +13,7 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-// ESM 模块中获取 __dirname
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-/**
- * 动态导入模块（从插件目录解析）
- * 优先使用插件本地 node_modules，回退到全局安装
- */
-async function importModule(moduleName) {
-    // 尝试从插件目录查找 node_modules
-    const possiblePaths = [
-        // 插件目录下的 skills/mermaid-checker/node_modules
-        path.join(__dirname, '..', '..', 'node_modules'),
-        // 插件目录下的 node_modules
-        path.join(__dirname, '..', '..', '..', 'node_modules'),
-        // 从调用脚本所在目录向上查找
-        process.cwd(),
-    ];
-
-    for (const basePath of possiblePaths) {
-        const modulePath = path.join(basePath, 'node_modules', moduleName);
-        const pkgPath = path.join(modulePath, 'package.json');
-
-        if (fs.existsSync(pkgPath)) {
-            try {
-                // 尝试直接导入
-                return await import(moduleName);
-            } catch (e) {
-                // 读取 package.json 获取主入口
-                const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
-                const entry = pkg.main || pkg.module || pkg.exports?.['.' ]?.import || 'index.js';
-                const entryPath = path.join(modulePath, entry);
-                if (fs.existsSync(entryPath)) {
-                    return await import(entryPath);
-                }
-            }
-        }
-    }
-
-    // 回退到全局模块
-    try {
-        return await import(moduleName);
-    } catch (e) {
-        // 尝试从 nvm 全局查找
-        const nvmPath = process.env.NVM_DIR || path.join(process.env.HOME, '.nvm');
-        const globalNodePath = path.join(nvmPath, 'versions', 'node', process.version, 'lib', 'node_modules', moduleName);
-        const pkgPath = path.join(globalNodePath, 'package.json');
-
-        if (fs.existsSync(pkgPath)) {
-            const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
-            const entry = pkg.main || pkg.module || 'index.js';
-            const entryPath = path.join(globalNodePath, entry);
-            return await import(entryPath);
-        }
-        throw new Error(`找不到模块: ${moduleName}\n  请在项目目录运行: npm install\n  或全局安装: npm install -g ${moduleName}`);
-    }
-}
-
-/**
- * 设置 JSDOM 环境和 Mermaid 验证器
- */
-async function setupMermaidValidator() {
-    const { JSDOM } = await importModule('jsdom');
-
-    // 创建 JSDOM 环境
-    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
-        url: 'http://localhost',
-        pretendToBeVisual: true,
-        resources: 'usable'
-    });
-
-    // 设置全局对象
-    global.window = dom.window;
-    global.document = dom.window.document;
-    global.self = global;
-    global.global = global;
-    global.Element = dom.window.Element;
-    global.HTMLElement = dom.window.HTMLElement;
-    global.Node = dom.window.Node;
-    Object.defineProperty(global, 'navigator', {
-        value: dom.window.navigator,
-        writable: false,
-        configurable: true
-    });
-
-    // Mock DOMPurify（必须在 import mermaid 前设置）
-    const dompurifyMock = {
-        sanitize: (html) => String(html),
-        addHook: () => {},
-        removeHook: () => {},
-        removeAllHooks: () => {}
-    };
-    dom.window.DOMPurify = dompurifyMock;
-    global.DOMPurify = dompurifyMock;
-    global.window.DOMPurify = dompurifyMock;
-
-    // 动态导入 Mermaid
-    const { default: mermaid } = await importModule('mermaid');
-
-    // 初始化 Mermaid
-    mermaid.initialize({
-        startOnLoad: false,
-        suppressErrorRendering: true,
-        logLevel: 'error',
-        securityLevel: 'loose',
-    });
-
-    // 返回验证函数
-    return async (code) => {
-        const startTime = performance.now();
-        try {
-            await mermaid.parse(code);
-            return {
-                valid: true,
-                executionTime: performance.now() - startTime,
-                error: null
-            };
-        } catch (error) {
-            return {
-                valid: false,
-                executionTime: performance.now() - startTime,
-                error: error.message || error.toString()
-            };
-        }
-    };
-}
-
-/**
- * 检测图表类型
- * @param {string} code - Mermaid 代码
- * @returns {string} - 图表类型
- */
-function detectDiagramType(code) {
-    const typeMatch = code.match(/^(\w+)/);
-    if (typeMatch) {
-        const type = typeMatch[1];
-        const typeMap = {
-            'graph': 'flowchart',
-            'sequenceDiagram': 'sequence',
-            'classDiagram': 'class',
-            'stateDiagram': 'state',
-            'erDiagram': 'er',
-            'journey': 'journey-map'
-        };
-        return typeMap[type] || type;
-    }
-    return 'unknown';
-}
+import { validateDiagram, loadConfig } from '../lib/index.mjs';
 
 /**
  * 主函数
@@ -203,18 +54,15 @@ Mermaid 文件验证脚本
     // 读取 Mermaid 文件
     const code = fs.readFileSync(mmdFile, 'utf-8');
 
-    // 设置验证器
-    const validator = await setupMermaidValidator();
-
-    // 验证
-    const result = await validator(code);
+    // 验证（使用文件所在目录生效的项目配置中的 mermaid 选项与规则级别）
+    const config = loadConfig(mmdFile);
+    const result = await validateDiagram(code, { mermaidConfig: config.mermaid, rules: config.rules });
 
     // 构建输出
     const output = {
         success: true,
         file: mmdFile,
         fileName: path.basename(mmdFile),
-        diagramType: detectDiagramType(code),
         ...result
     };
 
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { cacheKey, createCache, createMemoryCache, clearCache, withCache, DEFAULT_CACHE_DIR } from '../lib/cache.mjs';
+import { extractMermaidBlocks } from '../lib/extract.mjs';
+import { tempDir, markdown } from './helpers.mjs';
+
+/**
+ * A validator stub that counts its calls
+ */
+function countingValidator() {
+    const validator = async (code) => {
+        validator.calls++;
+        return { valid: !code.includes('bad'), error: code.includes('bad') ? 'bad' : null, errorLocation: null, renderError: null, executionTime: 5 };
+    };
+    validator.calls = 0;
+    validator.mermaidVersion = '11.0.0';
+    validator.config = { theme: 'default' };
+    return validator;
+}
+
+test('cacheKey depends on code, mermaid version, config and render', () => {
+    const base = cacheKey('graph TD', '11.0.0', { theme: 'default' });
+    assert.equal(cacheKey('graph TD', '11.0.0', { theme: 'default' }), base);
+    assert.notEqual(cacheKey('graph LR', '11.0.0', { theme: 'default' }), base);
+    assert.notEqual(cacheKey('graph TD', '11.1.0', { theme: 'default' }), base);
+    assert.notEqual(cacheKey('graph TD', '11.0.0', { theme: 'dark' }), base);
+    assert.notEqual(cacheKey('graph TD', '11.0.0', { theme: 'default' }, true), base);
+});
+
+test('default cache directory is outside the working directory', () => {
+    assert.ok(path.isAbsolute(DEFAULT_CACHE_DIR));
+    assert.ok(!DEFAULT_CACHE_DIR.startsWith(process.cwd() + path.sep));
+});
+
+test('createCache round-trips entries and clearCache removes them', (t) => {
+    const dir = path.join(tempDir(t), 'cache');
+    const cache = createCache(dir);
+
+    assert.equal(cache.get('ab12'), null);
+    cache.set('ab12', { valid: true });
+    assert.deepEqual(createCache(dir).get('ab12'), { valid: true });
+
+    fs.writeFileSync(path.join(dir, 'ab', 'ab12.json'), '{not json');
+    assert.equal(cache.get('ab12'), null);
+
+    clearCache(dir);
+    assert.ok(!fs.existsSync(dir));
+});
+
+test('createMemoryCache drops the least recently used entry', () => {
+    const cache = createMemoryCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('b'), null);
+    assert.equal(cache.get('c'), 3);
+});
+
+test('withCache answers repeated diagrams from the cache', async () => {
+    const validator = countingValidator();
+    const cached = withCache(validator, createMemoryCache());
+
+    const first = await cached('graph TD\n  bad');
+    const second = await cached('graph TD\n  bad');
+    const rendered = await cached('graph TD\n  bad', { render: true });
+
+    assert.equal(validator.calls, 2);
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(second.executionTime, 0);
+    assert.equal(second.error, 'bad');
+    assert.equal(rendered.cached, false);
+    assert.equal(cached.mermaidVersion, '11.0.0');
+});
+
+test('block IDs follow content, not position', () => {
+    const [a, b] = extractMermaidBlocks(markdown('graph TD\n  A', 'graph TD\n  B'));
+    const [b2, a2, a3] = extractMermaidBlocks(markdown('graph TD\n  B', 'graph TD\n  A', 'graph TD\n  A'));
+
+    assert.equal(a2.id, a.id);
+    assert.equal(b2.id, b.id);
+    assert.equal(a3.id, `${a.id}-2`);
+});
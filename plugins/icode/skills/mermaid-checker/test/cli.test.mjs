@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { parseCliArgs } from '../lib/cli.mjs';
+import { defaultJobs } from '../lib/pool.mjs';
+import { resolveInputs, createIgnoreFilter } from '../lib/files.mjs';
+import { tempDir } from './helpers.mjs';
+
+test('parseCliArgs collects inputs from positionals and --dir', () => {
+    const args = parseCliArgs(['README.md', '--dir', 'docs', '-', '--ignore', 'a/**', '--ignore', 'b']);
+    assert.deepEqual(args.inputs, ['docs', 'README.md']);
+    assert.equal(args.stdin, true);
+    assert.deepEqual(args.ignore, ['a/**', 'b']);
+    assert.equal(args.cache, true);
+    assert.equal(args.jobs, 1);
+});
+
+test('parseCliArgs rejects unknown flags and bad values', () => {
+    assert.throws(() => parseCliArgs(['--qiuet']), /Unknown option '--qiuet'$/);
+    assert.throws(() => parseCliArgs(['--format']), /argument missing/);
+    assert.throws(() => parseCliArgs(['-j', '0']), /Invalid value for --jobs: 0/);
+    assert.throws(() => parseCliArgs(['--changed-blocks']), /requires --changed or --staged/);
+});
+
+test('--jobs and --changed take optional values', () => {
+    assert.equal(parseCliArgs(['-j', 'docs']).jobs, defaultJobs());
+    assert.deepEqual(parseCliArgs(['-j', 'docs']).inputs, ['docs']);
+    assert.equal(parseCliArgs(['--jobs', '3']).jobs, 3);
+
+    assert.equal(parseCliArgs(['--changed', 'main']).changed, 'main');
+    assert.equal(parseCliArgs(['--changed', '-q']).changed, 'HEAD');
+    // An existing path is an input, not a ref
+    assert.deepEqual(parseCliArgs(['--changed', '.']), parseCliArgs(['--changed=HEAD', '.']));
+});
+
+test('resolveInputs expands directories and globs and applies ignore rules', async (t) => {
+    const dir = tempDir(t, {
+        '.gitignore': 'build/\n',
+        'README.md': '',
+        'notes.txt': '',
+        'docs/a.md': '',
+        'docs/b.adoc': '',
+        'docs/.mermaidcheckignore': 'draft-*.md\n',
+        'docs/draft-1.md': '',
+        'docs/deep/c.mmd': '',
+        'build/out.md': '',
+        'node_modules/pkg/README.md': ''
+    });
+    fs.mkdirSync(path.join(dir, '.git'));
+    const isIgnored = createIgnoreFilter({ cwd: dir, patterns: ['**/b.adoc'] });
+    const relative = files => files.map(file => path.relative(dir, file).split(path.sep).join('/'));
+
+    const flat = await resolveInputs(['docs', 'notes.txt', 'missing.md', '*.nothing'], { cwd: dir, isIgnored });
+    assert.deepEqual(relative(flat.files), ['docs/a.md', 'notes.txt']);
+    assert.deepEqual(flat.missing, ['missing.md']);
+    assert.deepEqual(flat.unmatched, ['*.nothing']);
+
+    const deep = await resolveInputs(['.'], { cwd: dir, recursive: true, isIgnored });
+    assert.deepEqual(relative(deep.files), ['README.md', 'docs/a.md', 'docs/deep/c.mmd']);
+
+    const unfiltered = createIgnoreFilter({ cwd: dir, useIgnoreFiles: false });
+    assert.equal(unfiltered(path.join(dir, 'build/out.md')), false);
+    assert.equal(unfiltered(path.join(dir, 'node_modules/pkg/README.md')), true);
+});
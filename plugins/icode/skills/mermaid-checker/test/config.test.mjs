@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createConfigLoader, readConfigFile, isIncluded, mergeConfig } from '../lib/config.mjs';
+import { checkFile } from '../lib/check.mjs';
+import { tempDir, markdown } from './helpers.mjs';
+
+test('nearer configs override their parents and root stops the search', (t) => {
+    const dir = tempDir(t, {
+        '.mermaidcheckrc': 'root: true\nmermaid:\n  theme: dark\n  flowchart:\n    curve: basis\ninclude: ["docs/**"]\nrules:\n  lint/no-orphan-nodes: error\n',
+        'docs/api/.mermaidcheckrc.json': '{ "mermaid": { "flowchart": { "htmlLabels": false } }, "exclude": ["old/**"], "format": "json" }',
+        'other/package.json': '{ "name": "x" }',
+        'nested/package.json': '{ "mermaidCheck": { "root": true, "rules": { "lint/no-orphan-nodes": "off" } } }'
+    });
+    const loader = createConfigLoader();
+
+    const api = loader.forFile(path.join(dir, 'docs/api/guide.md'));
+    assert.deepEqual(api.mermaid, { theme: 'dark', flowchart: { curve: 'basis', htmlLabels: false } });
+    assert.equal(api.format, 'json');
+    assert.equal(api.rules['lint/no-orphan-nodes'], 'error');
+    assert.equal(api.files.length, 2);
+
+    assert.ok(isIncluded(api, path.join(dir, 'docs/api/guide.md')));
+    assert.ok(!isIncluded(api, path.join(dir, 'docs/api/old/guide.md')));
+    assert.ok(!isIncluded(api, path.join(dir, 'README.md')));
+
+    // A package.json without the key does not count
+    assert.equal(loader.forFile(path.join(dir, 'other/a.md')).files.length, 1);
+    const nested = loader.forFile(path.join(dir, 'nested/a.md'));
+    assert.deepEqual(nested.mermaid, {});
+    assert.equal(nested.include, null);
+});
+
+test('invalid config files are rejected with the offending key', (t) => {
+    const dir = tempDir(t, {
+        'unknown.json': '{ "mermiad": {} }',
+        'severity.json': '{ "rules": { "lint/no-orphan-nodes": "fatal" } }',
+        'format.json': '{ "format": "xml" }',
+        'rule.json': '{ "rules": { "no-unused-classdef": "warn" } }',
+        'typo.json': '{ "rules": { "lint/no-orphan-node": "off" } }',
+        'broken.json': '{'
+    });
+    assert.throws(() => readConfigFile(path.join(dir, 'unknown.json')), /unknown key "mermiad"/);
+    assert.throws(() => readConfigFile(path.join(dir, 'severity.json')), /"rules" must map rule IDs/);
+    assert.throws(() => readConfigFile(path.join(dir, 'format.json')), /"format" must be one of/);
+    assert.throws(() => readConfigFile(path.join(dir, 'rule.json')), /unknown rule "no-unused-classdef" in "rules"; did you mean "lint\/no-unused-classdef"\?/);
+    assert.throws(() => readConfigFile(path.join(dir, 'typo.json')), /unknown rule "lint\/no-orphan-node" in "rules"$/);
+    assert.throws(() => readConfigFile(path.join(dir, 'broken.json')), /Cannot parse config/);
+});
+
+test('mergeConfig merges objects and replaces arrays', () => {
+    assert.deepEqual(
+        mergeConfig({ a: { b: 1, c: [1] }, d: 1 }, { a: { c: [2] }, e: 2 }),
+        { a: { b: 1, c: [2] }, d: 1, e: 2 }
+    );
+});
+
+test('rule severities from the config apply to file checks', async (t) => {
+    const dir = tempDir(t, {
+        '.mermaidcheckrc.json': '{ "root": true, "rules": { "lint/no-unused-classdef": "error" } }',
+        'a.md': markdown('graph TD\n  A --> B\n  classDef unused fill:#f00')
+    });
+    const result = await checkFile(path.join(dir, 'a.md'));
+    assert.equal(result.invalidCount, 1);
+    assert.equal(result.diagrams[0].issues[0].ruleId, 'lint/no-unused-classdef');
+    assert.equal(result.diagrams[0].issues[0].severity, 'error');
+});
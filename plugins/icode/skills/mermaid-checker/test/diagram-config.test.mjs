@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDiagramConfig } from '../lib/diagram-config.mjs';
+
+const brief = issues => issues.map(({ ruleId, position }) => [ruleId, position.line, position.column]);
+
+test('frontmatter config is checked against the schema at the offending key', () => {
+    const code = [
+        '---',
+        'config:',
+        '  theme: darkk',
+        '  flowchart:',
+        '    curv: basis',
+        'foo: 1',
+        '---',
+        'graph TD',
+        '  A'
+    ].join('\n');
+    const issues = checkDiagramConfig(code);
+
+    assert.deepEqual(brief(issues), [
+        ['config/invalid-value', 3, 10],
+        ['config/unknown-key', 5, 5],
+        ['config/unknown-key', 6, 1]
+    ]);
+    assert.match(issues[1].message, /"flowchart.curv"; did you mean "curve"\?/);
+});
+
+test('directives report secure keys, unknown types and bad JSON', () => {
+    const code = "%%{init: {'securityLevel': 'loose'}}%%\n%%{wrapp}%%\n%%{init: {bad json}}%%\ngraph TD";
+    assert.deepEqual(brief(checkDiagramConfig(code)), [
+        ['config/secure-key', 1, 11],
+        ['config/unknown-directive', 2, 4],
+        ['config/syntax', 3, 11]
+    ]);
+});
+
+test('valid config produces no issues', () => {
+    const code = '---\ntitle: Flow\nconfig:\n  theme: forest\n---\n%%{init: {"flowchart": {"curve": "basis"}}}%%\ngraph TD\n  A --> B';
+    assert.deepEqual(checkDiagramConfig(code), []);
+});
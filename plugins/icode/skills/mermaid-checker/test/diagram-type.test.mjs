@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDiagramType, listDiagramTypes, validateDiagram } from '../lib/check.mjs';
+
+test('types come from mermaid detectors, past frontmatter and directives', async () => {
+    assert.equal(await detectDiagramType('---\ntitle: x\n---\n%%{init: {}}%%\n%% note\nflowchart LR\n  A'), 'flowchart');
+    assert.equal(await detectDiagramType('graph TD\n  A'), 'flowchart');
+    assert.equal(await detectDiagramType('stateDiagram-v2\n  [*] --> A'), 'state');
+    assert.equal(await detectDiagramType('C4Context\n  title x'), 'c4');
+    assert.equal(await detectDiagramType('sequenceDiagram\n  A->>B: hi'), 'sequence');
+    assert.equal(await detectDiagramType('flowchat TD\n  A'), 'unknown');
+});
+
+test('listDiagramTypes groups keyword variants under one type', async () => {
+    const types = await listDiagramTypes();
+    const flowchart = types.find(entry => entry.type === 'flowchart');
+    assert.deepEqual(flowchart.keywords.slice(0, 2), ['flowchart', 'graph']);
+    assert.ok(types.some(entry => entry.type === 'gantt'));
+    assert.equal(new Set(types.map(entry => entry.type)).size, types.length);
+});
+
+test('an unknown keyword is reported at the keyword', async () => {
+    const result = await validateDiagram('%% comment\n  flowchat TD\n  A');
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Unknown diagram type "flowchat": no Mermaid diagram starts with this keyword');
+    assert.deepEqual(result.errorLocation, { line: 2, column: 3 });
+});
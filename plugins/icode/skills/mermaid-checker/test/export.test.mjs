@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { exportFile, writeManifest, MANIFEST_VERSION } from '../lib/export.mjs';
+import { tempDir, markdown } from './helpers.mjs';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/render.mjs', import.meta.url));
+const VALID = 'graph TD\n  A --> B';
+
+test('valid diagrams are written as SVGs mirroring the source tree', async (t) => {
+    const dir = tempDir(t, { 'docs/README.md': markdown(VALID, 'graph TD\n  A -->') });
+    const outDir = path.join(dir, 'out');
+
+    const diagrams = await exportFile(path.join(dir, 'docs/README.md'), { outDir, root: dir, config: false });
+
+    assert.deepEqual(diagrams.map(({ source, status, svg }) => ({ source, status, svg })), [
+        { source: 'docs/README.md', status: 'exported', svg: 'docs/README.md_block0_flowchart.svg' },
+        { source: 'docs/README.md', status: 'invalid', svg: null }
+    ]);
+    assert.match(diagrams[1].error, /Parse error/);
+    const svg = fs.readFileSync(path.join(outDir, 'docs/README.md_block0_flowchart.svg'), 'utf-8');
+    assert.match(svg, new RegExp(`^<svg[^>]* id="mermaid-${diagrams[0].id}"`));
+});
+
+test('same-named files outside the root do not overwrite each other', async (t) => {
+    const dir = tempDir(t, {
+        'a/doc.md': markdown(VALID),
+        'b/doc.md': markdown('graph LR\n  C --> D')
+    });
+    const root = path.join(dir, 'site');
+    const outDir = path.join(root, 'out');
+
+    const [a] = await exportFile(path.join(dir, 'a/doc.md'), { outDir, root, config: false });
+    const [b] = await exportFile(path.join(dir, 'b/doc.md'), { outDir, root, config: false });
+
+    assert.equal(a.source, '../a/doc.md');
+    assert.equal(b.source, '../b/doc.md');
+    assert.match(a.svg, /^_external\/a-[0-9a-f]{8}\/doc\.md_block0_flowchart\.svg$/);
+    assert.match(b.svg, /^_external\/b-[0-9a-f]{8}\/doc\.md_block0_flowchart\.svg$/);
+    assert.notEqual(
+        fs.readFileSync(path.join(outDir, a.svg), 'utf-8'),
+        fs.readFileSync(path.join(outDir, b.svg), 'utf-8')
+    );
+});
+
+test('files that differ only in extension get their own SVGs', async (t) => {
+    const dir = tempDir(t, {
+        'docs/doc.md': markdown(VALID),
+        'docs/doc.mdx': markdown('graph LR\n  C --> D')
+    });
+    const outDir = path.join(dir, 'out');
+
+    const [md] = await exportFile(path.join(dir, 'docs/doc.md'), { outDir, root: dir, config: false });
+    const [mdx] = await exportFile(path.join(dir, 'docs/doc.mdx'), { outDir, root: dir, config: false });
+
+    assert.equal(md.svg, 'docs/doc.md_block0_flowchart.svg');
+    assert.equal(mdx.svg, 'docs/doc.mdx_block0_flowchart.svg');
+    assert.match(fs.readFileSync(path.join(outDir, md.svg), 'utf-8'), new RegExp(`id="mermaid-${md.id}"`));
+    assert.match(fs.readFileSync(path.join(outDir, mdx.svg), 'utf-8'), new RegExp(`id="mermaid-${mdx.id}"`));
+});
+
+test('writeManifest makes SVG paths relative to the manifest', (t) => {
+    const dir = tempDir(t);
+    const manifest = writeManifest(path.join(dir, 'meta/manifest.json'), [{ source: 'a.md', svg: 'a_block0_flowchart.svg' }], {
+        outDir: path.join(dir, 'svg'),
+        mermaidVersion: '11.0.0'
+    });
+    assert.deepEqual(manifest, {
+        version: MANIFEST_VERSION,
+        mermaidVersion: '11.0.0',
+        diagrams: [{ source: 'a.md', svg: '../svg/a_block0_flowchart.svg' }],
+        errors: []
+    });
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'meta/manifest.json'), 'utf-8')), manifest);
+});
+
+test('render.mjs records files it cannot export and still writes the manifest', (t) => {
+    const dir = tempDir(t, {
+        'good.md': markdown(VALID),
+        'broken.ipynb': '{ not json'
+    });
+    const run = spawnSync(process.execPath, [SCRIPT, 'broken.ipynb', 'good.md', '--out-dir', 'out'], { cwd: dir, encoding: 'utf-8' });
+
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, /broken\.ipynb: Invalid notebook JSON/);
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'out/manifest.json'), 'utf-8'));
+    assert.deepEqual(manifest.diagrams.map(diagram => [diagram.source, diagram.status]), [['good.md', 'exported']]);
+    assert.equal(manifest.errors.length, 1);
+    assert.equal(manifest.errors[0].source, 'broken.ipynb');
+    assert.match(manifest.errors[0].error, /^Invalid notebook JSON/);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractMermaidBlocks, blockFileName } from '../lib/extract.mjs';
+
+test('tilde fences with attributes close only on a matching fence', () => {
+    const [block] = extractMermaidBlocks('~~~~ mermaid title="x"\ngraph TD\n```\n~~~~\n');
+    assert.equal(block.code, 'graph TD\n```');
+    assert.equal(block.lineStart, 1);
+    assert.equal(block.codeStart, 2);
+    assert.equal(block.fenceError, null);
+});
+
+test('a mermaid fence inside another code block is not a diagram', () => {
+    assert.deepEqual(extractMermaidBlocks('````md\n```mermaid\ngraph TD\n```\n````\n'), []);
+});
+
+test('blockquote and list markers are stripped with their offsets', () => {
+    const [quoted] = extractMermaidBlocks('> ```mermaid\n> graph TD\n>   A\n> ```\n');
+    assert.equal(quoted.code, 'graph TD\n  A');
+    assert.deepEqual(quoted.columnOffsets, [2, 2]);
+
+    const [listed] = extractMermaidBlocks('- item\n\n  ```mermaid\n  graph TD\n  ```\n');
+    assert.equal(listed.code, 'graph TD');
+    assert.equal(listed.lineStart, 3);
+    assert.deepEqual(listed.columnOffsets, [2]);
+});
+
+test('CRLF line endings are accepted', () => {
+    const [block] = extractMermaidBlocks('```mermaid\r\ngraph TD\r\n```\r\n');
+    assert.equal(block.code, 'graph TD');
+});
+
+test('an unclosed fence is returned with a fenceError', () => {
+    const [block] = extractMermaidBlocks('text\n```mermaid\ngraph TD\n  A\n');
+    assert.equal(block.lineStart, 2);
+    assert.match(block.fenceError, /opened on line 2 is never closed/);
+});
+
+test('blockFileName names blocks by source file, index and type', () => {
+    const [block] = extractMermaidBlocks('```mermaid\ngraph TD\n```\n');
+    assert.equal(blockFileName('docs/README.md', block, 'flowchart'), 'README_block0_flowchart.mmd');
+    assert.equal(blockFileName('docs/README.md', block, 'flowchart', '.svg', { keepExtension: true }), 'README.md_block0_flowchart.svg');
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fixDiagram, fixContent, fixFile } from '../lib/fix.mjs';
+import { unifiedDiff } from '../lib/diff.mjs';
+import { tempDir, markdown } from './helpers.mjs';
+
+test('flowchart fixes quote labels, rename end nodes and clean up styles', () => {
+    const code = [
+        'flowchart TD',
+        '    A[开始（准备）] --> end',
+        '    end --> B[Save: draft]',
+        '    B -->|ok (1)| C["fine"]',
+        '    style C fill:#f9f;stroke:#333'
+    ].join('\n');
+    assert.deepEqual(fixDiagram(code, 'flowchart'), {
+        code: [
+            'flowchart TD',
+            '    A["开始（准备）"] --> End',
+            '    End --> B["Save: draft"]',
+            '    B -->|"ok (1)"| C["fine"]',
+            '    style C fill:#f9f,stroke:#333'
+        ].join('\n'),
+        fixes: ['quote-labels', 'rename-end-node', 'stray-semicolons']
+    });
+});
+
+test('end is renamed to an ID the diagram does not use yet', () => {
+    const { code } = fixDiagram('flowchart TD\n  End --> end', 'flowchart');
+    assert.equal(code, 'flowchart TD\n  End --> END');
+});
+
+test('a subgraph end followed by a comment is left alone', () => {
+    const code = [
+        'flowchart TD',
+        '  subgraph S [Stage (1)]',
+        '    A --> end %% the end node',
+        '  end %% close',
+        '  end;'
+    ].join('\n');
+    assert.deepEqual(fixDiagram(code, 'flowchart'), {
+        code: [
+            'flowchart TD',
+            '  subgraph S ["Stage (1)"]',
+            '    A --> End %% the end node',
+            '  end %% close',
+            '  end;'
+        ].join('\n'),
+        fixes: ['quote-labels', 'rename-end-node']
+    });
+});
+
+test('trailing semicolons are only removed where they break parsing', () => {
+    assert.equal(fixDiagram('classDiagram\n  A <|-- B;\n  note for A "x;"', 'class').code, 'classDiagram\n  A <|-- B\n  note for A "x;"');
+    assert.deepEqual(fixDiagram('sequenceDiagram\n  A->>B: hi;', 'sequence').fixes, []);
+    assert.equal(fixDiagram('pie\n  "a" : 1<br>', 'pie').code, 'pie\n  "a" : 1<br/>');
+});
+
+test('fixContent writes fixed blocks back inside their containers', async () => {
+    const content = '# T\r\n\r\n> ```mermaid\r\n> flowchart TD\r\n>   A[x (y)] --> end\r\n> ```\r\n';
+    const result = await fixContent(content, { filePath: 'a.md' });
+    assert.equal(result.changed, true);
+    assert.equal(result.content, '# T\r\n\r\n> ```mermaid\r\n> flowchart TD\r\n>   A["x (y)"] --> End\r\n> ```\r\n');
+    assert.deepEqual(result.blocks, [{ index: 0, line: 3, fixes: ['quote-labels', 'rename-end-node'], status: 'fixed', error: null }]);
+});
+
+test('a block that still fails to parse is left as it was', async () => {
+    const content = markdown('flowchart TD\n  A[x (y)] --> B(');
+    const result = await fixContent(content, { filePath: 'a.md' });
+    assert.equal(result.changed, false);
+    assert.equal(result.content, content);
+    assert.equal(result.blocks[0].status, 'unparsed');
+    assert.match(result.blocks[0].error, /Parse error/);
+});
+
+test('fixFile writes the file unless asked not to, and returns a diff', async (t) => {
+    const dir = tempDir(t, { 'a.md': markdown('flowchart TD\n  A --> end') });
+    const file = path.join(dir, 'a.md');
+
+    const dryRun = await fixFile(file, { config: false, write: false });
+    assert.match(dryRun.diff, /^-  A --> end\n\+  A --> End$/m);
+    assert.match(fs.readFileSync(file, 'utf-8'), /A --> end/);
+
+    await fixFile(file, { config: false });
+    assert.match(fs.readFileSync(file, 'utf-8'), /A --> End/);
+});
+
+test('unifiedDiff matches diff -u hunks', () => {
+    assert.equal(unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', { fromFile: 'a/x', toFile: 'b/x' }), [
+        '--- a/x',
+        '+++ b/x',
+        '@@ -1,3 +1,3 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c',
+        ''
+    ].join('\n'));
+    assert.equal(unifiedDiff('a\n', 'a\n'), '');
+});
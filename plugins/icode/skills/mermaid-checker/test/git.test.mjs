@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { changedFiles, readStaged, installPreCommitHook, HOOK_MARKER } from '../lib/git.mjs';
+import { tempDir, markdown } from './helpers.mjs';
+
+const CLI = fileURLToPath(new URL('../mermaid-check.mjs', import.meta.url));
+
+// Configuration passed through the environment (e.g. core.hooksPath) would
+// override the test repositories' own
+for (const name of Object.keys(process.env).filter(key => key.startsWith('GIT_CONFIG_'))) {
+    delete process.env[name];
+}
+
+/**
+ * A git repository with `files` committed
+ */
+function repo(t, files) {
+    const dir = tempDir(t, files);
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+        cwd: dir,
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'initial');
+    return { dir, git };
+}
+
+test('changedFiles lists changed line ranges and untracked files', (t) => {
+    const { dir } = repo(t, { 'a.md': 'one\ntwo\nthree\nfour\n', 'b.md': 'keep\ndrop\n' });
+    fs.writeFileSync(path.join(dir, 'a.md'), 'one\nTWO\nthree\nfour\nfive\nsix\n');
+    fs.writeFileSync(path.join(dir, 'b.md'), 'keep\n');
+    fs.writeFileSync(path.join(dir, 'new.md'), 'new\n');
+
+    assert.deepEqual(changedFiles({ cwd: dir }), [
+        { filePath: path.join(dir, 'a.md'), ranges: [[2, 2], [5, 6]] },
+        { filePath: path.join(dir, 'b.md'), ranges: [[1, 2]] },
+        { filePath: path.join(dir, 'new.md'), ranges: null }
+    ]);
+});
+
+test('staged mode compares the index and reads staged content', (t) => {
+    const { dir, git } = repo(t, { 'a.md': 'one\ntwo\n' });
+    fs.writeFileSync(path.join(dir, 'a.md'), 'one\nstaged\n');
+    git('add', 'a.md');
+    fs.writeFileSync(path.join(dir, 'a.md'), 'unstaged\nstaged\n');
+    fs.writeFileSync(path.join(dir, 'new.md'), 'new\n');
+
+    assert.deepEqual(changedFiles({ cwd: dir, staged: true }), [
+        { filePath: path.join(dir, 'a.md'), ranges: [[2, 2]] }
+    ]);
+    assert.equal(readStaged(path.join(dir, 'a.md')), 'one\nstaged\n');
+});
+
+test('changedFiles rejects unknown refs and non-repositories', (t) => {
+    const { dir } = repo(t, { 'a.md': 'one\n' });
+    assert.throws(() => changedFiles({ cwd: dir, ref: 'no-such-ref' }), /git diff failed/);
+    assert.throws(() => changedFiles({ cwd: tempDir(t) }), /git rev-parse failed/);
+});
+
+test('installPreCommitHook replaces its own hook but not a foreign one', (t) => {
+    const { dir, git } = repo(t, { 'a.md': 'one\n' });
+    const hookPath = installPreCommitHook('node check.mjs --staged', { cwd: dir });
+    assert.equal(hookPath, path.join(dir, '.git', 'hooks', 'pre-commit'));
+    assert.equal(fs.readFileSync(hookPath, 'utf-8'), `#!/bin/sh\n${HOOK_MARKER}\nexec node check.mjs --staged\n`);
+    assert.equal(fs.statSync(hookPath).mode & 0o111, 0o111);
+
+    installPreCommitHook('node check.mjs --staged --changed-blocks', { cwd: dir });
+    assert.match(fs.readFileSync(hookPath, 'utf-8'), /--changed-blocks/);
+
+    fs.writeFileSync(hookPath, '#!/bin/sh\nmake lint\n');
+    assert.throws(() => installPreCommitHook('node check.mjs', { cwd: dir }), /already exists; use --force/);
+    assert.equal(fs.readFileSync(hookPath, 'utf-8'), '#!/bin/sh\nmake lint\n');
+    installPreCommitHook('node check.mjs', { cwd: dir, force: true });
+    assert.match(fs.readFileSync(hookPath, 'utf-8'), /exec node check\.mjs\n$/);
+
+    git('config', 'core.hooksPath', '/dev/null');
+    assert.throws(() => installPreCommitHook('node check.mjs', { cwd: dir }), /is not a directory/);
+});
+
+test('--staged --changed-blocks only checks diagrams touched by the change', (t) => {
+    const broken = 'graph TD\n  A -->';
+    const { dir, git } = repo(t, { 'doc.md': markdown(broken, 'graph TD\n  A --> B') });
+    fs.writeFileSync(path.join(dir, 'doc.md'), markdown(broken, 'graph TD\n  A --> C'));
+    git('add', 'doc.md');
+
+    const run = (...args) => spawnSync(process.execPath, [CLI, '--no-config', ...args], { cwd: dir, encoding: 'utf-8' });
+    assert.equal(run('--staged', '--changed-blocks').status, 0);
+    assert.equal(run('--staged').status, 1);
+});
@@ -0,0 +1,32 @@
+/**
+ * Shared test helpers
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Create a temporary directory with the given files, removed after the test
+ * @param {import('node:test').TestContext} t
+ * @param {Object<string, string>} [files] - Contents by relative path
+ * @returns {string} - Directory path
+ */
+export function tempDir(t, files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mermaid-check-test-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content, 'utf-8');
+    }
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * A Markdown document with one Mermaid fence per diagram
+ * @param {...string} diagrams
+ * @returns {string}
+ */
+export function markdown(...diagrams) {
+    return diagrams.map(code => '```mermaid\n' + code + '\n```\n').join('\n');
+}
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tempDir, markdown } from './helpers.mjs';
+
+const HOOK = fileURLToPath(new URL('../../../hooks/validate-edit.mjs', import.meta.url));
+
+/**
+ * Run the PostToolUse hook with a payload
+ * @returns {{ status: number, output: Object|null, stderr: string }}
+ */
+function runHook(payload) {
+    const result = spawnSync(process.execPath, [HOOK], {
+        input: typeof payload === 'string' ? payload : JSON.stringify(payload),
+        encoding: 'utf-8',
+        timeout: 60000
+    });
+    const stdout = result.stdout.trim();
+    return { status: result.status, output: stdout ? JSON.parse(stdout) : null, stderr: result.stderr };
+}
+
+const edit = (cwd, filePath, toolName = 'Edit') => ({
+    hook_event_name: 'PostToolUse',
+    tool_name: toolName,
+    tool_input: { file_path: filePath },
+    cwd
+});
+
+test('a broken diagram blocks with the report', (t) => {
+    const dir = tempDir(t, { 'docs/a.md': markdown('graph TD\n  A -->') });
+    const { status, output } = runHook(edit(dir, 'docs/a.md'));
+    assert.equal(status, 0);
+    assert.equal(output.decision, 'block');
+    assert.match(output.reason, /^docs\/a\.md 中有 1 个 Mermaid 图未通过检查/);
+});
+
+test('warnings are passed on as additional context', (t) => {
+    const dir = tempDir(t, { 'a.md': markdown('graph TD\n  A --> B\n  classDef unused fill:#f00') });
+    const { output } = runHook(edit(dir, path.join(dir, 'a.md'), 'Write'));
+    assert.equal(output.decision, undefined);
+    assert.equal(output.hookSpecificOutput.hookEventName, 'PostToolUse');
+    assert.match(output.hookSpecificOutput.additionalContext, /classDef "unused" is never applied/);
+});
+
+test('valid, ignored, missing and unsupported files produce no output', (t) => {
+    const dir = tempDir(t, {
+        'ok.md': markdown('graph TD\n  A --> B'),
+        'vendor/bad.md': markdown('graph TD\n  A -->'),
+        '.mermaidcheckignore': 'vendor/\n',
+        'notes.txt': 'graph TD\n  A -->\n'
+    });
+    for (const file of ['ok.md', 'vendor/bad.md', 'missing.md', 'notes.txt']) {
+        const { status, output } = runHook(edit(dir, file));
+        assert.equal(status, 0, file);
+        assert.equal(output, null, file);
+    }
+});
+
+test('notebook edits are checked through notebook_path', (t) => {
+    const notebook = { cells: [{ cell_type: 'markdown', source: ['```mermaid\n', 'graph TD\n', '  A -->\n', '```\n'] }] };
+    const dir = tempDir(t, { 'nb.ipynb': JSON.stringify(notebook) });
+    const { output } = runHook({ tool_name: 'NotebookEdit', tool_input: { notebook_path: 'nb.ipynb' }, cwd: dir });
+    assert.equal(output.decision, 'block');
+});
+
+test('Python files are compiled without leaving __pycache__', (t) => {
+    const dir = tempDir(t, { 'ok.py': 'x = 1\n', 'bad.py': 'def f(:\n' });
+    const ok = runHook(edit(dir, 'ok.py'));
+    if (/未找到 python3/.test(ok.stderr)) {
+        t.skip('python is not installed');
+        return;
+    }
+    assert.equal(ok.output, null);
+
+    const { output } = runHook(edit(dir, 'bad.py'));
+    assert.equal(output.decision, 'block');
+    assert.match(output.reason, /^bad\.py 未通过 python -m py_compile/);
+    assert.match(output.reason, /SyntaxError/);
+    assert.equal(fs.existsSync(path.join(dir, '__pycache__')), false);
+});
+
+test('an unreadable payload does not block', () => {
+    const { status, output, stderr } = runHook('not json');
+    assert.equal(status, 0);
+    assert.equal(output, null);
+    assert.match(stderr, /无法解析 hook 输入/);
+});
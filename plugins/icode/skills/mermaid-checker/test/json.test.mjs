@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createReporter } from '../lib/reporters/index.mjs';
+import { REPORT_SCHEMA_VERSION } from '../lib/reporters/json.mjs';
+import { checkContent } from '../lib/check.mjs';
+import { markdown } from './helpers.mjs';
+
+const CWD = path.resolve('/work/project');
+const SCHEMA = JSON.parse(fs.readFileSync(new URL('../schemas/report.v1.schema.json', import.meta.url), 'utf-8'));
+
+/**
+ * Run a reporter over the given file results and errors
+ */
+function report(format, files, errors = []) {
+    let output = '';
+    const reporter = createReporter(format, { write: text => { output += text; }, cwd: CWD });
+    files.forEach(file => reporter.file(file));
+    errors.forEach(([filePath, message]) => reporter.error(filePath, message));
+    reporter.end();
+    return output;
+}
+
+/**
+ * Assert an object has every key the schema definition requires
+ */
+function assertRequired(object, definition) {
+    for (const key of SCHEMA.$defs[definition].required) {
+        assert.ok(key in object, `${definition} is missing "${key}"`);
+    }
+}
+
+async function sampleFile() {
+    return checkContent(markdown('graph TD\n  A --> B', 'graph TD\n  A -->'), {
+        filePath: path.join(CWD, 'docs/a.md'),
+        config: false
+    });
+}
+
+test('json writes one document with the schema-required fields', async () => {
+    const doc = JSON.parse(report('json', [await sampleFile()], [[path.join(CWD, 'gone.md'), 'ENOENT']]));
+
+    assert.equal(doc.schemaVersion, REPORT_SCHEMA_VERSION);
+    SCHEMA.required.forEach(key => assert.ok(key in doc));
+    assertRequired(doc.tool, 'tool');
+    assertRequired(doc.summary, 'summary');
+
+    const [file, missing] = doc.files;
+    assertRequired(file, 'file');
+    assert.equal(file.path, 'docs/a.md');
+    assert.equal(file.status, 'failed');
+    file.diagrams.forEach(diagram => assertRequired(diagram, 'diagram'));
+    assertRequired(file.diagrams[1].error, 'diagramError');
+    assert.deepEqual(file.diagrams[1].error.location, { line: 8, column: 4 });
+
+    assert.equal(missing.status, 'error');
+    assert.equal(missing.error, 'ENOENT');
+    assert.deepEqual(doc.summary, {
+        files: 2,
+        filesWithErrors: 2,
+        totalDiagrams: 2,
+        validCount: 1,
+        invalidCount: 1,
+        cacheHits: 0,
+        totalTime: file.totalTime,
+        passed: false
+    });
+});
+
+test('ndjson streams start, file and summary records', async () => {
+    const records = report('ndjson', [await sampleFile()]).trim().split('\n').map(line => JSON.parse(line));
+
+    assert.deepEqual(records.map(record => record.type), ['start', 'file', 'summary']);
+    assert.equal(records[0].schemaVersion, REPORT_SCHEMA_VERSION);
+    assert.equal(records[1].path, 'docs/a.md');
+    assert.equal(records[2].passed, false);
+});
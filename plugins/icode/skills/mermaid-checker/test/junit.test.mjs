@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createReporter } from '../lib/reporters/index.mjs';
+import { checkContent } from '../lib/check.mjs';
+import { markdown } from './helpers.mjs';
+
+const CWD = path.resolve('/work/project');
+
+/**
+ * Run the JUnit reporter over the given file results and errors
+ */
+function junit(files, errors = []) {
+    let output = '';
+    const reporter = createReporter('junit', { write: text => { output += text; }, cwd: CWD });
+    files.forEach(file => reporter.file(file));
+    errors.forEach(([filePath, message]) => reporter.error(filePath, message));
+    reporter.end();
+    return output;
+}
+
+test('one testsuite per file and one testcase per diagram', async () => {
+    const file = await checkContent(markdown(
+        'graph TD\n  A --> B',
+        'graph TD\n  A -->',
+        'graph TD\n  A --> B\n  classDef unused fill:#f00'
+    ), { filePath: path.join(CWD, 'docs/a.md'), config: false });
+    const xml = junit([file]);
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="mermaid-check" tests="3" failures="1" errors="0"/);
+    assert.match(xml, /<testsuite name="docs\/a.md" tests="3" failures="1"/);
+    assert.match(xml, /<testcase classname="docs\/a.md" name="flowchart \(line 1\)" time="[\d.]+"\/>/);
+    assert.match(xml, /<failure message="Parse error: [^"]*" type="[^"]+">[^<]*at docs\/a.md:8:4/);
+    // Warnings do not fail the testcase
+    assert.match(xml, /name="flowchart \(line 11\)"[^>]*>\n\s*<system-out>classDef &quot;unused&quot; is never applied\nat docs\/a.md:14:12/);
+});
+
+test('unreadable files are testsuites with an error', () => {
+    const xml = junit([], [[path.join(CWD, 'b<1>.md'), 'EACCES & more']]);
+    assert.match(xml, /<testsuites name="mermaid-check" tests="1" failures="0" errors="1"/);
+    assert.match(xml, /<testsuite name="b&lt;1&gt;.md"/);
+    assert.match(xml, /<error message="EACCES &amp; more"\/>/);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintDiagram } from '../lib/lint/index.mjs';
+import { validateDiagram } from '../lib/check.mjs';
+
+const brief = issues => issues.map(({ ruleId, message, position }) => [ruleId, message, position.line, position.column]);
+
+test('flowchart: style, class and click targets must exist', () => {
+    const code = [
+        'flowchart TD',
+        '  A[Start] --> B',
+        '  subgraph S',
+        '    C --> A',
+        '  end',
+        '  style Bx fill:#f9f',
+        '  class A,Cx hot',
+        '  click S call cb()',
+        '  classDef hot fill:#f00'
+    ].join('\n');
+    assert.deepEqual(brief(lintDiagram(code, 'flowchart')), [
+        ['lint/no-undeclared-target', 'style targets undeclared node "Bx"', 6, 9],
+        ['lint/no-undeclared-target', 'class targets undeclared node "Cx"', 7, 11]
+    ]);
+});
+
+test('flowchart: unused classDefs, relabelled nodes and orphans', () => {
+    const code = [
+        'flowchart TD',
+        '  A[Start] --> B',
+        '  A[Begin] --> C:::used',
+        '  D',
+        '  classDef used fill:#0f0',
+        '  classDef unused fill:#f00',
+        '  classDef default fill:#fff'
+    ].join('\n');
+    assert.deepEqual(brief(lintDiagram(code, 'flowchart')), [
+        ['lint/no-conflicting-labels', 'Node "A" already has label "Start"; this declaration relabels it "Begin"', 3, 3],
+        ['lint/no-orphan-nodes', 'Node "D" is not connected to anything', 4, 3],
+        ['lint/no-unused-classdef', 'classDef "unused" is never applied', 6, 12]
+    ]);
+});
+
+test('flowchart: edge IDs and edge metadata are not nodes', () => {
+    const code = [
+        'flowchart LR',
+        '  e2@{ animation: fast }',
+        '  A e1@--> B',
+        '  B e2@==> C & D',
+        '  e1@{ animate: true }',
+        '  E@{ shape: rect, label: "Orphan" }'
+    ].join('\n');
+    assert.deepEqual(brief(lintDiagram(code, 'flowchart')), [
+        ['lint/no-orphan-nodes', 'Node "E" is not connected to anything', 6, 3]
+    ]);
+});
+
+test('flowchart: unknown statements make whole-diagram rules stand down', () => {
+    const code = 'flowchart TD\n  A --> B\n  C\n  style X fill:#f00\n  accDescr {\n    multi-line description\n  }';
+    assert.deepEqual(lintDiagram(code, 'flowchart'), []);
+});
+
+test('class: relation endpoints declare their classes', () => {
+    const code = [
+        'classDiagram',
+        '  class TensorBase {',
+        '    +Shape shape',
+        '  }',
+        '  class Orphan',
+        '  TensorBase <|-- TensorOwned',
+        '  TensorOwned *-- Memory',
+        '  style Tensr fill:#9f9',
+        '  cssClass "TensorOwned,Memry" hot',
+        '  note for Memory "pooled"',
+        '  classDef hot fill:#f00'
+    ].join('\n');
+    assert.deepEqual(brief(lintDiagram(code, 'class')), [
+        ['lint/no-orphan-nodes', 'Class "Orphan" is not connected to anything', 5, 9],
+        ['lint/no-undeclared-target', 'style targets undeclared class "Tensr"', 8, 9],
+        ['lint/no-undeclared-target', 'cssClass targets undeclared class "Memry"', 9, 25]
+    ]);
+});
+
+test('lint findings are warnings unless the project raises them', async () => {
+    const code = 'flowchart TD\n  A[One] --> B\n  A[Two] --> C\n  style id3 fill:#f9f';
+    const result = await validateDiagram(code);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.issues.map(({ ruleId, severity }) => [ruleId, severity]), [
+        ['lint/no-conflicting-labels', 'warning'],
+        ['lint/no-undeclared-target', 'warning']
+    ]);
+
+    const strict = await validateDiagram(code, { rules: { 'lint/no-undeclared-target': 'error' } });
+    assert.equal(strict.valid, false);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { locateDiagramError, parseErrorPosition, toSourcePosition, formatCodeFrame } from '../lib/location.mjs';
+import { checkContent } from '../lib/check.mjs';
+
+/**
+ * A Jison-style parse error at a 1-based line and 0-based column
+ */
+function jisonError(line, column) {
+    return { message: `Parse error on line ${line}:`, hash: { loc: { first_line: line, first_column: column } } };
+}
+
+test('parseErrorPosition reads Jison locations and Langium messages', () => {
+    assert.deepEqual(parseErrorPosition(jisonError(2, 4)), { line: 2, column: 5 });
+    assert.deepEqual(parseErrorPosition(new Error('Expecting token at line 3, column 7')), { line: 3, column: 7 });
+    assert.deepEqual(parseErrorPosition(new Error('Parse error on line 4:')), { line: 4, column: 1 });
+    assert.equal(parseErrorPosition(new Error('No diagram type detected')), null);
+});
+
+test('locateDiagramError skips frontmatter, directives and comments', () => {
+    const code = [
+        '---',
+        'title: x',
+        '---',
+        '%%{init: {"theme": "dark"}}%%',
+        '%% a comment',
+        '  graph TD',
+        '  A --> B(',
+    ].join('\n');
+    // Mermaid sees "graph TD\n  A --> B(" and reports line 2
+    assert.deepEqual(locateDiagramError(jisonError(2, 10), code), { line: 7, column: 11 });
+    // The first line is trimmed before parsing
+    assert.deepEqual(locateDiagramError(jisonError(1, 0), code), { line: 6, column: 3 });
+});
+
+test('errors past the end point after the last character', () => {
+    assert.deepEqual(locateDiagramError(jisonError(3, 0), 'graph TD\n  A -->'), { line: 2, column: 8 });
+});
+
+test('toSourcePosition adds the block start and stripped prefixes', () => {
+    const block = { codeStart: 10, columnOffsets: [2, 4] };
+    assert.deepEqual(toSourcePosition(block, { line: 2, column: 3 }), { line: 11, column: 7 });
+});
+
+test('formatCodeFrame puts a caret under the column, keeping tabs', () => {
+    assert.equal(formatCodeFrame(['a', '\tB --> C('], { line: 2, column: 9 }), '2 | \tB --> C(\n  | \t       ^');
+    assert.equal(formatCodeFrame(['a'], { line: 5, column: 1 }), null);
+});
+
+test('parse errors in a blockquoted fence are reported at the file position', async () => {
+    const content = 'Intro\n\n> ```mermaid\n> graph TD\n>   A --> B(\n> ```\n';
+    const { diagrams: [block] } = await checkContent(content, { filePath: 'doc.md', config: false });
+    assert.equal(block.valid, false);
+    assert.equal(block.location.line, 5);
+    assert.match(block.codeFrame, /^5 \| >   A --> B\(/);
+});
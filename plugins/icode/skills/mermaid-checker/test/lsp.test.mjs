@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createLanguageServer, readMessages, writeMessage } from '../lib/lsp.mjs';
+import { getSharedValidator } from '../lib/validator.mjs';
+import { tempDir, markdown } from './helpers.mjs';
+
+/**
+ * A server on in-memory streams with a client talking to it
+ *
+ * The validator waits for `hold()`-ed gates, so a test can act while a
+ * check or fix is in progress.
+ */
+async function connect(t) {
+    const base = await getSharedValidator();
+    let gate = null;
+    const validator = Object.assign(async (code, options) => {
+        if (gate) {
+            gate.reached();
+            await gate.opened;
+        }
+        return base(code, options);
+    }, base);
+
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const server = createLanguageServer({ input, output, validator, debounce: 20 });
+    t.after(() => input.end());
+
+    const pending = new Map();
+    const waiting = [];
+    const notifications = [];
+    readMessages(output, message => {
+        if (message.id !== undefined) {
+            pending.get(message.id)?.(message);
+            pending.delete(message.id);
+            return;
+        }
+        notifications.push(message);
+        for (const waiter of waiting.filter(candidate => candidate.method === message.method)) {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            waiter.resolve(message.params);
+        }
+    });
+
+    let nextId = 1;
+    return {
+        server,
+        input,
+        notifications,
+        notify: (method, params) => writeMessage(input, { method, params }),
+        request: (method, params) => new Promise(resolve => {
+            const id = nextId++;
+            pending.set(id, resolve);
+            writeMessage(input, { id, method, params });
+        }),
+        next: method => new Promise(resolve => waiting.push({ method, resolve })),
+        /** Hold validation until the returned `open()` is called */
+        hold: () => {
+            let open;
+            let reached;
+            gate = {
+                opened: new Promise(resolve => {
+                    open = resolve;
+                }),
+                reached: () => reached()
+            };
+            const calledBack = new Promise(resolve => {
+                reached = resolve;
+            });
+            return {
+                reached: calledBack,
+                open: () => {
+                    gate = null;
+                    open();
+                }
+            };
+        }
+    };
+}
+
+const FIXABLE = markdown('flowchart TD\n  A[x (y)] --> B');
+
+/**
+ * Open a document and wait for its first diagnostics
+ */
+async function open(client, dir, text, name = 'doc.md') {
+    const uri = pathToFileURL(path.join(dir, name)).href;
+    const published = client.next('textDocument/publishDiagnostics');
+    client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'markdown', version: 1, text } });
+    return { uri, diagnostics: (await published).diagnostics };
+}
+
+test('requests before initialize are rejected', async (t) => {
+    const client = await connect(t);
+    const response = await client.request('textDocument/hover', { textDocument: { uri: 'file:///a.md' }, position: { line: 0, character: 0 } });
+    assert.equal(response.error.code, -32002);
+
+    const initialized = await client.request('initialize', { capabilities: {} });
+    assert.deepEqual(initialized.result.capabilities.textDocumentSync, { openClose: true, change: 1 });
+    assert.equal((await client.request('workspace/symbol', {})).error.code, -32601);
+});
+
+test('diagnostics follow opened and changed documents', async (t) => {
+    const dir = tempDir(t);
+    const client = await connect(t);
+    await client.request('initialize', { capabilities: {} });
+
+    const { uri, diagnostics } = await open(client, dir, markdown('graph TD\n  A -->'));
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].severity, 1);
+    assert.equal(diagnostics[0].source, 'mermaid-check');
+    assert.equal(diagnostics[0].range.start.line, 2);
+
+    const changed = client.next('textDocument/publishDiagnostics');
+    client.notify('textDocument/didChange', { textDocument: { uri, version: 2 }, contentChanges: [{ text: markdown('graph TD\n  A --> B') }] });
+    assert.deepEqual(await changed, { uri, version: 2, diagnostics: [] });
+
+    const closed = client.next('textDocument/publishDiagnostics');
+    client.notify('textDocument/didClose', { textDocument: { uri } });
+    assert.deepEqual(await closed, { uri, diagnostics: [] });
+});
+
+test('hover shows the block under the cursor', async (t) => {
+    const dir = tempDir(t);
+    const client = await connect(t);
+    await client.request('initialize', { capabilities: {} });
+    const { uri } = await open(client, dir, '# Title\n\n' + markdown('sequenceDiagram\n  A->>B: hi'));
+
+    const { result } = await client.request('textDocument/hover', { textDocument: { uri }, position: { line: 3, character: 2 } });
+    assert.match(result.contents.value, /^\*\*Mermaid sequence\*\* diagram\n\n✅ valid · 2 line\(s\)$/);
+    assert.deepEqual(result.range, { start: { line: 2, character: 0 }, end: { line: 5, character: 3 } });
+
+    const outside = await client.request('textDocument/hover', { textDocument: { uri }, position: { line: 0, character: 0 } });
+    assert.equal(outside.result, null);
+});
+
+test('code actions rewrite a fixable block, including right after a change', async (t) => {
+    const dir = tempDir(t);
+    const client = await connect(t);
+    await client.request('initialize', { capabilities: {} });
+    const { uri, diagnostics } = await open(client, dir, markdown('graph TD\n  A --> B'));
+    assert.deepEqual(diagnostics, []);
+
+    // Asked for before the debounced check of the new text has run
+    client.notify('textDocument/didChange', { textDocument: { uri, version: 2 }, contentChanges: [{ text: FIXABLE }] });
+    const range = { start: { line: 2, character: 0 }, end: { line: 2, character: 0 } };
+    const { result } = await client.request('textDocument/codeAction', { textDocument: { uri }, range, context: { diagnostics: [] } });
+    assert.equal(result.length, 1);
+    assert.equal(result[0].title, 'Fix Mermaid flowchart: quote-labels');
+    assert.equal(result[0].isPreferred, true);
+    assert.deepEqual(result[0].edit.changes[uri], [{
+        range: { start: { line: 1, character: 0 }, end: { line: 2, character: 16 } },
+        newText: 'flowchart TD\n  A["x (y)"] --> B'
+    }]);
+});
+
+test('a code action whose document changes while it is computed is reported as outdated', async (t) => {
+    const dir = tempDir(t);
+    const client = await connect(t);
+    await client.request('initialize', { capabilities: {} });
+    const { uri } = await open(client, dir, FIXABLE);
+
+    // The fix validates its rewritten block; change the document meanwhile
+    const held = client.hold();
+    const range = { start: { line: 2, character: 0 }, end: { line: 2, character: 0 } };
+    const response = client.request('textDocument/codeAction', { textDocument: { uri }, range, context: { diagnostics: [] } });
+    await held.reached;
+    client.notify('textDocument/didChange', { textDocument: { uri, version: 2 }, contentChanges: [{ text: '# Gone\n\n' + FIXABLE }] });
+    // Responses come in order, so the change has been applied once this returns
+    await client.request('unknown/method', {});
+    held.open();
+
+    const { error } = await response;
+    assert.equal(error.code, -32801);
+
+    // Asked again, the action targets the new text
+    const moved = { start: { line: 4, character: 0 }, end: { line: 4, character: 0 } };
+    const { result } = await client.request('textDocument/codeAction', { textDocument: { uri }, range: moved, context: { diagnostics: [] } });
+    assert.equal(result[0].edit.changes[uri][0].range.start.line, 3);
+});
+
+test('malformed notifications are logged, not fatal', async (t) => {
+    const client = await connect(t);
+    await client.request('initialize', { capabilities: {} });
+
+    const logged = client.next('window/logMessage');
+    client.notify('textDocument/didOpen', { textDocument: { uri: 'file://host/doc.md', languageId: 'markdown', version: 1, text: '' } });
+    assert.match((await logged).message, /^mermaid-check: textDocument\/didOpen: /);
+
+    client.notify('textDocument/didOpen', {});
+    client.notify('textDocument/didChange', { textDocument: { uri: 'file:///doc.md', version: 2 } });
+    client.notify('textDocument/didClose');
+    client.notify('textDocument/didChange', null);
+    client.input.write('Content-Length: 4\r\n\r\nnull');
+    const response = await client.request('textDocument/hover', { textDocument: { uri: 'file:///doc.md' }, position: { line: 0, character: 0 } });
+    assert.deepEqual(response.result, null);
+});
+
+test('exit reports whether shutdown came first', async (t) => {
+    const client = await connect(t);
+    await client.request('initialize', { capabilities: {} });
+    assert.deepEqual(await client.request('shutdown'), { jsonrpc: '2.0', id: 2, result: null });
+    client.notify('exit');
+    assert.equal(await client.server.exited, 0);
+});
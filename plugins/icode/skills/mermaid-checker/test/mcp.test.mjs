@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { fileURLToPath } from 'url';
+import { createMcpServer, MCP_TOOLS, MCP_PROTOCOL_VERSIONS } from '../lib/mcp.mjs';
+import { getSharedValidator } from '../lib/validator.mjs';
+import { tempDir, markdown } from './helpers.mjs';
+
+const SERVER = fileURLToPath(new URL('../mcp-server.mjs', import.meta.url));
+
+/**
+ * Send messages to a server, close its input and collect the responses
+ * @param {Array<Object|string>} messages - Objects are sent as JSON, strings as is
+ * @param {string} [cwd]
+ * @returns {Promise<Object[]>} - Responses in the order they were written
+ */
+async function session(messages, cwd = process.cwd()) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const server = createMcpServer({ input, output, cwd, validator: await getSharedValidator() });
+    for (const message of messages) {
+        input.write((typeof message === 'string' ? message : JSON.stringify({ jsonrpc: '2.0', ...message })) + '\n');
+    }
+    input.end();
+    await server.closed;
+    return output.read()?.toString('utf-8').trim().split('\n').map(line => JSON.parse(line)) || [];
+}
+
+/**
+ * Result of one tools/call
+ */
+async function callTool(name, args, cwd) {
+    const [response] = await session([{ id: 1, method: 'tools/call', params: { name, arguments: args } }], cwd);
+    return response.result;
+}
+
+test('initialize negotiates the protocol version', async () => {
+    const responses = await session([
+        { id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {} } },
+        { id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01', capabilities: {} } },
+        { method: 'notifications/initialized' },
+        { id: 3, method: 'ping' }
+    ]);
+    const byId = Object.fromEntries(responses.map(response => [response.id, response]));
+    assert.equal(responses.length, 3);
+    assert.equal(byId[1].result.protocolVersion, '2025-03-26');
+    assert.equal(byId[2].result.protocolVersion, MCP_PROTOCOL_VERSIONS[0]);
+    assert.deepEqual(byId[1].result.capabilities, { tools: { listChanged: false } });
+    assert.deepEqual(byId[3].result, {});
+});
+
+test('tools/list describes every tool without its implementation', async () => {
+    const [response] = await session([{ id: 1, method: 'tools/list' }]);
+    assert.deepEqual(response.result.tools.map(tool => tool.name), MCP_TOOLS.map(tool => tool.name));
+    for (const tool of response.result.tools) {
+        assert.deepEqual(Object.keys(tool), ['name', 'title', 'description', 'inputSchema']);
+    }
+});
+
+test('validate_mermaid reports errors relative to the diagram', async () => {
+    const valid = await callTool('validate_mermaid', { code: 'graph TD\n  A --> B' });
+    assert.equal(valid.isError, undefined);
+    assert.equal(valid.structuredContent.valid, true);
+    assert.equal(valid.structuredContent.diagramType, 'flowchart');
+    assert.deepEqual(JSON.parse(valid.content[0].text), valid.structuredContent);
+
+    const invalid = await callTool('validate_mermaid', { code: 'graph TD\n  A -->' });
+    assert.equal(invalid.structuredContent.valid, false);
+    assert.equal(invalid.structuredContent.error.category, 'mermaid/parse-error');
+    assert.deepEqual(invalid.structuredContent.error.location, { line: 2, column: 4 });
+});
+
+test('check_markdown_file and extract_diagrams read files relative to cwd', async (t) => {
+    const dir = tempDir(t, { 'docs/a.md': '# A\n\n' + markdown('graph TD\n  A -->', 'pie\n  "a" : 1') });
+
+    const checked = await callTool('check_markdown_file', { path: 'docs/a.md' }, dir);
+    assert.equal(checked.structuredContent.schemaVersion, 1);
+    assert.equal(checked.structuredContent.path, 'docs/a.md');
+    assert.deepEqual(checked.structuredContent.diagrams.map(diagram => diagram.valid), [false, true]);
+
+    const extracted = await callTool('extract_diagrams', { path: 'docs/a.md' }, dir);
+    assert.deepEqual(extracted.structuredContent.diagrams.map(({ diagramType, lineStart, lineEnd }) => ({ diagramType, lineStart, lineEnd })), [
+        { diagramType: 'flowchart', lineStart: 3, lineEnd: 5 },
+        { diagramType: 'pie', lineStart: 8, lineEnd: 10 }
+    ]);
+});
+
+test('fix_mermaid fixes diagram text and files, with a dry run', async (t) => {
+    const text = await callTool('fix_mermaid', { code: 'flowchart TD\n  A[x (y)] --> end' });
+    assert.deepEqual(
+        (({ changed, code, fixes, status }) => ({ changed, code, fixes, status }))(text.structuredContent),
+        { changed: true, code: 'flowchart TD\n  A["x (y)"] --> End', fixes: ['quote-labels', 'rename-end-node'], status: 'fixed' }
+    );
+    assert.match(text.structuredContent.diff, /^-  A\[x \(y\)\] --> end$/m);
+
+    const original = markdown('flowchart TD\n  A --> end');
+    const dir = tempDir(t, { 'a.md': original });
+    const dryRun = await callTool('fix_mermaid', { path: 'a.md', dryRun: true }, dir);
+    assert.equal(dryRun.structuredContent.changed, true);
+    assert.equal(dryRun.structuredContent.written, false);
+    assert.match(dryRun.structuredContent.diff, /^\+  A --> End$/m);
+    assert.equal(fs.readFileSync(path.join(dir, 'a.md'), 'utf-8'), original);
+
+    const written = await callTool('fix_mermaid', { path: 'a.md' }, dir);
+    assert.equal(written.structuredContent.written, true);
+    assert.deepEqual(written.structuredContent.blocks.map(block => block.status), ['fixed']);
+    assert.equal(fs.readFileSync(path.join(dir, 'a.md'), 'utf-8'), markdown('flowchart TD\n  A --> End'));
+
+    assert.equal((await callTool('fix_mermaid', {})).content[0].text, 'Pass either path or code');
+});
+
+test('list_diagram_types reports the Mermaid version and keywords', async () => {
+    const { structuredContent } = await callTool('list_diagram_types', {});
+    assert.match(structuredContent.mermaidVersion, /^\d+\.\d+\.\d+/);
+    assert.ok(structuredContent.types.some(type => type.type === 'sequence'));
+});
+
+test('failed calls are tool errors; unknown methods and tools are protocol errors', async () => {
+    assert.deepEqual(await callTool('check_markdown_file', { path: 'missing.md' }), {
+        content: [{ type: 'text', text: 'File not found: missing.md' }],
+        isError: true
+    });
+    assert.equal((await callTool('validate_mermaid', {})).content[0].text, 'Missing argument: code');
+    assert.equal((await callTool('validate_mermaid', { code: 1 })).content[0].text, 'Argument code must be a string');
+
+    const responses = await session([
+        'not json',
+        'null',
+        '[{ "jsonrpc": "2.0", "id": 3, "method": "ping" }]',
+        '42',
+        { id: 1, method: 'resources/list' },
+        { id: 2, method: 'tools/call', params: { name: 'no_such_tool' } }
+    ]);
+    assert.deepEqual(responses.map(response => [response.id, response.error.code]), [
+        [null, -32700], [null, -32600], [null, -32600], [null, -32600], [1, -32601], [2, -32602]
+    ]);
+});
+
+test('mcp-server.mjs keeps stdout for protocol messages', () => {
+    const input = [
+        { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: MCP_PROTOCOL_VERSIONS[0], capabilities: {} } },
+        { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'validate_mermaid', arguments: { code: 'graph TD\n  A -->' } } }
+    ].map(message => JSON.stringify(message) + '\n').join('');
+    const result = spawnSync(process.execPath, [SERVER], { input, encoding: 'utf-8', timeout: 120000 });
+    assert.equal(result.status, 0);
+    const responses = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(responses.map(response => response.id), [1, 2]);
+    assert.equal(responses[1].result.structuredContent.valid, false);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { checkFiles } from '../lib/pool.mjs';
+import { tempDir, markdown } from './helpers.mjs';
+
+const VALID = 'graph TD\n  A --> B';
+const INVALID = 'graph TD\n  A -->';
+
+for (const jobs of [1, 2]) {
+    test(`checkFiles with jobs=${jobs} reports outcomes in input order`, async (t) => {
+        const dir = tempDir(t, {
+            'a.md': markdown(VALID),
+            'b.md': markdown(INVALID),
+            'c.md': markdown(VALID, VALID)
+        });
+        const files = ['a.md', 'b.md', 'missing.md', 'c.md'].map(name => path.join(dir, name));
+        const seen = [];
+
+        const outcomes = await checkFiles(files, {
+            jobs,
+            cacheDir: null,
+            config: false,
+            onResult: (outcome, index) => seen.push(index)
+        });
+
+        assert.deepEqual(seen, [0, 1, 2, 3]);
+        assert.deepEqual(outcomes.map(o => o.filePath), files);
+        assert.equal(outcomes[0].result.invalidCount, 0);
+        assert.equal(outcomes[1].result.invalidCount, 1);
+        assert.equal(outcomes[2].result, null);
+        assert.match(outcomes[2].error, /missing\.md/);
+        assert.equal(outcomes[3].result.totalDiagrams, 2);
+    });
+}
+
+test('a worker that exits while checking a file fails only that file', async (t) => {
+    const dir = tempDir(t, {
+        'a.md': markdown(VALID),
+        'crash.md': markdown(VALID),
+        'b.md': markdown(VALID),
+        'c.md': markdown(VALID)
+    });
+    const files = ['a.md', 'crash.md', 'b.md', 'c.md'].map(name => path.join(dir, name));
+
+    // Stop the worker from outside as the file is handed to it, like a kill
+    const postMessage = Worker.prototype.postMessage;
+    t.mock.method(Worker.prototype, 'postMessage', function (message) {
+        if (message.filePath?.endsWith('crash.md')) {
+            this.terminate();
+            return;
+        }
+        postMessage.call(this, message);
+    });
+
+    const outcomes = await checkFiles(files, { jobs: 2, cacheDir: null, config: false });
+    assert.equal(outcomes[1].result, null);
+    assert.match(outcomes[1].error, /^Worker exited unexpectedly with code 1 while checking .*crash\.md$/);
+    assert.deepEqual([0, 2, 3].map(i => outcomes[i].result.invalidCount), [0, 0, 0]);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDiagram, checkContent } from '../lib/check.mjs';
+import { toJsonFile } from '../lib/reporters/json.mjs';
+import { markdown } from './helpers.mjs';
+
+const CYCLE = 'flowchart TD\n  subgraph A\n    B\n  end\n  subgraph B\n    A\n  end';
+
+test('diagrams that parse are rendered in JSDOM with --render', async () => {
+    const flowchart = await validateDiagram('flowchart TD\n  A[Start] --> B{ok?}\n  B --> C', { render: true });
+    assert.equal(flowchart.valid, true);
+    assert.equal(flowchart.renderError, null);
+
+    const sequence = await validateDiagram('sequenceDiagram\n  A->>B: hi', { render: true });
+    assert.equal(sequence.valid, true);
+});
+
+test('layout errors are render errors, separate from parse errors', async () => {
+    const parsedOnly = await validateDiagram(CYCLE);
+    assert.equal(parsedOnly.valid, true);
+
+    const rendered = await validateDiagram(CYCLE, { render: true });
+    assert.equal(rendered.valid, false);
+    assert.equal(rendered.error, null);
+    assert.equal(rendered.renderError, 'Setting B as parent of A would create a cycle');
+});
+
+test('render errors are reported as mermaid/render-error', async () => {
+    const file = await checkContent(markdown(CYCLE), { filePath: 'a.md', config: false, render: true });
+    const [diagram] = toJsonFile(file, '.').diagrams;
+    assert.equal(file.invalidCount, 1);
+    assert.equal(diagram.error, null);
+    assert.equal(diagram.renderError.category, 'mermaid/render-error');
+});
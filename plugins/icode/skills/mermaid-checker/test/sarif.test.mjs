@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createReporter } from '../lib/reporters/index.mjs';
+import { checkContent } from '../lib/check.mjs';
+import { markdown } from './helpers.mjs';
+
+const CWD = path.resolve('/work/project');
+
+/**
+ * Run the SARIF reporter over the given file results and errors
+ */
+function sarif(files, errors = []) {
+    let output = '';
+    const reporter = createReporter('sarif', { write: text => { output += text; }, cwd: CWD });
+    files.forEach(file => reporter.file(file));
+    errors.forEach(([filePath, message]) => reporter.error(filePath, message));
+    reporter.end();
+    return JSON.parse(output);
+}
+
+test('parse errors become SARIF results at their file position', async () => {
+    const file = await checkContent(markdown('graph TD\n  A --> B', 'graph TD\n  A -->'), {
+        filePath: path.join(CWD, 'docs', 'my guide.md'),
+        config: false
+    });
+    const [run] = sarif([file]).runs;
+
+    assert.equal(run.results.length, 1);
+    const [result] = run.results;
+    assert.equal(result.level, 'error');
+    assert.equal(run.tool.driver.rules[result.ruleIndex].id, result.ruleId);
+    assert.deepEqual(result.locations[0].physicalLocation, {
+        artifactLocation: { uri: 'docs/my%20guide.md', uriBaseId: 'SRCROOT' },
+        region: { startLine: 8, startColumn: 4 }
+    });
+    assert.equal(result.partialFingerprints['mermaidDiagram/v1'], file.diagrams[1].id);
+    assert.equal(run.invocations[0].executionSuccessful, true);
+});
+
+test('files outside the root use absolute URIs and stdin has no location', async () => {
+    const outside = await checkContent(markdown('graph TD\n  A -->'), { filePath: '/elsewhere/a.md', config: false });
+    const stdin = await checkContent('graph TD\n  A -->', { config: false });
+    const [run] = sarif([outside, stdin]).runs;
+
+    assert.equal(run.results[0].locations[0].physicalLocation.artifactLocation.uri, 'file:///elsewhere/a.md');
+    assert.equal(run.results[1].locations, undefined);
+});
+
+test('unreadable files are tool execution notifications', () => {
+    const [run] = sarif([], [[path.join(CWD, 'missing.md'), 'ENOENT']]).runs;
+    assert.equal(run.invocations[0].executionSuccessful, false);
+    assert.deepEqual(run.invocations[0].toolExecutionNotifications[0].message, { text: 'ENOENT' });
+    assert.deepEqual(run.results, []);
+});
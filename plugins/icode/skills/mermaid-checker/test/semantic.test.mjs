@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintDiagram } from '../lib/lint/index.mjs';
+import { checkContent } from '../lib/check.mjs';
+import { markdown } from './helpers.mjs';
+
+const brief = issues => issues.map(({ ruleId, position }) => [ruleId, position.line, position.column]);
+
+test('gantt: undefined tasks, cycles and dates outside dateFormat', () => {
+    const code = [
+        'gantt',
+        '  dateFormat YYYY-MM-DD',
+        '  section A',
+        '  One :a1, 2025-02-01, 2w',
+        '  Two :a2, after a1 zz, 3d',
+        '  Three :a3, after a4, 1d',
+        '  Four :a4, after a3, 1d',
+        '  Five :a5, 2025/02/30, 1d',
+        '  Six :a6, 2025-02-03, soon'
+    ].join('\n');
+    const issues = lintDiagram(code, 'gantt');
+    assert.deepEqual(brief(issues), [
+        ['gantt/undefined-task', 5, 21],
+        ['gantt/dependency-cycle', 7, 19],
+        ['gantt/date-format', 8, 13],
+        ['gantt/date-format', 9, 24]
+    ]);
+    assert.equal(issues[1].message, 'Task dependencies form a cycle: a3 → a4 → a3');
+});
+
+test('sequence: unbalanced activations and unclosed blocks, even on parse errors', () => {
+    const code = [
+        'sequenceDiagram',
+        '  A->>B: hi',
+        '  activate A',
+        '  loop every',
+        '  B-->>-A: x',
+        '  end',
+        '  alt x',
+        '  A->>B: y'
+    ].join('\n');
+    assert.deepEqual(brief(lintDiagram(code, 'sequence', { parsed: false })), [
+        ['sequence/unbalanced-activation', 3, 12],
+        ['sequence/unbalanced-activation', 5, 3],
+        ['sequence/unclosed-block', 7, 3]
+    ]);
+});
+
+test('sequence: undeclared participants only when declared up front', () => {
+    const declared = [
+        'sequenceDiagram',
+        '  participant A',
+        '  participant B',
+        '  A->>B: hi',
+        '  create participant C',
+        '  B->>C: new',
+        '  A->>D: oops',
+        '  note over A,E: x'
+    ].join('\n');
+    assert.deepEqual(brief(lintDiagram(declared, 'sequence')), [
+        ['sequence/undeclared-participant', 7, 7],
+        ['sequence/undeclared-participant', 8, 15]
+    ]);
+
+    // `create participant` does not switch a diagram to explicit declarations
+    const created = 'sequenceDiagram\n  A->>B: hi\n  create participant C\n  B->>C: new\n  C->>A: done';
+    assert.deepEqual(lintDiagram(created, 'sequence'), []);
+
+    // Neither does a declaration after participants were already used
+    const late = 'sequenceDiagram\n  A->>B: hi\n  participant C\n  B->>C: next';
+    assert.deepEqual(lintDiagram(late, 'sequence'), []);
+});
+
+test('sequence: autonumber neither requires nor breaks up-front declarations', () => {
+    const numbered = 'sequenceDiagram\n  autonumber\n  A->>B: hi\n  B-->>A: ok';
+    assert.deepEqual(lintDiagram(numbered, 'sequence'), []);
+
+    const declared = 'sequenceDiagram\n  autonumber\n  participant A\n  A->>B: hi';
+    assert.deepEqual(brief(lintDiagram(declared, 'sequence')), [
+        ['sequence/undeclared-participant', 4, 7]
+    ]);
+});
+
+test('er: relationships declare their entities', () => {
+    const code = [
+        'erDiagram',
+        '  CUSTOMER {',
+        '    string name',
+        '  }',
+        '  CUSTOMER ||--o{ ORDER : places',
+        '  ORDER ||--|{ LINE_ITEM : contains',
+        '  style CUSTOMR fill:#f00',
+        '  PRODUCT'
+    ].join('\n');
+    assert.deepEqual(brief(lintDiagram(code, 'er')), [
+        ['lint/no-undeclared-target', 7, 9],
+        ['lint/no-orphan-nodes', 8, 3]
+    ]);
+});
+
+test('semantic issues are reported at the file line', async () => {
+    const content = '# Plan\n\n' + markdown('gantt\n  dateFormat YYYY-MM-DD\n  Build :b1, after zz, 5d');
+    const { diagrams: [diagram] } = await checkContent(content, { filePath: 'plan.md', config: false });
+    // Mermaid accepts the diagram, so the finding is a warning
+    assert.equal(diagram.valid, true);
+    assert.deepEqual(diagram.issues.map(issue => [issue.ruleId, issue.severity, issue.location]), [
+        ['gantt/undefined-task', 'warning', { line: 6, column: 20 }]
+    ]);
+});
+
+test('sequence findings do not make a diagram that parses invalid', async () => {
+    const content = markdown('sequenceDiagram\n  participant A\n  A->>B: hi\n  B-->>A: ok');
+    const { diagrams: [diagram] } = await checkContent(content, { filePath: 'seq.md', config: false });
+    assert.equal(diagram.valid, true);
+    assert.ok(diagram.issues.length > 0);
+    assert.ok(diagram.issues.every(issue => issue.ruleId === 'sequence/undeclared-participant' && issue.severity === 'warning'));
+});
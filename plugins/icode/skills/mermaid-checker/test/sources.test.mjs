@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractBlocks, getSourceAdapter } from '../lib/sources/index.mjs';
+
+/**
+ * Extract blocks and keep the fields the adapters compute
+ */
+function extract(content, filePath) {
+    return extractBlocks(content, filePath).map(({ code, lineStart, codeStart, columnOffsets, cell }) => (
+        cell === undefined ? { code, lineStart, codeStart, columnOffsets } : { code, lineStart, codeStart, columnOffsets, cell }
+    ));
+}
+
+test('adapters are picked by extension, defaulting to Markdown', () => {
+    assert.equal(getSourceAdapter('guide.ADOC').name, 'asciidoc');
+    assert.equal(getSourceAdapter('page.mdx').name, 'mdx');
+    assert.equal(getSourceAdapter('notes.txt').name, 'markdown');
+});
+
+test('AsciiDoc [mermaid] listing and [source,mermaid] literal blocks', () => {
+    assert.deepEqual(extract('= Doc\n\n[mermaid]\n----\ngraph TD\n  A --> B\n----\n', 'a.adoc'), [
+        { code: 'graph TD\n  A --> B', lineStart: 3, codeStart: 5, columnOffsets: [0, 0] }
+    ]);
+    assert.deepEqual(extract('[source,mermaid]\n....\ngraph TD\n....\n', 'a.adoc'), [
+        { code: 'graph TD', lineStart: 1, codeStart: 3, columnOffsets: [0] }
+    ]);
+});
+
+test('reST mermaid directive skips options and dedents the body', () => {
+    assert.deepEqual(extract('Title\n=====\n\n.. mermaid::\n   :caption: x\n\n   graph TD\n     A --> B\n\nafter\n', 'a.rst'), [
+        { code: 'graph TD\n  A --> B', lineStart: 4, codeStart: 7, columnOffsets: [3, 3] }
+    ]);
+    assert.deepEqual(extract('.. mermaid:: diagram.mmd\n', 'a.rst'), []);
+});
+
+test('HTML mermaid elements are entity-decoded and dedented', () => {
+    assert.deepEqual(extract('<p>x</p>\n<pre class="mermaid">\n  graph TD\n    A --&gt; B\n</pre>\n', 'a.html'), [
+        { code: 'graph TD\n  A --> B', lineStart: 2, codeStart: 3, columnOffsets: [2, 2] }
+    ]);
+});
+
+test('invalid numeric entities decode to the replacement character', () => {
+    const html = '<pre class="mermaid">\ngraph TD\n  A[&#x110000;&#xD800;&#0;&#x263A;] --> B\n</pre>\n';
+    assert.equal(extract(html, 'a.html')[0].code, 'graph TD\n  A[\uFFFD\uFFFD\uFFFD\u263A] --> B');
+});
+
+test('notebook blocks come from markdown cells with cell-relative lines', () => {
+    const notebook = JSON.stringify({
+        cells: [
+            { cell_type: 'code', source: ['```mermaid\n', 'graph LR\n', '```\n'] },
+            { cell_type: 'markdown', source: ['# t\n', '```mermaid\n', 'graph TD\n', '```\n'] }
+        ]
+    });
+    assert.deepEqual(extract(notebook, 'a.ipynb'), [
+        { code: 'graph TD', lineStart: 2, codeStart: 3, columnOffsets: [0], cell: 1 }
+    ]);
+});
+
+test('MDX files use the Markdown fence rules', () => {
+    assert.deepEqual(extract('import X from "y"\n\n```mermaid\ngraph TD\n```\n', 'a.mdx'), [
+        { code: 'graph TD', lineStart: 3, codeStart: 4, columnOffsets: [0] }
+    ]);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { checkContent, checkFile } from '../lib/check.mjs';
+import { tempDir, markdown } from './helpers.mjs';
+
+const CLI = fileURLToPath(new URL('../mermaid-check.mjs', import.meta.url));
+
+test('content without a file name is Markdown only when it has fences', async () => {
+    const raw = await checkContent('graph TD\n  A --> B', { config: false });
+    assert.equal(raw.source, 'mermaid');
+    assert.equal(raw.fileName, '<stdin>');
+    assert.equal(raw.totalDiagrams, 1);
+
+    const doc = await checkContent(markdown('graph TD\n  A --> B', 'sequenceDiagram\n  A->>B: hi'), { config: false });
+    assert.equal(doc.source, 'markdown');
+    assert.equal(doc.totalDiagrams, 2);
+});
+
+test('a .mmd file is one diagram with file line numbers', async (t) => {
+    const dir = tempDir(t, { 'flow.mmd': '%% comment\ngraph TD\n  A -->\n' });
+    const result = await checkFile(path.join(dir, 'flow.mmd'), { config: false });
+    assert.equal(result.source, 'mermaid');
+    assert.equal(result.invalidCount, 1);
+    assert.equal(result.diagrams[0].location.line, 3);
+});
+
+test('mermaid-check.mjs reads stdin and exits non-zero on errors', () => {
+    const run = input => spawnSync(process.execPath, [CLI, '-', '--no-cache', '--no-config', '--stdin-filename', 'doc.md'], {
+        input,
+        encoding: 'utf-8'
+    });
+
+    const passed = run(markdown('graph TD\n  A --> B'));
+    assert.equal(passed.status, 0);
+    assert.match(passed.stdout, /doc\.md - Passed/);
+
+    const failed = run(markdown('graph TD\n  A -->'));
+    assert.equal(failed.status, 1);
+    assert.match(failed.stdout, /doc\.md:3:/);
+});
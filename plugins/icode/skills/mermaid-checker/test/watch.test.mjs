@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { watchFiles, diffFindings, formatWatchUpdate } from '../lib/watch.mjs';
+import { tempDir } from './helpers.mjs';
+
+const finding = (message, line) => ({ ruleId: 'mermaid/parse-error', severity: 'error', message, location: { line, column: 1 } });
+
+/**
+ * A FileResult stub with one invalid diagram per "bad" line of the file
+ */
+function stubCheck(filePath) {
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+    const diagrams = lines.flatMap((text, i) => text.startsWith('bad') ? [{
+        diagramType: 'flowchart', valid: false, error: `Parse error: ${text}`, location: { line: i + 1, column: 1 }, issues: []
+    }] : []);
+    return Promise.resolve({ filePath, diagrams });
+}
+
+test('diffFindings matches findings by rule and message, not position', () => {
+    const before = [finding('a', 1), finding('b', 2), finding('b', 3)];
+    const after = [finding('a', 5), finding('b', 6), finding('c', 7)];
+    assert.deepEqual(diffFindings(before, after), {
+        added: [finding('c', 7)],
+        resolved: [finding('b', 3)]
+    });
+});
+
+test('formatWatchUpdate lists added and resolved findings', () => {
+    const text = formatWatchUpdate({
+        filePath: '/w/docs/a.md',
+        error: null,
+        findings: [finding('new', 3)],
+        added: [finding('new', 3)],
+        resolved: [{ ...finding('old', 1), severity: 'warning', ruleId: 'lint/no-orphan-nodes' }]
+    }, '/w');
+    assert.match(text, /^\[\d\d:\d\d:\d\d\] docs\/a\.md: 1 new, 1 resolved \(1 error\(s\), 0 warning\(s\)\) ❌\n/);
+    assert.match(text, /\n {2}\+ docs\/a\.md:3:1 Error \[mermaid\/parse-error\]: new\n/);
+    assert.match(text, /\n {2}- docs\/a\.md:1:1 Warning \[lint\/no-orphan-nodes\]: old$/);
+});
+
+test('watchFiles re-checks saved files and reports what changed', async (t) => {
+    const dir = tempDir(t, { 'a.md': 'ok\nbad one\n' });
+    const file = path.join(dir, 'a.md');
+    const updates = [];
+    let notify = () => {};
+
+    const watcher = watchFiles([file], {
+        check: stubCheck,
+        debounce: 20,
+        onUpdate: update => {
+            updates.push(update);
+            notify();
+        }
+    });
+    t.after(() => watcher.close());
+    const nextUpdate = () => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('no update within 5s')), 5000);
+        notify = () => {
+            clearTimeout(timer);
+            resolve(updates[updates.length - 1]);
+        };
+    });
+
+    await watcher.ready;
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].initial, true);
+    assert.equal(updates[0].added.length, 1);
+
+    const saved = nextUpdate();
+    fs.writeFileSync(file, 'bad one\nbad two\n');
+    const update = await saved;
+    assert.equal(update.initial, false);
+    assert.deepEqual(update.added.map(f => f.message), ['Parse error: bad two']);
+    assert.deepEqual(update.resolved, []);
+
+    // Rewriting the same content is not a change
+    fs.writeFileSync(file, 'bad one\nbad two\n');
+    const removed = nextUpdate();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(updates.length, 2);
+
+    fs.rmSync(file);
+    const gone = await removed;
+    assert.equal(gone.error, 'File not found');
+    assert.equal(gone.resolved.length, 2);
+});